@@ -0,0 +1,52 @@
+// --- MIGRACIÓN DEL ESPACIO COMPARTIDO ---
+// Copia los proyectos del espacio compartido anterior a las organizaciones (users/empresa-demo-001/projects) a la
+// organización indicada. Corre una sola vez, del lado del servidor, con credenciales de administrador del proyecto de
+// Firebase (GOOGLE_APPLICATION_CREDENTIALS o `gcloud auth application-default login`); las reglas no dejan leer ese
+// espacio desde la app. Con FIRESTORE_EMULATOR_HOST usa el emulador.
+//
+//   node scripts/migrate-legacy.js <orgId> [projectId ...]
+//
+// Sin IDs copia todos los proyectos; con IDs, solo esos (para repartirlos entre organizaciones). Los proyectos que ya
+// existen en la organización no se pisan y los originales no se borran. APP_ID indica el appId (por defecto el de la app).
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const LEGACY_DATA_UID = 'empresa-demo-001';
+// Límite de escrituras por lote de Firestore
+const BATCH_SIZE = 500;
+
+const [orgId, ...projectIds] = process.argv.slice(2);
+if (!orgId) {
+  console.error('Uso: node scripts/migrate-legacy.js <orgId> [projectId ...]');
+  process.exit(1);
+}
+const appId = process.env.APP_ID || 'default-app-id';
+
+initializeApp(process.env.GCLOUD_PROJECT ? { projectId: process.env.GCLOUD_PROJECT } : undefined);
+const db = getFirestore();
+const root = db.collection('artifacts').doc(appId);
+const legacyProjects = root.collection('users').doc(LEGACY_DATA_UID).collection('projects');
+const organization = root.collection('organizations').doc(orgId);
+
+const org = await organization.get();
+if (!org.exists) {
+  console.error(`No existe la organización ${orgId}.`);
+  process.exit(1);
+}
+
+const sources = projectIds.length
+  ? (await db.getAll(...projectIds.map(id => legacyProjects.doc(id)))).filter(d => d.exists)
+  : (await legacyProjects.get()).docs;
+const targets = sources.length ? await db.getAll(...sources.map(d => organization.collection('projects').doc(d.id))) : [];
+const pending = sources.filter((d, i) => !targets[i].exists);
+
+for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+  const batch = db.batch();
+  pending.slice(i, i + BATCH_SIZE).forEach(d => {
+    batch.set(organization.collection('projects').doc(d.id), { ...d.data(), trashed: !!d.data().deletedAt });
+  });
+  await batch.commit();
+}
+
+console.log(`${org.data().name}: ${pending.length} proyectos copiados, ${sources.length - pending.length} ya existían.`);
+if (projectIds.length > sources.length) console.log(`${projectIds.length - sources.length} IDs no están en el espacio compartido.`);
@@ -1,19 +1,35 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef, useSyncExternalStore } from 'react';
 import {
   Save, Printer, Settings, Download, Activity, Zap, FileSpreadsheet,
-  Folder, Plus, Trash2, ArrowLeft, Search, Clock, FileText, CheckCircle, AlertCircle, X, Percent, Shield, Loader2, Cloud, CloudOff
+  Folder, Plus, Trash2, ArrowLeft, Search, Clock, FileText, CheckCircle, AlertCircle, X, Percent, Shield, Loader2, Cloud, CloudOff, RotateCcw, AlertTriangle,
+  Users, UserPlus, LogOut, Lock, FileClock, Flag, GitCompare, Magnet, Gauge, Waves, ListChecks, Cpu, TrendingUp,
+  LayoutGrid, List, SlidersHorizontal, ChevronUp, ChevronDown, Bookmark, ArrowUpDown, Copy, LayoutTemplate, Fan, Cable
 } from 'lucide-react';
 
+// --- EXPORTACIÓN (PDF / EXCEL) ---
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+import * as XLSX from 'xlsx';
+
 // --- FIREBASE IMPORTS ---
 import { initializeApp } from "firebase/app";
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from "firebase/auth";
-import { getFirestore, doc, setDoc, deleteDoc, collection, onSnapshot, query } from "firebase/firestore";
+import {
+  getAuth, connectAuthEmulator, onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword,
+  sendPasswordResetEmail, sendEmailVerification, updateProfile, signOut
+} from "firebase/auth";
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, doc, setDoc, getDoc,
+  getDocs, deleteDoc, updateDoc, deleteField, collection, onSnapshot, query, where, orderBy, limit, writeBatch, runTransaction
+} from "firebase/firestore";
 
 // --- FIREBASE SETUP ---
+// Con VITE_USE_FIREBASE_EMULATOR=true la app usa la suite de emuladores local (ver firebase.json)
+const useEmulator = import.meta.env.VITE_USE_FIREBASE_EMULATOR === 'true';
+
 const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY || (useEmulator ? 'demo-api-key' : undefined),
   authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID || (useEmulator ? 'demo-planilla-ensayos' : undefined),
   storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
   messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
   appId: import.meta.env.VITE_FIREBASE_APP_ID,
@@ -21,256 +37,3996 @@ const firebaseConfig = {
 
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+// Caché persistente: los proyectos y la organización se pueden consultar sin conexión
+const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+if (useEmulator) {
+  connectAuthEmulator(auth, import.meta.env.VITE_AUTH_EMULATOR_URL || 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, import.meta.env.VITE_FIRESTORE_EMULATOR_HOST || '127.0.0.1', Number(import.meta.env.VITE_FIRESTORE_EMULATOR_PORT || 8080));
+}
 console.log("FIREBASE ENV CHECK", {
   apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
   authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
   projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
 });
+
+// --- RUTAS FIRESTORE ---
+// Cada organización tiene su propia colección de proyectos; el perfil del usuario indica a cuál pertenece.
+const userProfileRef = (uid) => doc(db, 'artifacts', appId, 'users', uid);
+const organizationRef = (orgId) => doc(db, 'artifacts', appId, 'organizations', orgId);
+const projectsCollectionRef = (orgId) => collection(db, 'artifacts', appId, 'organizations', orgId, 'projects');
+const projectRef = (orgId, projectId) => doc(db, 'artifacts', appId, 'organizations', orgId, 'projects', projectId);
+// Revisiones archivadas de cada proyecto (historial de versiones)
+const revisionsCollectionRef = (orgId, projectId) => collection(db, 'artifacts', appId, 'organizations', orgId, 'projects', projectId, 'revisions');
+// Plantillas de proyecto (familias de transformadores) de la organización
+const templatesCollectionRef = (orgId) => collection(db, 'artifacts', appId, 'organizations', orgId, 'templates');
+const templateRef = (orgId, templateId) => doc(db, 'artifacts', appId, 'organizations', orgId, 'templates', templateId);
+const invitationsCollectionRef = () => collection(db, 'artifacts', appId, 'invitations');
+const invitationRef = (email) => doc(db, 'artifacts', appId, 'invitations', email.trim().toLowerCase());
+
+// --- ROLES ---
+const ROLES = {
+  admin: { label: 'Administrador', canEdit: true, canManageMembers: true, canPurge: true, canApprove: true },
+  technician: { label: 'Técnico', canEdit: true, canManageMembers: false, canPurge: false, canApprove: false },
+  reviewer: { label: 'Revisor', canEdit: false, canManageMembers: false, canPurge: false, canApprove: true },
+};
+
+// --- CICLO DE APROBACIÓN ---
+// Borrador → En revisión → Aprobado. Un proyecto aprobado queda de solo lectura hasta que se reabre con motivo.
+const APPROVAL_STATUSES = {
+  draft: { label: 'Borrador', color: 'bg-gray-100 text-gray-600 border-gray-300' },
+  review: { label: 'En revisión', color: 'bg-amber-100 text-amber-700 border-amber-300' },
+  approved: { label: 'Aprobado', color: 'bg-green-100 text-green-700 border-green-300' },
+};
+const APPROVAL_ACTIONS = {
+  submit: 'Enviado a revisión',
+  approve: 'Aprobado y firmado',
+  return: 'Devuelto a borrador',
+  reopen: 'Reabierto',
+};
+const getApproval = (project) => ({ status: 'draft', log: [], ...project.approval });
+// Mover a la papelera es editar el proyecto: las reglas no lo permiten a nadie sobre uno aprobado
+const canTrashProject = (project, role) => !!role?.canEdit && getApproval(project).status !== 'approved';
+
+const describeApproval = (approval) => {
+  if (approval.status === 'approved') return `Firmado por ${approval.approvedBy} el ${new Date(approval.approvedAt).toLocaleString()}`;
+  if (approval.status === 'review') return `Enviado por ${approval.submittedBy} el ${new Date(approval.submittedAt).toLocaleString()}`;
+  return '';
+};
+
+// Registra la acción en el log del proyecto. No modifica lastModified: no es una edición de la planilla.
+const updateApproval = (orgId, projectId, approval, action, fields, entry) => updateDoc(projectRef(orgId, projectId), {
+  approval: { ...approval, ...fields, log: [...approval.log, { action, at: new Date().toISOString(), ...entry }] }
+});
+
+// Papelera: los proyectos eliminados se conservan este tiempo salvo que la organización configure otro
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `trashed` marca en cada proyecto si está en la papelera, para que las páginas del tablero la
+// excluyan en la consulta (Firestore no filtra por campos ausentes como `deletedAt`). Los proyectos
+// anteriores a la marca la reciben una vez, en la sesión de un administrador.
+const backfillTrashFlag = async (orgId) => {
+  const snapshot = await getDocs(projectsCollectionRef(orgId));
+  const missing = snapshot.docs.filter(d => typeof d.data().trashed !== 'boolean');
+  for (let i = 0; i < missing.length; i += 500) {
+    const batch = writeBatch(db);
+    missing.slice(i, i + 500).forEach(d => batch.update(d.ref, { trashed: !!d.data().deletedAt }));
+    await batch.commit();
+  }
+  await updateDoc(organizationRef(orgId), { 'settings.trashFlagBackfilled': true });
+};
+
+// Borrado definitivo de un proyecto (ya en la papelera) junto con su historial. Un lote admite 500
+// escrituras: las revisiones se borran de a tandas y el proyecto va último, en la tanda final.
+const purgeProject = async (orgId, projectId) => {
+  const revisions = (await getDocs(revisionsCollectionRef(orgId, projectId))).docs.map(revision => revision.ref);
+  const refs = [...revisions, projectRef(orgId, projectId)];
+  for (let i = 0; i < refs.length; i += 500) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + 500).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+  removePendingChange(orgId, projectId);
+};
+
+const AUTH_ERRORS = {
+  'auth/invalid-credential': 'Email o contraseña incorrectos.',
+  'auth/invalid-email': 'El email no es válido.',
+  'auth/user-disabled': 'La cuenta está deshabilitada.',
+  'auth/email-already-in-use': 'Ya existe una cuenta con ese email.',
+  'auth/weak-password': 'La contraseña debe tener al menos 6 caracteres.',
+  'auth/too-many-requests': 'Demasiados intentos. Probá de nuevo en unos minutos.',
+  'auth/network-request-failed': 'Sin conexión con el servidor de autenticación.',
+};
+
 // --- UTILIDADES ---
 const generateId = () => Math.random().toString(36).substr(2, 9);
+const formatNum = (val, decimals = 3) => (val === null || val === undefined || isNaN(val)) ? '-' : val.toFixed(decimals).replace('.', ',');
 
-// --- COMPONENTE: EDITOR DE PLANILLA ---
-const TestSheetEditor = ({ project, onUpdate, onBack }) => {
-  // --- ESTADOS LOCALES ---
-  const [activeTab, setActiveTab] = useState('ttr');
-  const [tapRange, setTapRange] = useState(project.tapRange || 5);
+// --- CAMPOS NUMÉRICOS ---
+// Las celdas guardan el texto tal como se cargó. parseNum lo interpreta con coma o punto decimal,
+// separador de miles ("1.234,5", "1,234.5", "1 234,5") y notación científica ("1e3"), y devuelve
+// null si la celda está vacía o NaN si no es un número: una celda en blanco nunca cuenta como cero.
+// Un único separador sin el otro se toma como decimal ("1.234" es 1,234); repetido solo agrupa miles.
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)(e[-+]?\d+)?$/i;
+
+const parseNum = (val) => {
+  if (typeof val === 'number') return val;
+  const text = String(val ?? '').replace(/[\s\u00a0]/g, '');
+  if (!text) return null;
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  let decimal = null;
+  if (lastComma >= 0 && lastDot >= 0) decimal = lastComma > lastDot ? ',' : '.';
+  else if (lastComma >= 0) decimal = text.indexOf(',') === lastComma ? ',' : null;
+  else if (lastDot >= 0) decimal = text.indexOf('.') === lastDot ? '.' : null;
+  const group = decimal === ',' || (!decimal && lastDot >= 0) ? '.' : ',';
+  const [integer, fraction, ...extra] = decimal ? text.split(decimal) : [text];
+  if (extra.length > 0) return NaN;
+  if (integer.includes(group) && !new RegExp(`^[-+]?\\d{1,3}(\\${group}\\d{3})+$`).test(integer)) return NaN;
+  const normalized = integer.split(group).join('') + (fraction !== undefined ? `.${fraction}` : '');
+  return NUMBER_PATTERN.test(normalized) ? Number(normalized) : NaN;
+};
+
+// Valor para los cálculos: null si la celda está vacía o no es un número (la fila queda incompleta
+// y no se evalúa, en vez de fallar como si valiera cero)
+const readNum = (val) => {
+  const num = parseNum(val);
+  return Number.isFinite(num) ? num : null;
+};
+
+// Problema de una celda numérica ({ min, max } opcionales, inclusivos) o null si está vacía o es válida
+const numberIssue = (val, { min, max } = {}) => {
+  const num = parseNum(val);
+  if (num === null) return null;
+  if (!Number.isFinite(num)) return 'No es un número';
+  if (min !== undefined && num < min) return `Debe ser mayor o igual a ${String(min).replace('.', ',')}`;
+  if (max !== undefined && num > max) return `Debe ser menor o igual a ${String(max).replace('.', ',')}`;
+  return null;
+};
+
+// Al terminar de cargar, un decimal escrito con punto ("1.5") se muestra con coma como el resto
+const normalizeDecimalText = (text) => (/^[-+]?\d*\.\d+(e[-+]?\d+)?$/i.test(String(text).trim()) ? String(text).trim().replace('.', ',') : text);
+
+// --- CRITERIOS DE ACEPTACIÓN ---
+// Cada proyecto guarda su propio perfil (copiado del preset al elegirlo), así un cambio
+// en los presets no altera informes ya emitidos. Editar un límite lo vuelve "personalizado".
+// Los presets son criterios de la empresa, no los de una norma: IEC 60076-1 no fija IP ni tan δ, y el nombre se
+// imprime junto a cada límite en el informe.
+const CRITERIA_PRESETS = {
+  planilla: {
+    name: 'Criterio Planilla', ttrMaxDeviation: '0,5', tgMaxPercent: '0,5', piMin: '1,0', resImbalanceMax: '2',
+    excitationMaxDiff: '10', impedanceMaxDeviation: '3', impedancePhaseMax: '2', motorImbalanceMax: '2'
+  },
+  'empresa-ip-1-3': {
+    name: 'Criterio Empresa · IP 1,3 / Zcc 7,5 %', ttrMaxDeviation: '0,5', tgMaxPercent: '0,5', piMin: '1,3', resImbalanceMax: '2',
+    excitationMaxDiff: '10', impedanceMaxDeviation: '7,5', impedancePhaseMax: '2', motorImbalanceMax: '2'
+  },
+  'empresa-ip-1-25': {
+    name: 'Criterio Empresa · IP 1,25', ttrMaxDeviation: '0,5', tgMaxPercent: '0,5', piMin: '1,25', resImbalanceMax: '2',
+    excitationMaxDiff: '10', impedanceMaxDeviation: '3', impedancePhaseMax: '2', motorImbalanceMax: '2'
+  },
+};
+const DEFAULT_CRITERIA = { presetId: 'planilla', ...CRITERIA_PRESETS.planilla };
+
+// Ids con que se guardaron los presets antes de llevar nombres neutros
+const LEGACY_CRITERIA_PRESET_IDS = { 'iec-60076': 'empresa-ip-1-3', 'ieee-c57-152': 'empresa-ip-1-25' };
+
+// Completa los límites que no existían cuando se guardó el perfil, tomando los de su preset.
+// El nombre guardado se conserva tal cual: es el que figura en los informes ya emitidos.
+const normalizeCriteria = (criteria) => {
+  const presetId = LEGACY_CRITERIA_PRESET_IDS[criteria?.presetId] || criteria?.presetId;
+  return { ...DEFAULT_CRITERIA, ...CRITERIA_PRESETS[presetId], ...criteria, ...(presetId && { presetId }) };
+};
+
+// Constante de temperatura del material del devanado para R_ref = R_med · (K + T_ref) / (K + T_med)
+const WINDING_MATERIALS = {
+  cu: { name: 'Cobre', short: 'Cu', constant: 235 },
+  al: { name: 'Aluminio', short: 'Al', constant: 225 },
+  custom: { name: 'Otra constante', short: 'K', constant: null },
+};
+
+// --- CORRECCIÓN POR TEMPERATURA (REFERENCIA 20 °C) ---
+// TG Delta: valor a 20 °C = valor medido · K(T), interpolando linealmente en la tabla.
+const TG_CORRECTION_TABLES = {
+  none: { name: 'Sin corrección', factors: null },
+  'oil-immersed': {
+    name: 'Transformador en aceite (IEEE C57.12.90)',
+    factors: [[0, 1.56], [5, 1.40], [10, 1.25], [15, 1.12], [20, 1.00], [25, 0.89], [30, 0.79], [35, 0.70],
+      [40, 0.62], [45, 0.55], [50, 0.49], [55, 0.44], [60, 0.39], [65, 0.35], [70, 0.31]]
+  },
+};
+
+// Aislación: R a 20 °C = R medida · 2^((T − 20) / N), la resistencia se reduce a la mitad cada N °C
+const INSULATION_CORRECTION_TABLES = {
+  none: { name: 'Sin corrección', halvingInterval: null },
+  'halving-10': { name: 'Mitad cada 10 °C (IEEE 43)', halvingInterval: 10 },
+};
+
+// Devuelve el factor de corrección a 20 °C, 1 si la tabla no corrige, o null si falta/excede la temperatura
+const getTgCorrectionFactor = (tableId, temp) => {
+  const table = TG_CORRECTION_TABLES[tableId] || TG_CORRECTION_TABLES.none;
+  if (!table.factors) return 1;
+  if (!Number.isFinite(temp)) return null;
+  const points = table.factors;
+  if (temp < points[0][0] || temp > points[points.length - 1][0]) return null;
+  const upper = points.findIndex(([t]) => t >= temp);
+  if (points[upper][0] === temp) return points[upper][1];
+  const [t0, k0] = points[upper - 1];
+  const [t1, k1] = points[upper];
+  return k0 + (k1 - k0) * (temp - t0) / (t1 - t0);
+};
+
+const getInsulationCorrectionFactor = (tableId, temp) => {
+  const table = INSULATION_CORRECTION_TABLES[tableId] || INSULATION_CORRECTION_TABLES.none;
+  if (!table.halvingInterval) return 1;
+  if (!Number.isFinite(temp)) return null;
+  return Math.pow(2, (temp - 20) / table.halvingInterval);
+};
+
+// --- DIAGNÓSTICO DE AISLACIÓN (IEEE 43) ---
+const INSULATION_INDEX_CLASSES = {
+  dangerous: { label: 'Peligroso', color: 'bg-red-100 text-red-700' },
+  questionable: { label: 'Cuestionable', color: 'bg-amber-100 text-amber-700' },
+  good: { label: 'Bueno', color: 'bg-green-100 text-green-700' },
+  excellent: { label: 'Excelente', color: 'bg-emerald-100 text-emerald-800' },
+};
+// Límites superiores de cada clase; por encima del último el índice es excelente
+const DAR_CLASS_LIMITS = [[1, 'dangerous'], [1.25, 'questionable'], [1.6, 'good']];
+const PI_CLASS_LIMITS = [[1, 'dangerous'], [2, 'questionable'], [4, 'good']];
+
+const classifyInsulationIndex = (value, limits) => {
+  if (value === null) return null;
+  const match = limits.find(([limit]) => value < limit);
+  return INSULATION_INDEX_CLASSES[match ? match[1] : 'excellent'];
+};
+
+// Tensión nominal del devanado en el que se inyecta
+const INSULATION_WINDING_VOLTAGE = { AT: 'hvVoltage', MT: 'mvVoltage', BT: 'lvVoltage' };
+
+// Resistencia mínima a 1' referida a 40 °C: R1min = kV + 1 (MΩ), devuelta en GΩ
+const getMinimumInsulation = (kV) => (!Number.isFinite(kV) || kV <= 0) ? null : (kV + 1) / 1000;
+
+// --- CORRIENTE DE EXCITACIÓN ---
+// Patrón esperado entre fases según el núcleo: en uno de tres columnas la fase central (B) tiene
+// menor reluctancia y por eso menor corriente, y las externas deben coincidir entre sí.
+const EXCITATION_PATTERNS = {
+  hlh: { name: 'Alto-Bajo-Alto (núcleo de 3 columnas)' },
+  uniform: { name: 'Similares (acorazado / 5 columnas)' },
+};
+
+// Devuelve { pattern, spread, centerLower } o null si falta alguna fase. spread (%) es la diferencia
+// entre las fases que deberían ser iguales, referida a la mayor; centerLower solo aplica a Alto-Bajo-Alto.
+const checkExcitationPattern = (currents, patternId) => {
+  if (currents.some(val => !Number.isFinite(val) || val <= 0)) return null;
+  const [a, b, c] = currents;
+  const max = Math.max(a, b, c);
+  const min = Math.min(a, b, c);
+  // Cada fase es alta (H) o baja (L) según a qué extremo esté más cerca; casi iguales (< 2 %) son todas H
+  const pattern = (max - min) / max < 0.02 ? 'H-H-H' : currents.map(val => (val - min > (max - min) / 2 ? 'H' : 'L')).join('-');
+  if (patternId === 'uniform') {
+    return { pattern, spread: (max - min) / max * 100, centerLower: null };
+  }
+  return { pattern, spread: Math.abs(a - c) / Math.max(a, c) * 100, centerLower: b < Math.min(a, c) };
+};
+
+// --- IMPEDANCIA DE CORTOCIRCUITO ---
+// Z% = Z por fase (equivalente estrella, Ω) / Z base · 100, con Z base = kV² / MVA a la tensión del tap
+const calculateImpedancePercent = (ohms, kV, mva) => {
+  if ([ohms, kV, mva].some(val => !Number.isFinite(val) || val <= 0)) return null;
+  return ohms / (kV * kV / mva) * 100;
+};
+
+// --- RESPUESTA EN FRECUENCIA (SFRA) ---
+// Resumen por traza con los factores relativos de DL/T 911 (comparación contra otra fase o un ensayo previo)
+const SFRA_TESTS = {
+  open: 'Circuito abierto',
+  short: 'Cortocircuito',
+  capacitive: 'Capacitivo entre devanados',
+  inductive: 'Inductivo entre devanados',
+};
+const SFRA_BANDS = [
+  { field: 'rLow', label: 'R BF', range: '1-100 kHz' },
+  { field: 'rMid', label: 'R MF', range: '100-600 kHz' },
+  { field: 'rHigh', label: 'R AF', range: '600 kHz-1 MHz' },
+];
+
+const classifySfra = (rLow, rMid, rHigh) => {
+  if (![rLow, rMid, rHigh].every(Number.isFinite)) return null;
+  if (rLow < 0.6) return { label: 'Deformación severa', normal: false };
+  if (rLow < 1 || rMid < 0.6) return { label: 'Deformación evidente', normal: false };
+  if (rLow < 2 || rMid < 1) return { label: 'Deformación leve', normal: false };
+  if (rHigh < 0.6) return { label: 'Deformación leve', normal: false };
+  return { label: 'Normal', normal: true };
+};
+
+// Por encima de esta humedad relativa las fugas superficiales distorsionan TG Delta y aislación
+const HUMIDITY_WARNING_LIMIT = 80;
+
+// Grupo de conexión (ej: Dyn11, YNd1): devuelve el factor que convierte la relación de tensiones
+// de línea en relación de tensiones de fase, que es lo que mide el TTR monofásico.
+// Estrella y zigzag ven V/√3 por fase, triángulo ve V. Devuelve null si el grupo no es válido.
+const getVectorGroupFactor = (vectorGroup) => {
+  const vg = (vectorGroup || '').replace(/\s/g, '').toUpperCase();
+  if (!vg) return 1;
+  const match = vg.match(/^([YDZ])N?([YDZ])N?(\d{1,2})?$/);
+  if (!match) return null;
+  const phaseDivisor = (w) => (w === 'D' ? 1 : Math.sqrt(3));
+  return phaseDivisor(match[2]) / phaseDivisor(match[1]);
+};
+
+// --- ESQUEMA DE TAPS ---
+// Numeración del conmutador (`tapScheme` de la planilla):
+//   style          'signed' (+N … 0 … −M) o 'numbered' (1 … K)
+//   raise, lower   posiciones por encima y por debajo de la nominal (el rango puede ser asimétrico)
+//   neutralCopies  posiciones repetidas en la nominal (9a/9b/9c), de 1 a 3
+//   firstAt        en 'numbered', si la posición 1 es la de máxima ('raise') o mínima ('lower') relación
+// Las filas se identifican por su posición eléctrica (pos-i, neutral, neutral-2, neg-i) y no por el
+// rótulo: cambiar la numeración no mueve lecturas, y las de una posición que queda fuera del rango
+// se conservan en `data` y reaparecen si la posición vuelve al esquema.
+const MAX_TAP_RANGE = 16;
+const MAX_NEUTRAL_COPIES = 3;
+const TAP_SCHEME_STYLES = { signed: 'Con signo (+N … 0 … −N)', numbered: 'Numerada (1 … N)' };
+
+const symmetricTapScheme = (range) => ({ style: 'signed', raise: range, lower: range, neutralCopies: 1, firstAt: 'raise' });
+// Los proyectos anteriores al esquema solo tienen `tapRange` (±N simétrico)
+const tapSchemeOf = (sheet) => ({ ...symmetricTapScheme(sheet.tapRange || 0), ...sheet.tapScheme });
+
+const tapLabel = ({ style, raise, lower, firstAt }, { position, copy }) => {
+  const nominal = position === 0 ? ' (Nominal)' : '';
+  if (style === 'numbered') return `${firstAt === 'lower' ? lower + 1 + position : raise + 1 - position}${copy}${nominal}`;
+  return `${position > 0 ? '+' : ''}${position}${copy}${nominal}`;
+};
+
+// Posiciones del conmutador de la de máxima relación a la de mínima, con la nominal entre ambas
+const buildTapRows = (scheme) => {
+  const { raise, lower, neutralCopies } = scheme;
+  const rows = [];
+  for (let i = raise; i >= 1; i--) rows.push({ id: `pos-${i}`, position: i, copy: '' });
+  for (let c = 0; c < neutralCopies; c++) {
+    rows.push({ id: c === 0 ? 'neutral' : `neutral-${c + 1}`, position: 0, copy: neutralCopies > 1 ? String.fromCharCode(97 + c) : '' });
+  }
+  for (let i = 1; i <= lower; i++) rows.push({ id: `neg-${i}`, position: -i, copy: '' });
+  return rows.map(row => ({ ...row, label: tapLabel(scheme, row) }));
+};
+
+// Resumen para tarjetas y listados: "±5", "+4/−12", "1…17 (nominal 9a-9c)"
+const describeTapScheme = (scheme) => {
+  const nominal = buildTapRows(scheme).filter(row => row.position === 0).map(row => row.label.replace(' (Nominal)', ''));
+  const nominalText = nominal.length > 1 ? `${nominal[0]}-${nominal[nominal.length - 1]}` : nominal[0];
+  if (scheme.style === 'numbered') return `1…${scheme.raise + scheme.lower + 1} (nominal ${nominalText})`;
+  const range = scheme.raise === scheme.lower ? `±${scheme.raise}` : `+${scheme.raise}/−${scheme.lower}`;
+  return nominal.length > 1 ? `${range} (nominal ${nominalText})` : range;
+};
+
+// --- CONFIGURACIÓN DE DEVANADOS ---
+// La placa declara dos o tres devanados (`nameplate.windings`). El TTR tiene una tabla por par de
+// devanados y la resistencia una por devanado; cada una recorre las posiciones de su conmutador:
+// 'hv' (esquema de taps y escalón de AT), 'mv' (±mvTapRange y mvTapStep de la placa) o ninguno (una fila).
+// El par AT/BT y el devanado AT guardan sus filas en `data` por id de tap, como siempre; los demás
+// con el prefijo delante (p. ej. 'atmt:pos-1'), así conviven en la misma lista de filas.
+const TAP_CHANGERS = {
+  hv: { scheme: (sheet) => tapSchemeOf(sheet), step: 'tapStep' },
+  mv: { scheme: (sheet) => symmetricTapScheme(parseInt(sheet.nameplate.mvTapRange, 10) || 0), step: 'mvTapStep' },
+};
+
+// Rótulo de la tensión de cada devanado en el Excel (el importador lo reconoce igual)
+const WINDING_VOLTAGE_LABELS = { hvVoltage: 'Tensión AT (kV):', mvVoltage: 'Tensión MT (kV):', lvVoltage: 'Tensión BT (kV):' };
+
+const TTR_PAIRS = {
+  'AT-BT': { label: 'AT / BT', prefix: '', high: 'hvVoltage', low: 'lvVoltage', vectorGroup: 'vectorGroup', changer: 'hv' },
+  'AT-MT': { label: 'AT / MT', prefix: 'atmt:', high: 'hvVoltage', low: 'mvVoltage', vectorGroup: 'vectorGroupHM', changer: 'hv' },
+  'MT-BT': { label: 'MT / BT', prefix: 'mtbt:', high: 'mvVoltage', low: 'lvVoltage', vectorGroup: 'vectorGroupML', changer: 'mv' },
+};
+
+const RESISTANCE_WINDINGS = {
+  AT: { label: 'Devanado AT', prefix: '', changer: 'hv' },
+  MT: { label: 'Devanado MT', prefix: 'mt:', changer: 'mv' },
+  BT: { label: 'Devanado BT', prefix: 'bt:', changer: null },
+};
+
+// En dos devanados se mide la resistencia del lado con conmutador, como antes de existir la configuración
+const WINDING_CONFIGS = {
+  two: { label: 'Dos devanados (AT/BT)', pairs: ['AT-BT'], windings: ['AT'] },
+  three: { label: 'Tres devanados (AT/MT/BT)', pairs: ['AT-MT', 'AT-BT', 'MT-BT'], windings: ['AT', 'MT', 'BT'] },
+};
+
+const windingConfigOf = (sheet) => WINDING_CONFIGS[sheet.nameplate.windings] || WINDING_CONFIGS.two;
+const changerTapRows = (sheet, changer) => buildTapRows(changer ? TAP_CHANGERS[changer].scheme(sheet) : symmetricTapScheme(0));
+const tapRowKey = (entry, tap) => `${entry.prefix}${tap.id}`;
+const ttrPairTitle = (pair) => `Relación ${pair.label}`;
+
+// Tablas del TTR y de resistencia de una planilla: [{ id, pair | winding, rows }]
+const ttrTablesOf = (sheet) => windingConfigOf(sheet).pairs.map(id => ({ id, pair: TTR_PAIRS[id], rows: changerTapRows(sheet, TTR_PAIRS[id].changer) }));
+const resistanceTablesOf = (sheet) => windingConfigOf(sheet).windings.map(id => ({ id, winding: RESISTANCE_WINDINGS[id], rows: changerTapRows(sheet, RESISTANCE_WINDINGS[id].changer) }));
+
+// --- CÁLCULOS POR TAP (TTR Y RESISTENCIA) ---
+// Funciones puras sobre la planilla: las usan el editor y la comparación entre ensayos de un equipo.
+// Sin lectura o sin relación teórica no hay desvío (la fila queda sin evaluar)
+const calculateDeviation = (measured, rated) => {
+  const m = readNum(measured);
+  const r = readNum(rated);
+  if (m === null || r === null || r === 0) return null;
+  return ((m - r) / r) * 100;
+};
+
+// Relación teórica por posición: (AT · (1 + pos · escalón%)) / BT, corregida por grupo de conexión.
+// En tres devanados, el par indica qué tensiones, grupo y escalón usar.
+const calculateRatedRatio = (nameplate, position, pair = TTR_PAIRS['AT-BT']) => {
+  const hv = readNum(nameplate[pair.high]);
+  const lv = readNum(nameplate[pair.low]);
+  // Sin escalón solo se conoce la posición nominal
+  const step = position === 0 ? 0 : readNum(nameplate[TAP_CHANGERS[pair.changer].step]);
+  const vectorGroupFactor = getVectorGroupFactor(nameplate[pair.vectorGroup]);
+  if (hv === null || lv === null || step === null || hv <= 0 || lv <= 0 || vectorGroupFactor === null) return null;
+  return (hv * (1 + (position * step) / 100) / lv) * vectorGroupFactor;
+};
+
+// Los valores cargados antes de existir la placa (sin marca) se respetan como manuales
+const isRatedRatioManual = (rowData) =>
+  rowData.ratedRatioManual === true || (rowData.ratedRatioManual === undefined && !!rowData.ratedRatio);
+
+const ratedRatioFor = (nameplate, rowData, position, pair) => {
+  const computed = calculateRatedRatio(nameplate, position, pair);
+  if (isRatedRatioManual(rowData) || computed === null) {
+    return { value: rowData.ratedRatio || '', manual: isRatedRatioManual(rowData) };
+  }
+  return { value: formatNum(computed, 4), manual: false };
+};
+
+// Conexiones de resistencia por devanado: el AT usa los campos de siempre de resistanceSettings y
+// MT/BT los suyos en resistanceSettings.windings[id]; las temperaturas son de toda la sesión.
+const DEFAULT_RESISTANCE_CONNECTIONS = {
+  conn1Name: 'Conexión 1', conn2Name: 'Conexión 2', conn3Name: 'Conexión 3',
+  conn1Material: 'cu', conn2Material: 'cu', conn3Material: 'cu',
+};
+const resistanceSettingsFor = (settings, windingId) => (windingId === 'AT' ? settings
+  : { ...settings, ...DEFAULT_RESISTANCE_CONNECTIONS, ...settings.windings?.[windingId] });
+
+// Los proyectos anteriores a la selección de material se asumen de cobre
+const windingMaterialOf = (settings, conn) => (WINDING_MATERIALS[settings[`conn${conn}Material`]] ? settings[`conn${conn}Material`] : 'cu');
+const materialConstantOf = (settings, conn) => {
+  const material = windingMaterialOf(settings, conn);
+  if (material !== 'custom') return WINDING_MATERIALS[material].constant;
+  const k = readNum(settings[`conn${conn}Constant`]);
+  return k === null || k <= 0 ? null : k;
+};
+
+// Resistencia referida a la temperatura de referencia: R · (K + T ref) / (K + T medida)
+const correctResistance = (settings, measuredVal, conn) => {
+  const m = readNum(measuredVal);
+  const t_meas = readNum(settings.measuredTemp);
+  const t_ref = readNum(settings.refTemp);
+  const k = materialConstantOf(settings, conn);
+  if (m === null || t_meas === null || t_ref === null || k === null) return null;
+  return m * ((k + t_ref) / (k + t_meas));
+};
+
+// Desbalance entre fases: máxima desviación respecto del promedio, en %
+const calculateImbalance = (values) => {
+  const valid = values.filter(Number.isFinite);
+  if (valid.length < 2) return null;
+  const avg = valid.reduce((sum, v) => sum + v, 0) / valid.length;
+  if (avg === 0) return null;
+  return Math.max(...valid.map(v => Math.abs(v - avg))) / avg * 100;
+};
+
+// --- MÓDULOS DE ENSAYO ---
+// Cada ensayo se describe con una definición declarativa; de ella salen la pestaña, la tabla, los
+// valores por defecto de la planilla, la restauración desde el historial, la hoja de Excel y la
+// sección del PDF. Para agregar un ensayo alcanza con registrar su definición:
+//
+//   id, label, title, icon, theme   pestaña (label también nombra la hoja de Excel) y colores
+//   layout                          'perTap': una fila por posición, guardada en `data`
+//                                   'rows': lista de filas propia en `dataKey` (defaultRows al crear)
+//   settings                        { key, defaults, shared, fields: [{ key, label, unit, input, options, min, max }] }
+//                                   barra de configuración; shared indica que el objeto es de otro ensayo
+//   conditions                      { key, defaults, tables, correction } temperatura/humedad y factor a 20 °C
+//   criteria                        [{ key, label }] límites del criterio de aceptación que usa el ensayo
+//   columns                         [{ key, label, exportLabel, unit, group, input, options, placeholder,
+//                                   hint, decimals, format, tone, min, max }]; sin `input` es una columna
+//                                   calculada y su valor sale de compute(fila, ctx)[key]. min/max es el
+//                                   rango válido de las columnas 'decimal' (ver CAMPOS NUMÉRICOS)
+//   evaluate(calc, fila, ctx)       true / false / null (sin datos): columna Estado
+//   meta(ctx), footnote(ctx)        datos extra del encabezado del reporte y nota al pie
+//   chart                           { title, series(filas), xAxis } curva opcional bajo la tabla y en el PDF
+//   templateFields                  campos de fila (o del tap) que son configuración y no lecturas:
+//                                   los conservan las plantillas y los duplicados sin lecturas
+//
+// ctx = { criteria, nameplate, settings, conditions, factor, tap }. Los ensayos con vista propia
+// (`custom`) solo declaran pestaña, criterios, qué claves de la planilla les pertenecen y
+// evaluateSheet(planilla), la lista de evaluaciones para el resultado global del proyecto.
+const TEST_MODULES = {};
+const registerTestModule = (definition) => { TEST_MODULES[definition.id] = definition; };
+
+const STATUS_LABELS = { true: 'ACEPTABLE', false: 'NO ACEPTABLE' };
+
+// Falla si alguna evaluación falla, aceptable si hay al menos una y ninguna falla
+const combineResults = (results) => {
+  if (results.includes(false)) return false;
+  return results.includes(true) ? true : null;
+};
+
+const limitFrom = (criteria, key) => readNum(criteria[key]);
+
+const INJECTION_OPTIONS = { AT: 'AT', MT: 'MT', BT: 'BT' };
+
+registerTestModule({
+  id: 'ttr', label: 'TTR', title: 'Relación de Transformación (TTR)', icon: Zap, theme: { tab: 'text-blue-600' },
+  layout: 'perTap', custom: true,
+  tabKeys: ['nameplate'], dataFields: ['ratioPercent', 'ratedRatio', 'ratedRatioManual', 'phaseA', 'phaseB', 'phaseC'],
+  templateFields: ['ratioPercent', 'ratedRatio', 'ratedRatioManual'],
+  criteria: [{ key: 'ttrMaxDeviation', label: 'Desvío máx. ±%' }],
+  // Una evaluación por fase, tap y par de devanados
+  evaluateSheet: (sheet) => {
+    const limit = limitFrom(sheet.criteria, 'ttrMaxDeviation');
+    return ttrTablesOf(sheet).flatMap(({ pair, rows }) => rows.flatMap(tap => {
+      const rowData = sheet.data[tapRowKey(pair, tap)] || {};
+      const rated = ratedRatioFor(sheet.nameplate, rowData, tap.position, pair);
+      return ['phaseA', 'phaseB', 'phaseC'].map(field => {
+        const deviation = calculateDeviation(rowData[field], rated.value);
+        return deviation === null || limit === null ? null : Math.abs(deviation) <= limit;
+      });
+    }));
+  },
+});
+
+registerTestModule({
+  id: 'resistance', label: 'Resistencia', title: 'Resistencia de Devanados', icon: Activity, theme: { tab: 'text-purple-600' },
+  layout: 'perTap', custom: true,
+  tabKeys: ['resistanceSettings'], dataFields: ['resConn1Meas', 'resConn2Meas', 'resConn3Meas'],
+  criteria: [{ key: 'resImbalanceMax', label: 'Desbalance máx. %' }],
+  // Una evaluación de desbalance por tap y devanado
+  evaluateSheet: (sheet) => {
+    const limit = limitFrom(sheet.criteria, 'resImbalanceMax');
+    return resistanceTablesOf(sheet).flatMap(({ id, winding, rows }) => rows.map(tap => {
+      const rowData = sheet.data[tapRowKey(winding, tap)] || {};
+      const settings = resistanceSettingsFor(sheet.resistanceSettings, id);
+      const imbalance = calculateImbalance([1, 2, 3].map(conn => correctResistance(settings, rowData[`resConn${conn}Meas`], conn)));
+      return imbalance === null || limit === null ? null : imbalance <= limit;
+    }));
+  },
+});
+
+registerTestModule({
+  id: 'tgdelta', label: 'TG Delta', title: 'Factor de Potencia / TG Delta', icon: Percent,
+  theme: {
+    tab: 'text-orange-600', head: 'bg-orange-800', group: 'bg-orange-900', border: 'border-orange-700',
+    bar: 'bg-orange-50 border-orange-200', label: 'text-orange-900', input: 'border-orange-300', link: 'text-orange-700 hover:text-orange-900'
+  },
+  layout: 'rows', dataKey: 'tgDeltaData', defaultRows: 4,
+  templateFields: ['mode', 'injection', 'measurement', 'guard', 'testVoltage'],
+  conditions: {
+    key: 'tgDeltaConditions', tables: TG_CORRECTION_TABLES, correction: (table, temp) => getTgCorrectionFactor(table, temp),
+    defaults: { testTemp: '', ambientTemp: '', humidity: '', correctionTable: 'oil-immersed' },
+    // Proyectos guardados antes de las condiciones de ensayo: sin temperatura, se evalúan sin corregir como entonces
+    legacyDefaults: { testTemp: '', ambientTemp: '', humidity: '', correctionTable: 'none' },
+  },
+  criteria: [{ key: 'tgMaxPercent', label: 'TG máx. %' }],
+  columns: [
+    { key: 'mode', label: 'Modo', input: 'select', options: { UST: 'UST', 'GST g': 'GST g', 'GST-GND': 'GST-GND' } },
+    { key: 'injection', label: 'Inyección', group: 'CONEXIONES', input: 'select', options: INJECTION_OPTIONS },
+    { key: 'measurement', label: 'Medición', group: 'CONEXIONES', input: 'text' },
+    { key: 'guard', label: 'Guarda', group: 'CONEXIONES', input: 'text' },
+    { key: 'testVoltage', label: 'Tensión Ensayo', input: 'decimal', placeholder: '0', min: 0 },
+    { key: 'tgPercent', label: 'TG (%)', input: 'decimal', placeholder: '%', min: 0, max: 100 },
+    { key: 'corrected', label: 'TG a 20°C (%)', exportLabel: 'TG 20°C (%)', decimals: 3 },
+    { key: 'capacitance', label: 'Cx (pF)', input: 'decimal', placeholder: 'pF', min: 0 },
+  ],
+  compute: (row, ctx) => {
+    const tg = readNum(row.tgPercent);
+    return { corrected: tg === null || ctx.factor === null ? null : tg * ctx.factor };
+  },
+  // Se evalúa siempre el valor corregido a 20 °C
+  evaluate: ({ corrected }, row, ctx) => {
+    const limit = limitFrom(ctx.criteria, 'tgMaxPercent');
+    return corrected === null || limit === null ? null : corrected < limit;
+  },
+  footnote: (ctx) => `* TG a 20°C aceptable si es menor a ${ctx.criteria.tgMaxPercent}% (${ctx.criteria.name}).`,
+});
+
+// RAD e IP son cocientes de lecturas a la misma temperatura: el factor de corrección se cancela
+const insulationRatio = (numerator, denominator) => {
+  const num = readNum(numerator);
+  const den = readNum(denominator);
+  return num === null || den === null || den === 0 ? null : num / den;
+};
+
+registerTestModule({
+  id: 'insulation', label: 'Aislación', title: 'Resistencia de Aislación (GΩ)', icon: Shield,
+  theme: {
+    tab: 'text-teal-600', head: 'bg-teal-800', group: 'bg-teal-900', border: 'border-teal-700',
+    bar: 'bg-teal-50 border-teal-200', label: 'text-teal-900', input: 'border-teal-300', link: 'text-teal-700 hover:text-teal-900'
+  },
+  layout: 'rows', dataKey: 'insulationData', defaultRows: 6,
+  templateFields: ['injection', 'measurement', 'guard'],
+  conditions: {
+    key: 'insulationConditions', tables: INSULATION_CORRECTION_TABLES, correction: (table, temp) => getInsulationCorrectionFactor(table, temp),
+    defaults: { testTemp: '', ambientTemp: '', humidity: '', correctionTable: 'halving-10' },
+  },
+  criteria: [{ key: 'piMin', label: 'IP mínimo' }],
+  columns: [
+    { key: 'injection', label: 'Iny', exportLabel: 'Inyección', group: 'CONEXIÓN', input: 'select', options: INJECTION_OPTIONS },
+    { key: 'measurement', label: 'Med', exportLabel: 'Medición', group: 'CONEXIÓN', input: 'text' },
+    { key: 'guard', label: 'Gda', exportLabel: 'Guarda', group: 'CONEXIÓN', input: 'text' },
+    { key: 'val30s', label: '30"', group: 'RESULTADOS EN GΩ', input: 'decimal', min: 0 },
+    ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(min => ({ key: `val${min}m`, label: `${min}'`, group: 'RESULTADOS EN GΩ', input: 'decimal', min: 0 })),
+    { key: 'r1m20', label: "1'", exportLabel: "1' 20°C", group: 'A 20 °C' },
+    { key: 'r10m20', label: "10'", exportLabel: "10' 20°C", group: 'A 20 °C' },
+    { key: 'dar', label: 'RAD', exportLabel: 'RAD (DAR)', group: 'ÍNDICES (IEEE 43)' },
+    { key: 'darClass', label: 'Clasif.', exportLabel: 'Clasif. RAD', group: 'ÍNDICES (IEEE 43)', format: (cls) => cls.label, tone: (cls) => cls.color },
+    { key: 'pi', label: 'IP', exportLabel: 'IP (PI)', group: 'ÍNDICES (IEEE 43)' },
+    { key: 'piClass', label: 'Clasif.', exportLabel: 'Clasif. IP', group: 'ÍNDICES (IEEE 43)', format: (cls) => cls.label, tone: (cls) => cls.color },
+    { key: 'at40', label: "1'", exportLabel: "1' 40°C", group: 'MÍNIMO A 40 °C (GΩ)' },
+    { key: 'minimum', label: 'Mín.', exportLabel: 'Mín. 40°C', group: 'MÍNIMO A 40 °C (GΩ)', decimals: 3 },
+  ],
+  compute: (row, ctx) => {
+    const correct = (value) => (readNum(value) === null || ctx.factor === null ? null : readNum(value) * ctx.factor);
+    const dar = insulationRatio(row.val1m, row.val30s);
+    const pi = insulationRatio(row.val10m, row.val1m);
+    // Lectura a 1' referida a 40 °C contra el mínimo de IEEE 43 para la tensión del devanado inyectado. El mínimo
+    // está definido a 40 °C, así que se refiere siempre con la regla de IEEE 43 (mitad cada 10 °C), aunque la
+    // sesión no corrija a 20 °C; sin temperatura de ensayo no se evalúa
+    const r1m20 = correct(row.val1m);
+    const r1m = readNum(row.val1m);
+    const to20 = getInsulationCorrectionFactor('halving-10', readNum(ctx.conditions.testTemp));
+    const voltageField = INSULATION_WINDING_VOLTAGE[row.injection];
+    return {
+      r1m20, r10m20: correct(row.val10m),
+      dar, darClass: classifyInsulationIndex(dar, DAR_CLASS_LIMITS),
+      pi, piClass: classifyInsulationIndex(pi, PI_CLASS_LIMITS),
+      at40: r1m === null || to20 === null ? null : r1m * to20 / getInsulationCorrectionFactor('halving-10', 40),
+      minimum: voltageField ? getMinimumInsulation(readNum(ctx.nameplate[voltageField])) : null,
+    };
+  },
+  evaluate: ({ pi, at40, minimum }, row, ctx) => {
+    const piMin = limitFrom(ctx.criteria, 'piMin');
+    return combineResults([
+      pi === null || piMin === null ? null : pi > piMin,
+      at40 === null || minimum === null ? null : at40 >= minimum,
+    ]);
+  },
+  footnote: (ctx) => `* IP aceptable si es mayor a ${ctx.criteria.piMin} (${ctx.criteria.name}). RAD = 1' / 30" | IP = 10' / 1'. Clasificación IEEE 43 (RAD: < 1 / 1,25 / 1,6; IP: < 1 / 2 / 4). Mínimo a 1' referido a 40 °C (mitad cada 10 °C desde la temperatura de ensayo, con cualquier tabla de corrección): kV + 1 MΩ según la tensión del devanado inyectado.`,
+  chart: { title: 'Curva de polarización (GΩ, escala log)', series: (rows) => insulationCurveSeries(rows) },
+});
+
+registerTestModule({
+  id: 'excitation', label: 'Excitación', title: 'Corriente de Excitación', icon: Magnet,
+  theme: {
+    tab: 'text-indigo-600', head: 'bg-indigo-900', group: 'bg-indigo-950', border: 'border-indigo-700',
+    bar: 'bg-indigo-50 border-indigo-200', label: 'text-indigo-900', input: 'border-indigo-300', link: 'text-indigo-700 hover:text-indigo-900'
+  },
+  layout: 'perTap',
+  settings: {
+    key: 'excitationSettings', defaults: { testVoltage: '', pattern: 'hlh' },
+    fields: [
+      { key: 'testVoltage', label: 'Tensión Aplicada', unit: 'kV', input: 'decimal', min: 0 },
+      { key: 'pattern', label: 'Patrón Esperado', input: 'select', options: Object.fromEntries(Object.entries(EXCITATION_PATTERNS).map(([id, p]) => [id, p.name])) },
+    ],
+  },
+  criteria: [{ key: 'excitationMaxDiff', label: 'Diferencia máx. %' }],
+  columns: [
+    ...['A', 'B', 'C'].map(phase => ({ key: `exc${phase}`, label: `Fase ${phase}`, unit: 'mA', group: 'CORRIENTE (mA)', input: 'decimal', min: 0 })),
+    { key: 'pattern', label: 'Patrón', group: 'ANÁLISIS', tone: (value, calc) => (calc.centerLower === false ? 'text-red-700 font-bold' : 'text-indigo-800 font-bold') },
+    { key: 'spread', label: 'Dif. %', exportLabel: 'Diferencia %', group: 'ANÁLISIS', decimals: 1 },
+  ],
+  compute: (row, ctx) => {
+    const currents = ['excA', 'excB', 'excC'].map(field => readNum(row[field]));
+    const check = checkExcitationPattern(currents, ctx.settings.pattern);
+    return { pattern: check ? check.pattern : null, spread: check ? check.spread : null, centerLower: check ? check.centerLower : null };
+  },
+  // Las fases que el patrón espera iguales no deben diferir más que el criterio
+  evaluate: ({ spread, centerLower }, row, ctx) => {
+    const limit = limitFrom(ctx.criteria, 'excitationMaxDiff');
+    return spread === null || limit === null ? null : spread <= limit && centerLower !== false;
+  },
+  footnote: (ctx) => `* Ensayo monofásico por fase. Las fases que el patrón espera iguales no deben diferir más de ${ctx.criteria.excitationMaxDiff}% (${ctx.criteria.name}); en Alto-Bajo-Alto la fase B (columna central) debe ser la menor.`,
+});
+
+registerTestModule({
+  id: 'impedance', label: 'Impedancia', title: 'Impedancia de Cortocircuito', icon: Gauge,
+  theme: {
+    tab: 'text-rose-600', head: 'bg-rose-900', group: 'bg-rose-950', border: 'border-rose-700',
+    bar: 'bg-rose-50 border-rose-200', label: 'text-rose-900', input: 'border-rose-300', link: 'text-rose-700 hover:text-rose-900'
+  },
+  layout: 'perTap',
+  // Potencia y Z% son datos de placa, compartidos con el resto de la planilla
+  settings: {
+    key: 'nameplate', shared: true,
+    fields: [
+      { key: 'ratedPower', label: 'Potencia Nominal', unit: 'MVA', input: 'decimal', min: 0 },
+      { key: 'impedance', label: 'Z% de Placa', unit: '%', input: 'decimal', min: 0, max: 100 },
+    ],
+  },
+  criteria: [{ key: 'impedanceMaxDeviation', label: 'Desvío placa ±%' }, { key: 'impedancePhaseMax', label: 'Dispersión fases %' }],
+  columns: [
+    ...['A', 'B', 'C'].map(phase => ({ key: `imp${phase}`, label: `Fase ${phase}`, exportLabel: `Z ${phase} (Ω)`, group: 'Z POR FASE (Ω)', input: 'decimal', min: 0 })),
+    ...['A', 'B', 'C'].map(phase => ({ key: `pct${phase}`, label: phase, exportLabel: `Z% ${phase}`, group: 'Z%' })),
+    { key: 'average', label: 'Prom.', exportLabel: 'Z% Prom.', group: 'Z%' },
+    { key: 'deviation', label: 'Desvío Placa %', group: 'ANÁLISIS' },
+    { key: 'spread', label: 'Dispersión %', exportLabel: 'Dispersión Fases %', group: 'ANÁLISIS' },
+  ],
+  // Z% de cada fase a la tensión AT del tap; el promedio se compara con la placa y cada fase con el promedio
+  compute: (row, ctx) => {
+    const hv = readNum(ctx.nameplate.hvVoltage);
+    const step = ctx.tap.position === 0 ? 0 : readNum(ctx.nameplate.tapStep);
+    const tapKV = hv === null || step === null ? null : hv * (1 + ctx.tap.position * step / 100);
+    const [pctA, pctB, pctC] = ['impA', 'impB', 'impC'].map(field =>
+      calculateImpedancePercent(readNum(row[field]), tapKV, readNum(ctx.nameplate.ratedPower)));
+    const measured = [pctA, pctB, pctC].filter(pct => pct !== null);
+    const average = measured.length ? measured.reduce((sum, pct) => sum + pct, 0) / measured.length : null;
+    const rated = readNum(ctx.nameplate.impedance);
+    return {
+      pctA, pctB, pctC, average,
+      deviation: average !== null && rated !== null && rated > 0 ? (average - rated) / rated * 100 : null,
+      spread: measured.length === 3 ? Math.max(...measured.map(pct => Math.abs(pct - average) / average * 100)) : null,
+    };
+  },
+  evaluate: ({ deviation, spread }, row, ctx) => {
+    const maxDeviation = limitFrom(ctx.criteria, 'impedanceMaxDeviation');
+    const maxSpread = limitFrom(ctx.criteria, 'impedancePhaseMax');
+    return combineResults([
+      deviation === null || maxDeviation === null ? null : Math.abs(deviation) <= maxDeviation,
+      spread === null || maxSpread === null ? null : spread <= maxSpread,
+    ]);
+  },
+  meta: (ctx) => [["Tensión AT (kV):", ctx.nameplate.hvVoltage], ["Escalón (%):", ctx.nameplate.tapStep]],
+  footnote: (ctx) => `* Z% = Z por fase (equivalente estrella) / (kV² / MVA) a la tensión AT de cada tap. Desvío respecto de placa aceptable hasta ±${ctx.criteria.impedanceMaxDeviation}% y dispersión entre fases hasta ${ctx.criteria.impedancePhaseMax}% (${ctx.criteria.name}).`,
+});
+
+registerTestModule({
+  id: 'sfra', label: 'SFRA', title: 'Respuesta en Frecuencia (SFRA)', icon: Waves,
+  theme: {
+    tab: 'text-cyan-600', head: 'bg-cyan-800', group: 'bg-cyan-900', border: 'border-cyan-700',
+    bar: 'bg-cyan-50 border-cyan-200', label: 'text-cyan-900', input: 'border-cyan-300', link: 'text-cyan-700 hover:text-cyan-900'
+  },
+  layout: 'rows', dataKey: 'sfraData', defaultRows: 6,
+  templateFields: ['test', 'winding', 'terminals', 'reference'],
+  columns: [
+    { key: 'test', label: 'Ensayo', group: 'TRAZA', input: 'select', options: SFRA_TESTS },
+    { key: 'winding', label: 'Devanado', group: 'TRAZA', input: 'text', placeholder: 'AT' },
+    { key: 'terminals', label: 'Terminales', group: 'TRAZA', input: 'text', placeholder: 'H1-H2' },
+    { key: 'reference', label: 'Comparado con', group: 'TRAZA', input: 'text', placeholder: 'Fase / ensayo previo' },
+    ...SFRA_BANDS.map(band => ({ key: band.field, label: band.label, exportLabel: `${band.label} (${band.range})`, hint: band.range, group: 'FACTOR RELATIVO R (DL/T 911)', input: 'decimal', min: 0 })),
+    { key: 'diagnosis', label: 'Diagnóstico', group: 'ANÁLISIS', format: (diagnosis) => diagnosis.label, tone: (diagnosis) => (diagnosis.normal ? 'text-cyan-800 font-bold' : 'text-red-700 font-bold') },
+  ],
+  compute: (row) => ({ diagnosis: classifySfra(...SFRA_BANDS.map(band => readNum(row[band.field]))) }),
+  evaluate: ({ diagnosis }) => (diagnosis === null ? null : diagnosis.normal),
+  meta: () => [["Criterio:", 'DL/T 911']],
+  footnote: () => '* Factores relativos entre las trazas comparadas. Normal: R BF ≥ 2,0, R MF ≥ 1,0 y R AF ≥ 0,6; por debajo se clasifica la deformación como leve, evidente o severa.',
+});
+
+// --- ENSAYOS DE OTROS EQUIPOS (TC, TT, MOTORES Y CABLES) ---
+// Error de relación de un transformador de medida (IEC 61869): (Kn · S − P) / P · 100, con Kn la
+// relación nominal y P, S las magnitudes primaria y secundaria medidas. Vale para TC y TT.
+const ratioErrorPercent = (ratedRatio, primary, secondary) => {
+  const p = readNum(primary);
+  const s = readNum(secondary);
+  if (ratedRatio === null || p === null || s === null || p === 0) return null;
+  return (ratedRatio * s - p) / p * 100;
+};
+const readRatio = (numerator, denominator) => {
+  const num = readNum(numerator);
+  const den = readNum(denominator);
+  return num === null || den === null || den === 0 ? null : num / den;
+};
 
-  // Datos TTR y Resistencia
-  const [data, setData] = useState(project.data || {});
+// Límite del error de relación por clase de precisión a valores nominales (IEC 61869-2 y 61869-3)
+const CT_ACCURACY_CLASSES = { '0.2': 0.2, '0.5': 0.5, '1': 1, '3': 3, '5P': 1, '10P': 3 };
+const VT_ACCURACY_CLASSES = { '0.2': 0.2, '0.5': 0.5, '1': 1, '3': 3, '3P': 3, '6P': 6 };
+const accuracyOptions = (classes) => Object.fromEntries(Object.keys(classes).map(cls => [cls, cls.replace('.', ',')]));
+const POLARITY_OPTIONS = { ok: 'Correcta', inverted: 'Invertida' };
 
-  // Datos TG Delta
-  const [tgDeltaData, setTgDeltaData] = useState(project.tgDeltaData || [
-    { id: generateId() }, { id: generateId() }, { id: generateId() }, { id: generateId() }
+// Error dentro de la clase y polaridad correcta; lo que no se cargó no se evalúa
+const evaluateRatioRow = (classes) => ({ error }, row) => {
+  const limit = classes[row.accuracyClass];
+  return combineResults([
+    error === null || limit === undefined ? null : Math.abs(error) <= limit,
+    row.polarity ? row.polarity === 'ok' : null,
   ]);
+};
 
-  // Datos Resistencia de Aislación
-  const [insulationData, setInsulationData] = useState(project.insulationData ||
-    Array(6).fill(null).map(() => ({ id: generateId() }))
-  );
+registerTestModule({
+  id: 'ctRatio', label: 'Relación TC', title: 'Relación y Polaridad (TC)', icon: Zap,
+  theme: {
+    tab: 'text-sky-600', head: 'bg-sky-800', group: 'bg-sky-900', border: 'border-sky-700',
+    bar: 'bg-sky-50 border-sky-200', label: 'text-sky-900', input: 'border-sky-300', link: 'text-sky-700 hover:text-sky-900'
+  },
+  layout: 'rows', dataKey: 'ctRatioData', defaultRows: 2,
+  templateFields: ['core', 'terminals', 'ratedPrimary', 'ratedSecondary', 'accuracyClass'],
+  columns: [
+    { key: 'core', label: 'Núcleo', group: 'SECUNDARIO', input: 'text', placeholder: '1S' },
+    { key: 'terminals', label: 'Bornes', group: 'SECUNDARIO', input: 'text', placeholder: '1S1-1S2' },
+    { key: 'ratedPrimary', label: 'Ip (A)', exportLabel: 'Ip nominal (A)', group: 'NOMINAL', input: 'decimal', min: 0 },
+    { key: 'ratedSecondary', label: 'Is (A)', exportLabel: 'Is nominal (A)', group: 'NOMINAL', input: 'select', options: { 1: '1', 5: '5' } },
+    { key: 'accuracyClass', label: 'Clase', group: 'NOMINAL', input: 'select', options: accuracyOptions(CT_ACCURACY_CLASSES) },
+    { key: 'primary', label: 'Ip (A)', exportLabel: 'Ip inyectada (A)', group: 'MEDICIÓN', input: 'decimal', min: 0 },
+    { key: 'secondary', label: 'Is (A)', exportLabel: 'Is medida (A)', group: 'MEDICIÓN', input: 'decimal', min: 0 },
+    { key: 'polarity', label: 'Polaridad', group: 'MEDICIÓN', input: 'select', options: POLARITY_OPTIONS },
+    { key: 'ratio', label: 'Relación', exportLabel: 'Relación medida', group: 'ANÁLISIS', decimals: 2 },
+    { key: 'error', label: 'Error %', exportLabel: 'Error de relación %', group: 'ANÁLISIS', decimals: 3 },
+  ],
+  compute: (row) => ({
+    ratio: readRatio(row.primary, row.secondary),
+    error: ratioErrorPercent(readRatio(row.ratedPrimary, row.ratedSecondary), row.primary, row.secondary),
+  }),
+  evaluate: evaluateRatioRow(CT_ACCURACY_CLASSES),
+  footnote: () => '* Error de relación = (Kn · Is − Ip) / Ip, aceptable dentro de la clase de precisión (IEC 61869-2: 0,2 / 0,5 / 1 / 3 %; 5P ±1 %, 10P ±3 %). La polaridad debe ser sustractiva (P1-S1).',
+});
+
+// Curva de excitación de TC: una fila por punto (tensión aplicada al secundario y corriente), agrupada por núcleo
+const ctExcitationSeries = (rows) => {
+  const cores = [...new Set(rows.map(row => row.core || ''))];
+  return cores.map((core, index) => ({
+    label: core || 'Sin núcleo',
+    color: CHART_COLORS[index % CHART_COLORS.length],
+    points: rows.filter(row => (row.core || '') === core)
+      .map(row => [readNum(row.current), readNum(row.voltage)])
+      .filter(([current, voltage]) => current > 0 && voltage > 0)
+      .sort((a, b) => a[0] - b[0]),
+  })).filter(series => series.points.length > 0);
+};
+
+registerTestModule({
+  id: 'ctExcitation', label: 'Excitación TC', title: 'Curva de Excitación (TC)', icon: Magnet,
+  theme: {
+    tab: 'text-violet-600', head: 'bg-violet-800', group: 'bg-violet-900', border: 'border-violet-700',
+    bar: 'bg-violet-50 border-violet-200', label: 'text-violet-900', input: 'border-violet-300', link: 'text-violet-700 hover:text-violet-900'
+  },
+  layout: 'rows', dataKey: 'ctExcitationData', defaultRows: 8,
+  templateFields: ['core'],
+  settings: {
+    key: 'ctExcitationSettings', defaults: { kneeVoltage: '', maxCurrent: '' },
+    fields: [
+      { key: 'kneeVoltage', label: 'Tensión de codo Vk', unit: 'V', input: 'decimal', min: 0 },
+      { key: 'maxCurrent', label: 'Ie máx. a Vk', unit: 'mA', input: 'decimal', min: 0 },
+    ],
+  },
+  columns: [
+    { key: 'core', label: 'Núcleo', input: 'text', placeholder: '1S' },
+    { key: 'voltage', label: 'Tensión', unit: 'V', input: 'decimal', min: 0 },
+    { key: 'current', label: 'Corriente', unit: 'mA', input: 'decimal', min: 0 },
+  ],
+  // Hasta la tensión de codo especificada la corriente no debe superar la máxima; los puntos por encima no se evalúan
+  evaluate: (calc, row, ctx) => {
+    const [voltage, current, knee, max] = [row.voltage, row.current, ctx.settings.kneeVoltage, ctx.settings.maxCurrent].map(readNum);
+    if (voltage === null || current === null || knee === null || max === null || voltage > knee) return null;
+    return current <= max;
+  },
+  footnote: (ctx) => `* Tensión aplicada al secundario y corriente de excitación, por núcleo. Hasta Vk = ${ctx.settings.kneeVoltage || '-'} V la corriente no debe superar ${ctx.settings.maxCurrent || '-'} mA.`,
+  chart: { title: 'Curva de excitación (V, escala log)', xAxis: (series) => logChartAxis('Corriente (mA)', series), series: (rows) => ctExcitationSeries(rows) },
+});
+
+registerTestModule({
+  id: 'vtRatio', label: 'Relación TT', title: 'Error de Relación (TT)', icon: Zap,
+  theme: {
+    tab: 'text-emerald-600', head: 'bg-emerald-800', group: 'bg-emerald-900', border: 'border-emerald-700',
+    bar: 'bg-emerald-50 border-emerald-200', label: 'text-emerald-900', input: 'border-emerald-300', link: 'text-emerald-700 hover:text-emerald-900'
+  },
+  layout: 'rows', dataKey: 'vtRatioData', defaultRows: 3,
+  templateFields: ['winding', 'ratedPrimary', 'ratedSecondary', 'accuracyClass'],
+  columns: [
+    { key: 'winding', label: 'Devanado', group: 'SECUNDARIO', input: 'text', placeholder: 'a-n' },
+    { key: 'ratedPrimary', label: 'Up (kV)', exportLabel: 'Up nominal (kV)', group: 'NOMINAL', input: 'decimal', min: 0 },
+    { key: 'ratedSecondary', label: 'Us (V)', exportLabel: 'Us nominal (V)', group: 'NOMINAL', input: 'decimal', min: 0 },
+    { key: 'accuracyClass', label: 'Clase', group: 'NOMINAL', input: 'select', options: accuracyOptions(VT_ACCURACY_CLASSES) },
+    { key: 'primary', label: 'Up (V)', exportLabel: 'Up aplicada (V)', group: 'MEDICIÓN', input: 'decimal', min: 0 },
+    { key: 'secondary', label: 'Us (V)', exportLabel: 'Us medida (V)', group: 'MEDICIÓN', input: 'decimal', min: 0 },
+    { key: 'polarity', label: 'Polaridad', group: 'MEDICIÓN', input: 'select', options: POLARITY_OPTIONS },
+    { key: 'ratio', label: 'Relación', exportLabel: 'Relación medida', group: 'ANÁLISIS', decimals: 2 },
+    { key: 'error', label: 'Error %', exportLabel: 'Error de relación %', group: 'ANÁLISIS', decimals: 3 },
+  ],
+  // La placa da Up en kV y Us en V; la medición es en V de ambos lados
+  compute: (row) => {
+    const rated = readRatio(row.ratedPrimary, row.ratedSecondary);
+    return { ratio: readRatio(row.primary, row.secondary), error: ratioErrorPercent(rated === null ? null : rated * 1000, row.primary, row.secondary) };
+  },
+  evaluate: evaluateRatioRow(VT_ACCURACY_CLASSES),
+  footnote: () => '* Error de relación = (Kn · Us − Up) / Up, aceptable dentro de la clase de precisión (IEC 61869-3: 0,2 / 0,5 / 1 / 3 %; 3P ±3 %, 6P ±6 %).',
+});
+
+registerTestModule({
+  id: 'motorResistance', label: 'Bobinados', title: 'Resistencia de Bobinados (Motor)', icon: Activity,
+  theme: {
+    tab: 'text-amber-600', head: 'bg-amber-800', group: 'bg-amber-900', border: 'border-amber-700',
+    bar: 'bg-amber-50 border-amber-200', label: 'text-amber-900', input: 'border-amber-300', link: 'text-amber-700 hover:text-amber-900'
+  },
+  layout: 'rows', dataKey: 'motorResistanceData', defaultRows: 1,
+  templateFields: ['winding'],
+  settings: {
+    key: 'motorSettings', defaults: { measuredTemp: '', refTemp: '75', material: 'cu' },
+    fields: [
+      { key: 'measuredTemp', label: 'Temp. Bobinado', unit: '°C', input: 'decimal', min: -40, max: 200 },
+      { key: 'refTemp', label: 'Temp. Referencia', unit: '°C', input: 'decimal', min: -40, max: 200 },
+      { key: 'material', label: 'Material', input: 'select', options: { cu: WINDING_MATERIALS.cu.name, al: WINDING_MATERIALS.al.name } },
+    ],
+  },
+  criteria: [{ key: 'motorImbalanceMax', label: 'Desbalance máx. %' }],
+  columns: [
+    { key: 'winding', label: 'Bobinado', input: 'text', placeholder: 'Estator' },
+    ...['U', 'V', 'W'].map(phase => ({ key: `res${phase}`, label: `Fase ${phase}`, group: 'MEDIDO (Ω)', input: 'decimal', min: 0 })),
+    { key: 'average', label: 'Prom.', exportLabel: 'Promedio (Ω)', group: 'ANÁLISIS', decimals: 4 },
+    { key: 'corrected', label: 'Prom. a T ref.', exportLabel: 'Promedio a T ref. (Ω)', group: 'ANÁLISIS', decimals: 4 },
+    { key: 'imbalance', label: 'Desb. %', exportLabel: 'Desbalance %', group: 'ANÁLISIS', decimals: 2 },
+  ],
+  compute: (row, ctx) => {
+    const values = ['resU', 'resV', 'resW'].map(field => readNum(row[field])).filter(value => value !== null);
+    const average = values.length === 3 ? values.reduce((sum, value) => sum + value, 0) / 3 : null;
+    return {
+      average,
+      corrected: average === null ? null : correctResistance({ ...ctx.settings, conn1Material: ctx.settings.material }, average, 1),
+      imbalance: calculateImbalance(values),
+    };
+  },
+  evaluate: ({ imbalance }, row, ctx) => {
+    const limit = limitFrom(ctx.criteria, 'motorImbalanceMax');
+    return imbalance === null || limit === null ? null : imbalance <= limit;
+  },
+  footnote: (ctx) => `* Desbalance = máx. desvío de las fases respecto del promedio; aceptable hasta ${ctx.criteria.motorImbalanceMax}% (${ctx.criteria.name}). El promedio se refiere a la temperatura de referencia con la constante del material.`,
+});
+
+registerTestModule({
+  id: 'cableInsulation', label: 'Aislación Cable', title: 'Aislación por Conductor (Cable)', icon: Shield,
+  theme: {
+    tab: 'text-lime-700', head: 'bg-lime-800', group: 'bg-lime-900', border: 'border-lime-700',
+    bar: 'bg-lime-50 border-lime-200', label: 'text-lime-900', input: 'border-lime-300', link: 'text-lime-700 hover:text-lime-900'
+  },
+  layout: 'rows', dataKey: 'cableInsulationData', defaultRows: 3,
+  templateFields: ['core', 'grounded', 'testVoltage'],
+  settings: {
+    key: 'cableSettings', defaults: { length: '', minResistance: '' },
+    fields: [
+      { key: 'length', label: 'Longitud', unit: 'km', input: 'decimal', min: 0 },
+      { key: 'minResistance', label: 'R mín. especificada', unit: 'GΩ·km', input: 'decimal', min: 0 },
+    ],
+  },
+  criteria: [{ key: 'piMin', label: 'IP mínimo' }],
+  columns: [
+    { key: 'core', label: 'Conductor', group: 'CONEXIÓN', input: 'text', placeholder: 'L1' },
+    { key: 'grounded', label: 'A tierra', group: 'CONEXIÓN', input: 'text', placeholder: 'L2+L3+Pantalla' },
+    { key: 'testVoltage', label: 'Tensión', unit: 'kV', input: 'decimal', min: 0 },
+    { key: 'val1m', label: "1'", exportLabel: "R 1' (GΩ)", group: 'RESULTADOS EN GΩ', input: 'decimal', min: 0 },
+    { key: 'val10m', label: "10'", exportLabel: "R 10' (GΩ)", group: 'RESULTADOS EN GΩ', input: 'decimal', min: 0 },
+    { key: 'perKm', label: 'GΩ·km', exportLabel: "R 1' (GΩ·km)", group: 'ANÁLISIS', decimals: 2 },
+    { key: 'pi', label: 'IP', exportLabel: 'IP (PI)', group: 'ANÁLISIS' },
+  ],
+  // La resistencia de aislación es inversamente proporcional al largo: se compara por kilómetro
+  compute: (row, ctx) => {
+    const r1m = readNum(row.val1m);
+    const length = readNum(ctx.settings.length);
+    return { perKm: r1m === null || length === null ? null : r1m * length, pi: readRatio(row.val10m, row.val1m) };
+  },
+  evaluate: ({ perKm, pi }, row, ctx) => {
+    const piMin = limitFrom(ctx.criteria, 'piMin');
+    const minimum = readNum(ctx.settings.minResistance);
+    return combineResults([
+      pi === null || piMin === null ? null : pi > piMin,
+      perKm === null || minimum === null ? null : perKm >= minimum,
+    ]);
+  },
+  footnote: (ctx) => `* Cada conductor contra los demás y la pantalla a tierra. R 1' por km = R 1' · longitud, aceptable desde ${ctx.settings.minResistance || '-'} GΩ·km; IP = 10' / 1' mayor a ${ctx.criteria.piMin} (${ctx.criteria.name}).`,
+});
+
+// --- TIPOS DE EQUIPO ---
+// Cada planilla es de un tipo de equipo (`equipmentType`), elegido al crearla: define qué ensayos
+// se pueden aplicar y qué datos de placa pide el encabezado. Los proyectos anteriores son
+// transformadores de potencia.
+const EQUIPMENT_TYPES = {
+  transformer: { label: 'Transformador de potencia', short: 'Transformador', icon: Zap, tests: ['ttr', 'resistance', 'tgdelta', 'insulation', 'excitation', 'impedance', 'sfra'] },
+  ct: { label: 'Transformador de corriente (TC)', short: 'TC', icon: Gauge, tests: ['ctRatio', 'ctExcitation', 'insulation'] },
+  vt: { label: 'Transformador de tensión (TT)', short: 'TT', icon: Gauge, tests: ['vtRatio', 'tgdelta', 'insulation'] },
+  motor: { label: 'Motor', short: 'Motor', icon: Fan, tests: ['motorResistance', 'insulation'] },
+  cable: { label: 'Cable de MT', short: 'Cable', icon: Cable, tests: ['cableInsulation'] },
+};
+const equipmentTypeOf = (project) => (EQUIPMENT_TYPES[project.equipmentType] ? project.equipmentType : 'transformer');
+
+// Claves de la planilla que administra cada ensayo declarativo (las compartidas no cuentan)
+const testModuleKeys = (module) => [
+  module.layout === 'rows' && !module.custom ? module.dataKey : null,
+  module.settings && !module.settings.shared ? module.settings.key : null,
+  module.conditions ? module.conditions.key : null,
+].filter(Boolean);
+const TEST_MODULE_KEYS = Object.values(TEST_MODULES).flatMap(testModuleKeys);
+
+// Un proyecto que ya tiene las filas del ensayo pero no sus condiciones es anterior a ellas
+const conditionsDefaultsFor = (module, project) => (module.conditions.legacyDefaults && project[module.dataKey]
+  ? module.conditions.legacyDefaults : module.conditions.defaults);
+
+// Valores por defecto de las claves propias de los ensayos para un proyecto
+const testModulesSheet = (project) => Object.fromEntries(Object.values(TEST_MODULES).flatMap(module => [
+  module.layout === 'rows' && !module.custom
+    ? [module.dataKey, project[module.dataKey] || Array(module.defaultRows).fill(null).map(() => ({ id: generateId() }))] : null,
+  module.settings && !module.settings.shared ? [module.settings.key, project[module.settings.key] || module.settings.defaults] : null,
+  module.conditions ? [module.conditions.key, project[module.conditions.key] || conditionsDefaultsFor(module, project)] : null,
+].filter(Boolean)));
+
+// Contexto de cálculo: criterio y placa comunes, más la configuración y condiciones del ensayo
+const testModuleContext = (module, sheet) => {
+  const conditions = module.conditions ? sheet[module.conditions.key] : null;
+  return {
+    criteria: sheet.criteria, nameplate: sheet.nameplate,
+    settings: module.settings ? sheet[module.settings.key] : null,
+    conditions,
+    // Factor de corrección a 20 °C según la temperatura declarada en la sesión
+    factor: conditions ? module.conditions.correction(conditions.correctionTable, readNum(conditions.testTemp)) : null,
+  };
+};
+
+// Filas de un ensayo (por tap o propias) con sus cálculos y evaluación ya resueltos
+const evaluateTestRows = (module, sheet, tapRows, baseCtx) => {
+  const source = module.layout === 'perTap'
+    ? tapRows.map(tap => ({ id: tap.id, label: tap.label, tap, values: sheet.data[tap.id] || {} }))
+    : sheet[module.dataKey].map(row => ({ id: row.id, values: row }));
+  return source.map(row => {
+    const ctx = { ...baseCtx, tap: row.tap };
+    const calc = module.compute ? module.compute(row.values, ctx) : {};
+    return { ...row, calc, result: module.evaluate ? module.evaluate(calc, row.values, ctx) : null };
+  });
+};
+
+// Texto de una celda: valor cargado (etiqueta si es una lista de opciones) o calculado
+const testCellText = (column, row) => {
+  if (column.input) return column.options ? (column.options[row.values[column.key]] || row.values[column.key] || '') : (row.values[column.key] || '');
+  const value = row.calc[column.key];
+  if (value === null || value === undefined) return '';
+  if (column.format) return column.format(value);
+  return typeof value === 'number' ? formatNum(value, column.decimals ?? 2) : value;
+};
+
+// Columnas exportadas; la última es el estado, como en los ensayos con vista propia
+const buildTestModuleReport = (module, rows) => ({
+  head: [...(module.layout === 'perTap' ? ['Tap'] : []), ...module.columns.map(col => col.exportLabel || (col.unit ? `${col.label} (${col.unit})` : col.label)), 'Estado'],
+  rows: rows.map(row => [
+    ...(module.layout === 'perTap' ? [row.label] : []),
+    ...module.columns.map(col => testCellText(col, row)),
+    STATUS_LABELS[row.result] || ''
+  ]),
+});
+
+// Pares [etiqueta, valor] del encabezado de un ensayo (configuración, condiciones y extras)
+const testModuleMeta = (module, ctx) => [
+  ...(module.settings ? module.settings.fields.map(field => [
+    `${field.label}${field.unit ? ` (${field.unit})` : ''}:`,
+    field.options ? field.options[ctx.settings[field.key]] : ctx.settings[field.key]
+  ]) : []),
+  ...(module.conditions ? [
+    ["Temp. Aislamiento (°C):", ctx.conditions.testTemp], ["Temp. Ambiente (°C):", ctx.conditions.ambientTemp],
+    ["Humedad (%):", ctx.conditions.humidity], ["Corrección:", module.conditions.tables[ctx.conditions.correctionTable]?.name],
+  ] : []),
+  ...(module.meta ? module.meta(ctx) : []),
+];
+
+// Resultado global de una planilla: false si algún ensayo aplicable falla, null si no hay resultados
+const sheetTestResult = (sheet) => {
+  const tapRows = buildTapRows(tapSchemeOf(sheet));
+  return combineResults(sheet.tests.filter(id => TEST_MODULES[id]).flatMap(id => {
+    const module = TEST_MODULES[id];
+    if (module.custom) return module.evaluateSheet(sheet);
+    return evaluateTestRows(module, sheet, tapRows, testModuleContext(module, sheet)).map(row => row.result);
+  }));
+};
+
+// --- ENCABEZADO DEL INFORME ---
+// Identificación del equipo, datos de placa y condiciones del ensayo. Potencia, tensiones y grupo
+// son los mismos campos de `nameplate` que usa el TTR; el resto vive en `headerInfo`, junto con el
+// instrumental utilizado (filas con id, para fusionarlas como las de TG Delta).
+const COOLING_TYPES = ['ONAN', 'ONAF', 'ONAN/ONAF', 'OFAF', 'ODAF', 'AN', 'AF'];
+const OIL_TYPES = ['Mineral', 'Mineral inhibido', 'Éster natural', 'Éster sintético', 'Silicona', 'Seco (sin aceite)'];
+
+const DEFAULT_HEADER_INFO = {
+  manufacturingNumber: '', serialNumber: '', client: '', manufacturer: '', year: '', location: '',
+  cooling: '', oilType: '', ambientTemp: '', humidity: '', technicians: '', instruments: [],
+  nominalRatio: '', accuracyClass: '', ratedBurden: '', motorPower: '', ratedCurrent: '', speed: '', cableType: '',
+};
+
+const isBlank = (val) => val === undefined || val === null || String(val).trim() === '';
+
+// Los campos `decimal` se validan con numberIssue dentro de { min, max }; `check(value)` devuelve
+// otro problema del valor cargado o null. Los avisos no bloquean el guardado. `equipment` limita un
+// campo a ciertos tipos de equipo (ver TIPOS DE EQUIPO); sin él aplica a todos.
+const HEADER_FIELD_GROUPS = [
+  {
+    title: 'Identificación', fields: [
+      { key: 'client', label: 'Cliente / Proyecto', required: true, uppercase: true },
+      { key: 'serialNumber', label: 'Nº Serie', required: true, uppercase: true },
+      { key: 'manufacturingNumber', label: 'Nº Fabricación', uppercase: true },
+      { key: 'manufacturer', label: 'Fabricante', required: true },
+      {
+        key: 'year', label: 'Año de fabricación', type: 'number',
+        check: (val) => (Number.isInteger(Number(val)) && val >= 1900 && val <= new Date().getFullYear() ? null : 'año fuera de rango'),
+      },
+      { key: 'location', label: 'Ubicación / Subestación' },
+    ],
+  },
+  {
+    title: 'Placa', fields: [
+      { key: 'ratedPower', source: 'nameplate', decimal: true, min: 0, label: 'Potencia (MVA)', equipment: ['transformer'] },
+      { key: 'hvVoltage', source: 'nameplate', decimal: true, min: 0, label: 'Tensión AT (kV)', equipment: ['transformer'] },
+      { key: 'lvVoltage', source: 'nameplate', decimal: true, min: 0, label: 'Tensión BT (kV)', equipment: ['transformer'] },
+      { key: 'vectorGroup', source: 'nameplate', label: 'Grupo de conexión', uppercase: true, equipment: ['transformer'], check: (val) => (getVectorGroupFactor(val) === null ? 'no es un grupo válido (ej: Dyn11)' : null) },
+      { key: 'cooling', label: 'Refrigeración', options: COOLING_TYPES, equipment: ['transformer'] },
+      { key: 'oilType', label: 'Tipo de aceite', options: OIL_TYPES, equipment: ['transformer'] },
+      // La tensión de TC, TT, motores y cables va en hvVoltage: la usa el mínimo de aislación del devanado "AT"
+      { key: 'nominalRatio', label: 'Relación nominal', placeholder: '600/5 A · 13,2/0,11 kV', equipment: ['ct', 'vt'] },
+      { key: 'accuracyClass', label: 'Clase de precisión', placeholder: '0,5 / 5P20', equipment: ['ct', 'vt'] },
+      { key: 'ratedBurden', label: 'Prestación (VA)', decimal: true, min: 0, equipment: ['ct', 'vt'] },
+      { key: 'hvVoltage', source: 'nameplate', decimal: true, min: 0, label: 'Tensión del sistema (kV)', equipment: ['ct', 'vt'] },
+      { key: 'motorPower', label: 'Potencia (kW)', decimal: true, min: 0, equipment: ['motor'] },
+      { key: 'hvVoltage', source: 'nameplate', decimal: true, min: 0, label: 'Tensión nominal (kV)', equipment: ['motor', 'cable'] },
+      { key: 'ratedCurrent', label: 'Corriente nominal (A)', decimal: true, min: 0, equipment: ['motor'] },
+      { key: 'speed', label: 'Velocidad (rpm)', decimal: true, min: 0, equipment: ['motor'] },
+      { key: 'cableType', label: 'Tipo y sección', placeholder: 'XLPE 3x240 mm² Cu', wide: true, equipment: ['cable'] },
+    ],
+  },
+  {
+    title: 'Condiciones del ensayo', fields: [
+      { key: 'date', label: 'Fecha de ensayo', type: 'date', required: true },
+      { key: 'ambientTemp', label: 'Temp. ambiente (°C)', decimal: true, min: -40, max: 60 },
+      { key: 'humidity', label: 'Humedad relativa (%)', decimal: true, min: 0, max: 100 },
+      { key: 'technicians', label: 'Técnicos presentes', required: true, wide: true, placeholder: 'Nombres separados por coma' },
+    ],
+  },
+];
+
+const INSTRUMENT_COLUMNS = [
+  { key: 'name', label: 'Instrumento' },
+  { key: 'model', label: 'Marca / Modelo' },
+  { key: 'serialNumber', label: 'Nº Serie' },
+  { key: 'calibrationDue', label: 'Vence calibración', type: 'date' },
+];
+
+const headerFieldGroupsFor = (equipmentType) => HEADER_FIELD_GROUPS.map(group => ({
+  ...group, fields: group.fields.filter(field => !field.equipment || field.equipment.includes(equipmentType)),
+}));
+
+const headerFieldValue = (field, headerInfo, nameplate) => (field.source === 'nameplate' ? nameplate : headerInfo)[field.key] ?? '';
+
+// Avisos del encabezado: [{ key, message }], con key del campo o `instruments/<id>`
+const validateReportHeader = (headerInfo, nameplate, equipmentType = 'transformer') => {
+  const issues = [];
+  headerFieldGroupsFor(equipmentType).forEach(group => group.fields.forEach(field => {
+    const value = headerFieldValue(field, headerInfo, nameplate);
+    if (isBlank(value)) {
+      if (field.required) issues.push({ key: field.key, message: `${field.label}: falta completar` });
+      return;
+    }
+    const problem = field.decimal ? numberIssue(value, field)?.toLowerCase() : field.check && field.check(value);
+    if (problem) issues.push({ key: field.key, message: `${field.label}: ${problem}` });
+  }));
+  // Solo los transformadores de potencia tienen AT y BT; en los demás hvVoltage es la tensión del equipo
+  const [hv, lv] = [readNum(nameplate.hvVoltage), readNum(nameplate.lvVoltage)];
+  if (equipmentType === 'transformer' && hv !== null && lv !== null && hv <= lv) {
+    issues.push({ key: 'lvVoltage', message: 'Tensión BT: debe ser menor que la de AT' });
+  }
+  const instruments = headerInfo.instruments || [];
+  if (instruments.length === 0) issues.push({ key: 'instruments', message: 'Instrumental: no se declaró ningún equipo de medición' });
+  instruments.forEach((instrument, index) => {
+    const name = instrument.name || `fila ${index + 1}`;
+    if (isBlank(instrument.name)) issues.push({ key: `instruments/${instrument.id}`, message: `Instrumental (${name}): falta el nombre` });
+    if (isBlank(instrument.calibrationDue)) issues.push({ key: `instruments/${instrument.id}`, message: `Instrumental (${name}): falta el vencimiento de calibración` });
+    else if (headerInfo.date && instrument.calibrationDue < headerInfo.date) issues.push({ key: `instruments/${instrument.id}`, message: `Instrumental (${name}): calibración vencida el ${instrument.calibrationDue}` });
+  });
+  return issues;
+};
+
+// Encabezado como filas [etiqueta, valor] por grupo (portada del PDF y hoja Encabezado del Excel);
+// la identificación empieza por el tipo de equipo
+const reportHeaderRows = (headerInfo, nameplate, equipmentType = 'transformer') => headerFieldGroupsFor(equipmentType).map((group, index) => ({
+  title: group.title,
+  rows: [
+    ...(index === 0 ? [['Tipo de equipo', EQUIPMENT_TYPES[equipmentType].label]] : []),
+    ...group.fields.map(field => [field.label, headerFieldValue(field, headerInfo, nameplate)]),
+  ],
+}));
+
+const describeInstrument = (instrument) => [instrument.name, instrument.model, instrument.serialNumber && `S/N ${instrument.serialNumber}`]
+  .filter(Boolean).join(' ') + (instrument.calibrationDue ? ` (cal. ${instrument.calibrationDue})` : '');
+
+// Líneas del encabezado que se repite en cada página del PDF
+// Los otros equipos listan su placa como "etiqueta valor"
+const reportPageHeader = (headerInfo, nameplate, equipmentType = 'transformer') => [
+  `${headerInfo.client || 'Sin Cliente'} · Nº Serie ${headerInfo.serialNumber || '-'} · Nº Fab. ${headerInfo.manufacturingNumber || '-'}`,
+  (equipmentType === 'transformer' ? [
+    headerInfo.manufacturer, headerInfo.year && `Año ${headerInfo.year}`, nameplate.ratedPower && `${nameplate.ratedPower} MVA`,
+    (nameplate.hvVoltage || nameplate.lvVoltage) && `${[nameplate.hvVoltage, ...(nameplate.windings === 'three' ? [nameplate.mvVoltage] : []), nameplate.lvVoltage].map(v => v || '-').join(' / ')} kV`,
+    nameplate.vectorGroup, headerInfo.cooling, headerInfo.oilType, headerInfo.location,
+  ] : [
+    EQUIPMENT_TYPES[equipmentType].label, headerInfo.manufacturer, headerInfo.year && `Año ${headerInfo.year}`,
+    ...headerFieldGroupsFor(equipmentType).find(group => group.title === 'Placa').fields
+      .map(field => headerFieldValue(field, headerInfo, nameplate) && `${field.label} ${headerFieldValue(field, headerInfo, nameplate)}`),
+    headerInfo.location,
+  ]).filter(Boolean).join(' · '),
+  [
+    `Ensayo ${headerInfo.date || '-'}`, headerInfo.ambientTemp && `Amb. ${headerInfo.ambientTemp} °C`, headerInfo.humidity && `HR ${headerInfo.humidity} %`,
+    headerInfo.technicians && `Técnicos: ${headerInfo.technicians}`,
+    (headerInfo.instruments || []).some(row => row.name) && `Instrumental: ${headerInfo.instruments.filter(row => row.name).map(describeInstrument).join('; ')}`,
+  ].filter(Boolean).join(' · '),
+].filter(Boolean);
+
+// --- MODELO DE PLANILLA ---
+// Campos del proyecto que edita la planilla, con sus valores por defecto. Es la unidad que se
+// compara, fusiona y sincroniza; el resto del documento (id, fechas, autor) lo maneja App.
+// `equipmentType` es el tipo de equipo (ver TIPOS DE EQUIPO; transformador si el proyecto no lo indica) y
+// `tests` los ensayos que le aplican (todos los de su tipo si el proyecto no lo indica).
+// `tapRange` (el mayor de los dos lados del esquema) queda para filtrar y ordenar en el tablero.
+const sheetFromProject = (project) => ({
+  equipmentType: equipmentTypeOf(project),
+  tapRange: project.tapRange || 5,
+  tapScheme: tapSchemeOf({ ...project, tapRange: project.tapRange || 5 }),
+  data: project.data || {},
+  tests: project.tests || EQUIPMENT_TYPES[equipmentTypeOf(project)].tests,
+  ...testModulesSheet(project),
+  headerInfo: { ...DEFAULT_HEADER_INFO, date: new Date().toISOString().split('T')[0], ...project.headerInfo },
+  resistanceSettings: project.resistanceSettings || { measuredTemp: '20', refTemp: '75', ...DEFAULT_RESISTANCE_CONNECTIONS },
+  // Los campos de MT solo se usan en la configuración de tres devanados
+  nameplate: {
+    windings: 'two', hvVoltage: '', lvVoltage: '', tapStep: '', vectorGroup: '', ratedPower: '', impedance: '',
+    mvVoltage: '', vectorGroupHM: '', vectorGroupML: '', mvTapRange: 0, mvTapStep: '',
+    ...project.nameplate,
+  },
+  criteria: normalizeCriteria(project.criteria),
+});
+
+// Qué parte de la planilla pertenece a cada pestaña (para restaurar una sola pestaña de una revisión).
+// Los ensayos por tap (TTR, Resistencia, Excitación e Impedancia) comparten las filas de `data`,
+// así que se separan por campo.
+const SHEET_TABS = Object.fromEntries(Object.values(TEST_MODULES).map(module => [module.id, {
+  label: module.label,
+  keys: [...testModuleKeys(module), ...(module.tabKeys || [])],
+  dataFields: module.custom ? module.dataFields : module.layout === 'perTap' ? module.columns.filter(col => col.input).map(col => col.key) : [],
+}]));
+
+const restoreSheetTab = (current, revision, tabId) => {
+  const tab = SHEET_TABS[tabId];
+  const next = { ...current };
+  tab.keys.forEach(key => { next[key] = revision[key]; });
+  if (tab.dataFields.length > 0) {
+    const rowIds = new Set([...Object.keys(current.data), ...Object.keys(revision.data)]);
+    next.data = Object.fromEntries([...rowIds].map(id => {
+      const row = Object.fromEntries(Object.entries(current.data[id] || {}).filter(([field]) => !tab.dataFields.includes(field)));
+      tab.dataFields.forEach(field => { if (revision.data[id]?.[field] !== undefined) row[field] = revision.data[id][field]; });
+      return [id, row];
+    }));
+  }
+  return next;
+};
+
+// --- PLANTILLAS Y DUPLICADOS ---
+// Una plantilla es una planilla sin lecturas: placa, taps, criterio, ensayos aplicables, nombres y
+// materiales de las conexiones, relaciones teóricas manuales y las combinaciones de medición de
+// cada ensayo (templateFields). Las condiciones de la sesión (temperaturas, humedad) no se conservan.
+const pickFields = (row, fields) => Object.fromEntries(fields.filter(field => row?.[field] !== undefined && row[field] !== '').map(field => [field, row[field]]));
 
-  const [headerInfo, setHeaderInfo] = useState(project.headerInfo || {
-    manufacturingNumber: '', serialNumber: '', client: '', date: new Date().toISOString().split('T')[0]
+const sheetWithoutReadings = (sheet) => {
+  const blank = sheetFromProject({});
+  const modules = Object.values(TEST_MODULES);
+  const tapFields = modules.filter(module => module.layout === 'perTap').flatMap(module => module.templateFields || []);
+  const next = {
+    ...sheet,
+    headerInfo: blank.headerInfo,
+    resistanceSettings: { ...sheet.resistanceSettings, measuredTemp: blank.resistanceSettings.measuredTemp },
+    data: Object.fromEntries(Object.entries(sheet.data)
+      .map(([id, row]) => [id, pickFields(row, tapFields)])
+      .filter(([, row]) => Object.keys(row).length > 0)),
+  };
+  modules.forEach(module => {
+    if (module.layout === 'rows' && !module.custom) {
+      next[module.dataKey] = sheet[module.dataKey].map(row => ({ id: generateId(), ...pickFields(row, module.templateFields || []) }));
+    }
+    if (module.conditions) {
+      next[module.conditions.key] = { ...module.conditions.defaults, correctionTable: sheet[module.conditions.key].correctionTable };
+    }
+  });
+  return next;
+};
+
+// Contenido de una plantilla: la planilla sin lecturas ni encabezado
+const templateSheet = (project) => {
+  const sheet = sheetWithoutReadings(sheetFromProject(project));
+  delete sheet.headerInfo;
+  return sheet;
+};
+
+// Duplicado de un proyecto: siempre la configuración; el encabezado y las lecturas de los ensayos
+// elegidos solo si se piden. Nunca la aprobación ni el historial.
+const cloneSheet = (sheet, { keepHeader, readings }) => {
+  const base = sheetWithoutReadings(sheet);
+  if (keepHeader) base.headerInfo = { ...sheet.headerInfo, date: base.headerInfo.date };
+  return readings.reduce((next, tabId) => restoreSheetTab(next, sheet, tabId), base);
+};
+
+// --- FUSIÓN POR CAMPO ---
+// La planilla se aplana a { 'ruta/al/campo': valor }. Las listas de filas con id (TG Delta, Aislación)
+// se indexan por id ('tgDeltaData/#abc/tgPercent') y su orden se guarda aparte en 'tgDeltaData/#order',
+// así agregar o borrar filas no desplaza los valores de las demás.
+const isRowList = (value) => Array.isArray(value) && value.every(row => row && typeof row === 'object' && row.id);
+
+const flattenSheet = (value, path = '', out = {}) => {
+  if (isRowList(value)) {
+    out[`${path}/#order`] = value.map(row => row.id);
+    value.forEach(row => {
+      Object.entries(row).forEach(([key, val]) => { if (key !== 'id') flattenSheet(val, `${path}/#${row.id}/${key}`, out); });
+    });
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    // Los objetos vacíos no generan rutas; sheetFromProject repone el valor por defecto
+    Object.entries(value).forEach(([key, val]) => flattenSheet(val, path ? `${path}/${key}` : key, out));
+  } else if (value !== undefined) {
+    out[path] = value;
+  }
+  return out;
+};
+
+const unflattenSheet = (flat) => {
+  const root = {};
+  Object.entries(flat).forEach(([path, value]) => {
+    const segments = path.split('/');
+    let node = root;
+    segments.slice(0, -1).forEach(seg => { node = node[seg] = node[seg] && typeof node[seg] === 'object' ? node[seg] : {}; });
+    node[segments[segments.length - 1]] = value;
+  });
+  // Reconstruye las listas de filas: primero el orden guardado, luego las filas que quedaron
+  // fuera del orden pero tienen datos (p. ej. una fila borrada aquí y editada en remoto)
+  const rebuild = (node) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+    if (Array.isArray(node['#order'])) {
+      const rowIds = Object.keys(node).filter(k => k.startsWith('#') && k !== '#order').map(k => k.slice(1));
+      const ids = [...node['#order'], ...rowIds.filter(id => !node['#order'].includes(id))];
+      return ids.map(id => ({ id, ...rebuild(node[`#${id}`] || {}) }));
+    }
+    return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, rebuild(v)]));
+  };
+  return rebuild(root);
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Campos que difieren entre dos planillas: [{ path, before, after }]
+const diffSheets = (before, after) => {
+  const fa = flattenSheet(before);
+  const fb = flattenSheet(after);
+  const keys = new Set([...Object.keys(fa), ...Object.keys(fb)]);
+  return [...keys].filter(k => !sameValue(fa[k], fb[k])).sort().map(path => ({ path, before: fa[path], after: fb[path] }));
+};
+
+const sheetsEqual = (a, b) => diffSheets(a, b).length === 0;
+
+// Fusión a tres vías: gana el lado que cambió respecto de la base; si cambiaron ambos con
+// valores distintos hay conflicto (queda el valor local hasta que el usuario decida).
+const mergeSheets = (base, local, remote) => {
+  const fb = flattenSheet(base);
+  const fl = flattenSheet(local);
+  const fr = flattenSheet(remote);
+  const merged = {};
+  const conflicts = [];
+  new Set([...Object.keys(fb), ...Object.keys(fl), ...Object.keys(fr)]).forEach(path => {
+    const [b, l, r] = [fb[path], fl[path], fr[path]];
+    let value;
+    if (sameValue(l, r) || sameValue(r, b)) value = l;
+    else if (sameValue(l, b)) value = r;
+    else if (path.endsWith('/#order')) {
+      // Ambos agregaron o quitaron filas: se respeta el orden local sumando las altas y bajas remotas
+      const removed = (b || []).filter(id => !(r || []).includes(id));
+      const added = (r || []).filter(id => !(b || []).includes(id) && !(l || []).includes(id));
+      value = [...(l || []).filter(id => !removed.includes(id)), ...added];
+    } else {
+      conflicts.push({ path, base: b, local: l, remote: r });
+      value = l;
+    }
+    if (value !== undefined) merged[path] = value;
+  });
+  return { merged: unflattenSheet(merged), conflicts };
+};
+
+const SHEET_SECTION_LABELS = {
+  data: 'Ensayos por Tap', headerInfo: 'Encabezado', resistanceSettings: 'Config. Resistencia', nameplate: 'Datos de Placa',
+  criteria: 'Criterio de Aceptación', tapRange: 'Rango de Taps', tapScheme: 'Esquema de Taps', tests: 'Ensayos Aplicables',
+  equipmentType: 'Tipo de Equipo',
+  ...Object.fromEntries(Object.values(TEST_MODULES).flatMap(module => [
+    module.dataKey ? [module.dataKey, module.label] : null,
+    module.settings && !module.settings.shared ? [module.settings.key, `Config. ${module.label}`] : null,
+    module.conditions ? [module.conditions.key, `Condiciones ${module.label}`] : null,
+  ].filter(Boolean))),
+};
+const describeSheetPath = (path) => {
+  const [section, ...rest] = path.split('/');
+  const detail = rest.map(seg => (seg === '#order' ? 'filas' : seg.startsWith('#') ? `fila ${seg.slice(1)}` : seg)).join(' · ');
+  return { section: SHEET_SECTION_LABELS[section] || section, detail };
+};
+
+// --- HISTORIAL DE VERSIONES ---
+const REVISION_INTERVAL_MINUTES = 15;
+const REVISION_HISTORY_LIMIT = 50;
+const REVISION_KINDS = {
+  auto: { label: 'Automática', color: 'bg-gray-100 text-gray-600' },
+  checkpoint: { label: 'Punto de control', color: 'bg-blue-100 text-blue-700' },
+  restore: { label: 'Antes de restaurar', color: 'bg-amber-100 text-amber-700' },
+};
+
+// Sin esperar al servidor: sin conexión la revisión queda en la caché local hasta reconectar
+const saveRevision = (revisionsRef, revision) => {
+  const id = generateId();
+  setDoc(doc(revisionsRef, id), { id, createdAt: new Date().toISOString(), ...revision })
+    .catch(e => console.error("Error guardando revisión:", e));
+};
+
+// --- COLA DE CAMBIOS PENDIENTES (OFFLINE) ---
+// Cada proyecto con cambios sin sincronizar guarda en localStorage su planilla local y la base
+// (planilla + lastModified remoto) desde la que se editó. Sobrevive a recargas sin conexión.
+const PENDING_STORAGE_PREFIX = 'planilla-ensayos:pendiente:';
+const PENDING_EVENT = 'planilla-ensayos:pendientes';
+const pendingKey = (orgId, projectId) => `${PENDING_STORAGE_PREFIX}${orgId}:${projectId}`;
+
+let pendingCache = { raw: null, list: [] };
+const readPendingChanges = () => {
+  const keys = Object.keys(localStorage).filter(k => k.startsWith(PENDING_STORAGE_PREFIX)).sort();
+  const raw = keys.map(k => localStorage.getItem(k)).join('\n');
+  if (raw !== pendingCache.raw) {
+    pendingCache = { raw, list: keys.map(k => { try { return JSON.parse(localStorage.getItem(k)); } catch { return null; } }).filter(Boolean) };
+  }
+  return pendingCache.list;
+};
+const writePendingChange = (entry) => {
+  localStorage.setItem(pendingKey(entry.orgId, entry.projectId), JSON.stringify(entry));
+  window.dispatchEvent(new Event(PENDING_EVENT));
+};
+const removePendingChange = (orgId, projectId, updatedAt) => {
+  const key = pendingKey(orgId, projectId);
+  const stored = localStorage.getItem(key);
+  // Si mientras se sincronizaba se encoló una versión más nueva, esa se conserva
+  if (updatedAt && stored && JSON.parse(stored).updatedAt !== updatedAt) return;
+  localStorage.removeItem(key);
+  window.dispatchEvent(new Event(PENDING_EVENT));
+};
+const subscribePendingChanges = (callback) => {
+  window.addEventListener(PENDING_EVENT, callback);
+  window.addEventListener('storage', callback);
+  return () => { window.removeEventListener(PENDING_EVENT, callback); window.removeEventListener('storage', callback); };
+};
+
+const subscribeOnline = (callback) => {
+  window.addEventListener('online', callback);
+  window.addEventListener('offline', callback);
+  return () => { window.removeEventListener('online', callback); window.removeEventListener('offline', callback); };
+};
+
+// Encola la planilla y la intenta escribir en una transacción: si el documento remoto cambió desde
+// la base se fusiona campo a campo; con conflictos no se escribe y queda pendiente de resolución.
+// Un proyecto aprobado no acepta cambios ('locked'); si se borró o está en la papelera ('missing') el
+// cambio queda en la cola para recrearlo o reintentar al restaurarlo.
+// Devuelve { status: 'saved' | 'conflict' | 'locked' | 'missing' | 'offline', ... }.
+const syncProjectSheet = async (orgId, projectId, entry, userEmail) => {
+  writePendingChange({ ...entry, orgId, projectId });
+  if (!navigator.onLine) return { status: 'offline' };
+  try {
+    const result = await runTransaction(db, async (tx) => {
+      const snap = await tx.get(projectRef(orgId, projectId));
+      if (!snap.exists() || snap.data().deletedAt) return { status: 'missing' };
+      const remote = snap.data();
+      if (getApproval(remote).status === 'approved') return { status: 'locked' };
+      let sheet = entry.sheet;
+      if (remote.lastModified !== entry.base.lastModified) {
+        const remoteSheet = sheetFromProject(remote);
+        const { merged, conflicts } = mergeSheets(entry.base.sheet, entry.sheet, remoteSheet);
+        if (conflicts.length > 0) {
+          return { status: 'conflict', conflicts, merged, remoteSheet, remoteLastModified: remote.lastModified, remoteModifiedBy: remote.lastModifiedBy };
+        }
+        sheet = merged;
+      }
+      const lastModified = new Date().toISOString();
+      // Cada REVISION_INTERVAL_MINUTES se archiva la versión remota que este guardado reemplaza
+      const revisionFields = {};
+      if (!remote.lastRevisionAt || Date.parse(lastModified) - Date.parse(remote.lastRevisionAt) >= REVISION_INTERVAL_MINUTES * 60000) {
+        const revisionId = generateId();
+        tx.set(doc(revisionsCollectionRef(orgId, projectId), revisionId), {
+          id: revisionId, kind: 'auto', createdAt: remote.lastModified, createdBy: remote.lastModifiedBy || '', sheet: sheetFromProject(remote)
+        });
+        revisionFields.lastRevisionAt = lastModified;
+      }
+      tx.update(projectRef(orgId, projectId), { ...sheet, ...revisionFields, lastModified, lastModifiedBy: userEmail });
+      return { status: 'saved', sheet, lastModified };
+    });
+    if (result.status === 'conflict') writePendingChange({ ...entry, orgId, projectId, conflict: true });
+    else if (result.status === 'locked') writePendingChange({ ...entry, orgId, projectId, locked: true });
+    else if (result.status === 'missing') writePendingChange({ ...entry, orgId, projectId, missing: true });
+    else removePendingChange(orgId, projectId, entry.updatedAt);
+    return result;
+  } catch (e) {
+    console.error("Error sincronizando:", e);
+    return { status: 'offline' };
+  }
+};
+
+// --- EQUIPOS Y TENDENCIAS ---
+// Un equipo reúne las planillas con el mismo Nº de serie (o Nº de fabricación si no tiene serie),
+// ordenadas por fecha de ensayo, para comparar sus resultados de un ensayo al siguiente.
+const DEFAULT_TREND_CHANGE_PERCENT = 10;
+
+const normalizeIdentifier = (value) => (value || '').replace(/\s/g, '').toUpperCase();
+const equipmentKey = (headerInfo) => {
+  const serial = normalizeIdentifier(headerInfo?.serialNumber);
+  if (serial) return `SN:${serial}`;
+  const manufacturing = normalizeIdentifier(headerInfo?.manufacturingNumber);
+  return manufacturing ? `FAB:${manufacturing}` : null;
+};
+const projectTestDate = (project) => project.headerInfo?.date || (project.lastModified || '').split('T')[0];
+
+// Formas en que puede estar guardado un Nº de serie o de fabricación, para buscarlo por igualdad en Firestore
+const identifierVariants = (value) => {
+  const trimmed = (value || '').trim();
+  return trimmed ? [...new Set([trimmed, trimmed.toUpperCase(), trimmed.toLowerCase(), normalizeIdentifier(trimmed)])] : [];
+};
+
+// Valores a consultar para traer todo el historial de un equipo: su identificador y cómo figura en las planillas cargadas
+const equipmentIdentifierValues = (key, projects) => {
+  if (!key) return [];
+  const field = key.startsWith('SN:') ? 'serialNumber' : 'manufacturingNumber';
+  return [
+    ...identifierVariants(key.slice(key.indexOf(':') + 1)),
+    ...projects.filter(p => equipmentKey(p.headerInfo) === key).map(p => p.headerInfo[field].trim()),
+  ];
+};
+
+const groupEquipment = (projects) => {
+  const groups = new Map();
+  projects.forEach(project => {
+    const key = equipmentKey(project.headerInfo);
+    if (!key) return;
+    groups.set(key, [...(groups.get(key) || []), project]);
   });
+  return [...groups.entries()].map(([key, list]) => {
+    const sorted = [...list].sort((a, b) => projectTestDate(a).localeCompare(projectTestDate(b)));
+    const latest = sorted[sorted.length - 1].headerInfo;
+    return { key, serialNumber: latest.serialNumber, manufacturingNumber: latest.manufacturingNumber, client: latest.client, projects: sorted };
+  });
+};
 
-  const [resistanceSettings, setResistanceSettings] = useState(project.resistanceSettings || {
-    measuredTemp: '20', refTemp: '75', conn1Name: 'Conexión 1', conn2Name: 'Conexión 2', conn3Name: 'Conexión 3'
+const relativeChange = (previous, current) => (previous === 0 ? null : (current - previous) / Math.abs(previous) * 100);
+
+// Puntos de un ensayo por filas propias, identificados por su conexión (las filas repetidas se numeran)
+const rowTrendPoints = (module, sheet, describe, valueKey) => {
+  const seen = {};
+  return evaluateTestRows(module, sheet, [], testModuleContext(module, sheet)).map(row => {
+    const label = describe(row.values);
+    seen[label] = (seen[label] || 0) + 1;
+    const name = seen[label] > 1 ? `${label} #${seen[label]}` : label;
+    return { key: name, label: name, value: row.calc[valueKey] };
   });
+};
 
-  const [isSaving, setIsSaving] = useState(false);
+// Magnitudes comparadas entre ensayos. points(planilla) devuelve { key, label, value } y la clave alinea
+// los valores de distintas fechas. change(anterior, actual) es la variación en %: relativa, salvo el
+// desvío TTR, que ya es un porcentaje y se compara por diferencia.
+const TREND_METRICS = [
+  {
+    test: 'ttr', title: 'Desvío TTR por fase (%)', decimals: 3,
+    change: (previous, current) => current - previous,
+    points: (sheet) => ttrTablesOf(sheet).flatMap(({ pair, rows }) => rows.flatMap(tap => {
+      const rowData = sheet.data[tapRowKey(pair, tap)] || {};
+      const rated = ratedRatioFor(sheet.nameplate, rowData, tap.position, pair);
+      return ['A', 'B', 'C'].map(phase => ({
+        key: `${tapRowKey(pair, tap)}-${phase}`, label: `${pair.prefix ? `${pair.label} · ` : ''}Tap ${tap.label} · Fase ${phase}`,
+        value: calculateDeviation(rowData[`phase${phase}`], rated.value),
+      }));
+    })),
+  },
+  {
+    test: 'resistance', title: 'Resistencia corregida (Ω)', decimals: 4, change: relativeChange,
+    points: (sheet) => resistanceTablesOf(sheet).flatMap(({ id, winding, rows }) => rows.flatMap(tap => {
+      const rowData = sheet.data[tapRowKey(winding, tap)] || {};
+      const settings = resistanceSettingsFor(sheet.resistanceSettings, id);
+      return [1, 2, 3].map(conn => ({
+        key: `${tapRowKey(winding, tap)}-${conn}`, label: `${winding.prefix ? `${winding.label} · ` : ''}Tap ${tap.label} · ${settings[`conn${conn}Name`]}`,
+        value: correctResistance(settings, rowData[`resConn${conn}Meas`], conn),
+      }));
+    })),
+  },
+  {
+    test: 'tgdelta', title: 'TG Delta a 20 °C (%)', decimals: 3, change: relativeChange,
+    points: (sheet) => rowTrendPoints(TEST_MODULES.tgdelta, sheet, row => `${row.mode || '-'} · ${row.injection || '-'}/${row.measurement || '-'}`, 'corrected'),
+  },
+  {
+    test: 'insulation', title: 'Índice de polarización (IP)', decimals: 2, change: relativeChange,
+    points: (sheet) => rowTrendPoints(TEST_MODULES.insulation, sheet, row => `${row.injection || '-'}-${row.measurement || '-'} (Gda ${row.guard || '-'})`, 'pi'),
+  },
+];
+
+// Tabla de una magnitud: una fila por punto y una celda por planilla, con la variación respecto del
+// ensayo anterior que lo midió. Se marca si supera el porcentaje configurado.
+const buildTrend = (metric, sheets, threshold) => {
+  const rows = new Map();
+  sheets.forEach((sheet, index) => {
+    if (!sheet.tests.includes(metric.test)) return;
+    metric.points(sheet).forEach(point => {
+      if (point.value === null || point.value === undefined || isNaN(point.value)) return;
+      if (!rows.has(point.key)) rows.set(point.key, { key: point.key, label: point.label, values: Array(sheets.length).fill(null) });
+      rows.get(point.key).values[index] = point.value;
+    });
+  });
+  return [...rows.values()].map(row => ({
+    ...row,
+    cells: row.values.map((value, index) => {
+      if (value === null) return null;
+      const previous = row.values.slice(0, index).filter(v => v !== null).pop();
+      const change = previous === undefined ? null : metric.change(previous, value);
+      return { value, change, flagged: change !== null && Math.abs(change) > threshold };
+    }),
+  }));
+};
+
+// --- GRILLA DE CARGA ---
+// Manejo tipo planilla de cálculo en las tablas de lecturas. `cells` es la matriz filas × columnas de
+// celdas editables ({ get, set }, o null si la celda no se carga a mano) y todos los cambios pasan por
+// `set`, es decir por los mismos handlers que el tipeo. Flechas, Enter y Tab mueven el foco; Shift +
+// flechas (o Shift + clic) extiende la selección; Ctrl+D copia hacia abajo; Supr/Retroceso borran la
+// selección, y pegar un bloque copiado de Excel (tabulaciones y saltos de línea) lo reparte desde la
+// celda activa.
+const parseClipboardBlock = (text) => text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n').map(line => line.split('\t'));
+
+// Opción de un select a partir del texto pegado (clave o etiqueta, sin distinguir mayúsculas)
+const selectOptionFor = (options, text) => {
+  const wanted = text.trim().toLowerCase();
+  return Object.keys(options).find(id => id.toLowerCase() === wanted || String(options[id]).toLowerCase() === wanted);
+};
+
+const GRID_ARROWS = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+const useCellGrid = (cells) => {
+  const containerRef = useRef(null);
+  const [selection, setSelection] = useState(null);
+
+  const range = selection && {
+    top: Math.min(selection.anchor[0], selection.focus[0]), bottom: Math.max(selection.anchor[0], selection.focus[0]),
+    left: Math.min(selection.anchor[1], selection.focus[1]), right: Math.max(selection.anchor[1], selection.focus[1]),
+  };
+  const isBlock = !!range && (range.top !== range.bottom || range.left !== range.right);
+  const selectedCells = () => {
+    const out = [];
+    for (let r = range.top; r <= range.bottom; r++) {
+      for (let c = range.left; c <= range.right; c++) if (cells[r]?.[c]) out.push(cells[r][c]);
+    }
+    return out;
+  };
+
+  const focusCell = ([row, col]) => {
+    const el = containerRef.current?.querySelector(`[data-cell="${row}:${col}"]`);
+    if (!el) return;
+    el.focus();
+    if (el.select) el.select();
+  };
+
+  // Próxima celda editable en una dirección, salteando las calculadas
+  const step = (row, col, dRow, dCol) => {
+    for (let r = row + dRow, c = col + dCol; r >= 0 && r < cells.length && c >= 0 && c < cells[r].length; r += dRow, c += dCol) {
+      if (cells[r][c]) return [r, c];
+    }
+    return null;
+  };
+  // Tab recorre la grilla por filas
+  const stepInOrder = (row, col, dir) => {
+    const positions = cells.flatMap((line, r) => line.map((cell, c) => (cell ? [r, c] : null)).filter(Boolean));
+    const index = positions.findIndex(([r, c]) => r === row && c === col);
+    return positions[index + dir] || null;
+  };
+
+  // Con una sola celda seleccionada copia la de arriba; con un bloque, su primera fila hacia abajo
+  const fillDown = (row, col) => {
+    const { top, bottom, left, right } = isBlock ? range : { top: row - 1, bottom: row, left: col, right: col };
+    if (top < 0) return;
+    for (let c = left; c <= right; c++) {
+      const source = cells[top]?.[c];
+      if (!source) continue;
+      const value = source.get();
+      for (let r = top + 1; r <= bottom; r++) cells[r]?.[c]?.set(value);
+    }
+  };
+
+  const onKeyDown = (e, row, col) => {
+    const target = e.target;
+    const caretAtStart = typeof target.selectionStart !== 'number' || (target.selectionStart === 0 && target.selectionEnd === 0);
+    const caretAtEnd = typeof target.selectionStart !== 'number' || (target.selectionStart === target.value.length && target.selectionEnd === target.value.length);
+    const move = (next) => {
+      if (!next) return;
+      e.preventDefault();
+      focusCell(next);
+    };
+    if (e.shiftKey && GRID_ARROWS[e.key]) {
+      e.preventDefault();
+      const [dRow, dCol] = GRID_ARROWS[e.key];
+      const from = selection ? selection.focus : [row, col];
+      const focus = [Math.min(Math.max(from[0] + dRow, 0), cells.length - 1), Math.min(Math.max(from[1] + dCol, 0), cells[0].length - 1)];
+      setSelection({ anchor: selection ? selection.anchor : [row, col], focus });
+      return;
+    }
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
+      e.preventDefault();
+      fillDown(row, col);
+      return;
+    }
+    switch (e.key) {
+      case 'ArrowUp': move(step(row, col, -1, 0)); break;
+      case 'ArrowDown': move(step(row, col, 1, 0)); break;
+      case 'ArrowLeft': if (caretAtStart) move(step(row, col, 0, -1)); break;
+      case 'ArrowRight': if (caretAtEnd) move(step(row, col, 0, 1)); break;
+      case 'Enter': move(step(row, col, e.shiftKey ? -1 : 1, 0)); break;
+      case 'Tab': move(stepInOrder(row, col, e.shiftKey ? -1 : 1)); break;
+      case 'Delete':
+      case 'Backspace':
+        if (isBlock) {
+          e.preventDefault();
+          selectedCells().forEach(cell => cell.set(''));
+        }
+        break;
+      case 'Escape': setSelection({ anchor: [row, col], focus: [row, col] }); break;
+      default:
+    }
+  };
+
+  const onPaste = (e, row, col) => {
+    const text = e.clipboardData.getData('text/plain');
+    // Un valor suelto se pega como en cualquier campo
+    if (!/[\t\n\r]/.test(text.replace(/\r?\n$/, ''))) return;
+    e.preventDefault();
+    const block = parseClipboardBlock(text);
+    block.forEach((line, i) => line.forEach((value, j) => cells[row + i]?.[col + j]?.set(normalizeDecimalText(value.trim()))));
+    const width = Math.max(...block.map(line => line.length));
+    setSelection({ anchor: [row, col], focus: [Math.min(row + block.length, cells.length) - 1, Math.min(col + width, cells[row].length) - 1] });
+  };
+
+  const cellProps = (row, col) => ({
+    'data-cell': `${row}:${col}`,
+    onKeyDown: (e) => onKeyDown(e, row, col),
+    onPaste: (e) => onPaste(e, row, col),
+    onFocus: () => {
+      if (!selection || selection.anchor[0] !== row || selection.anchor[1] !== col || isBlock) setSelection({ anchor: [row, col], focus: [row, col] });
+    },
+    onMouseDown: (e) => {
+      if (!e.shiftKey || !selection) return;
+      e.preventDefault();
+      setSelection({ anchor: selection.anchor, focus: [row, col] });
+    },
+  });
+
+  return {
+    // Al salir de la tabla se descarta la selección
+    containerProps: {
+      ref: containerRef,
+      onBlur: (e) => { if (!containerRef.current?.contains(e.relatedTarget)) setSelection(null); },
+    },
+    cellProps,
+    cellClass: (row, col) => (isBlock && row >= range.top && row <= range.bottom && col >= range.left && col <= range.right ? 'bg-blue-100 print:bg-white' : ''),
+  };
+};
+
+// --- COMPONENTE: CAMPO NUMÉRICO ---
+// Celda numérica de todas las tablas: guarda el texto tal como se escribe, marca en rojo lo que no es
+// un número o sale de { min, max } (el motivo queda en el title) y al salir del campo pasa el punto
+// decimal a coma. `title` se suma al motivo (p. ej. el archivo de origen de la lectura).
+const NumberInput = ({ value, onChange, min, max, className = '', title, ...props }) => {
+  const issue = numberIssue(value, { min, max });
+  return (
+    <input type="text" inputMode="decimal" value={value ?? ''} {...props}
+      title={[issue, title].filter(Boolean).join(' · ') || undefined} aria-invalid={issue ? true : undefined}
+      onChange={(e) => onChange(e.target.value)}
+      onBlur={(e) => { const next = normalizeDecimalText(e.target.value); if (next !== e.target.value) onChange(next); }}
+      className={`${className} ${issue ? 'ring-2 ring-red-500 text-red-700' : ''}`} />
+  );
+};
+
+// --- COMPONENTE: DIÁLOGO DE CONFLICTOS ---
+const formatSheetValue = (value) => {
+  if (value === undefined || value === '') return <span className="italic text-gray-400">(vacío / eliminado)</span>;
+  return Array.isArray(value) ? `${value.length} filas` : String(value);
+};
+
+const ConflictDialog = ({ conflict, onResolve, onDefer }) => {
+  const [choices, setChoices] = useState({});
+  const chooseAll = (side) => setChoices(Object.fromEntries(conflict.conflicts.map(c => [c.path, side])));
+  return (
+    <div className="fixed inset-0 bg-black/40 z-[60] flex items-center justify-center p-4 no-print">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="p-5 border-b">
+          <h2 className="text-lg font-bold text-gray-800 flex items-center gap-2"><AlertTriangle className="text-amber-500" /> Cambios simultáneos en la planilla</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            {conflict.remoteModifiedBy || 'Otro usuario'} modificó los mismos campos el {new Date(conflict.remoteLastModified).toLocaleString()}.
+            El resto de los cambios ya se combinó automáticamente. Elegí qué valor conservar en cada campo:
+          </p>
+          <div className="flex gap-3 mt-3 text-xs font-bold">
+            <button onClick={() => chooseAll('local')} className="text-blue-700 hover:underline">Conservar todos los míos</button>
+            <button onClick={() => chooseAll('remote')} className="text-purple-700 hover:underline">Tomar todos los remotos</button>
+          </div>
+        </div>
+        <div className="overflow-y-auto flex-1">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs uppercase text-gray-500 sticky top-0">
+              <tr><th className="text-left p-2">Campo</th><th className="p-2">Mi valor</th><th className="p-2">Valor remoto</th></tr>
+            </thead>
+            <tbody>
+              {conflict.conflicts.map(c => {
+                const { section, detail } = describeSheetPath(c.path);
+                const choice = choices[c.path] || 'local';
+                return (
+                  <tr key={c.path} className="border-b border-gray-100">
+                    <td className="p-2"><div className="font-semibold text-gray-700">{section}</div><div className="text-xs text-gray-400">{detail}</div></td>
+                    {['local', 'remote'].map(side => (
+                      <td key={side} className="p-2 text-center">
+                        <label className={`inline-flex items-center gap-2 px-3 py-1 rounded cursor-pointer border ${choice === side ? 'border-blue-500 bg-blue-50 font-bold' : 'border-gray-200'}`}>
+                          <input type="radio" name={c.path} checked={choice === side} onChange={() => setChoices({ ...choices, [c.path]: side })} />
+                          {formatSheetValue(side === 'local' ? c.local : c.remote)}
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div className="p-4 border-t flex justify-end gap-2">
+          <button onClick={onDefer} className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded">Decidir después</button>
+          <button onClick={() => onResolve(choices)} className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded font-semibold">Aplicar y Guardar</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- COMPONENTE: BARRA DE APROBACIÓN ---
+const ApprovalBar = ({ approval, canEdit, canApprove, userEmail, userName, hasPendingChanges, onAction }) => {
+  const [showLog, setShowLog] = useState(false);
+  const status = APPROVAL_STATUSES[approval.status];
+
+  const warnPending = () => {
+    if (!hasPendingChanges) return false;
+    alert('Hay cambios sin sincronizar: esperá a que se guarden en la nube.');
+    return true;
+  };
+  const handleSubmit = () => {
+    if (warnPending()) return;
+    onAction('submit', { status: 'review', submittedBy: userEmail, submittedAt: new Date().toISOString() }, {});
+  };
+  const handleApprove = () => {
+    if (warnPending()) return;
+    const name = prompt('Firma del revisor (nombre y apellido):', userName || '');
+    if (!name?.trim()) return;
+    onAction('approve', { status: 'approved', approvedBy: name.trim(), approvedByEmail: userEmail, approvedAt: new Date().toISOString() }, { name: name.trim() });
+  };
+  const handleReturn = () => {
+    const reason = prompt('Motivo de la devolución (opcional):', '');
+    if (reason === null) return;
+    onAction('return', { status: 'draft' }, { reason: reason.trim() });
+  };
+  const handleReopen = () => {
+    const reason = prompt('Motivo para reabrir la planilla aprobada:', '');
+    if (reason === null) return;
+    if (!reason.trim()) return alert('Para reabrir una planilla aprobada es obligatorio indicar el motivo.');
+    onAction('reopen', { status: 'draft', approvedBy: '', approvedByEmail: '', approvedAt: '' }, { reason: reason.trim() });
+  };
+
+  return (
+    <div className="bg-white border-b border-gray-200 px-4 py-2 flex flex-wrap items-center gap-3 text-sm no-print">
+      <span className={`px-3 py-1 rounded-full border text-xs font-bold uppercase ${status.color}`}>{status.label}</span>
+      <span className="text-xs text-gray-500">{describeApproval(approval)}</span>
+      <div className="ml-auto flex flex-wrap gap-2">
+        {approval.status === 'draft' && canEdit && (
+          <button onClick={handleSubmit} className="px-3 py-1 rounded bg-amber-500 hover:bg-amber-600 text-white text-xs font-bold">Enviar a revisión</button>
+        )}
+        {approval.status === 'review' && canApprove && (
+          <>
+            <button onClick={handleReturn} className="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 text-xs font-bold text-gray-600">Devolver</button>
+            <button onClick={handleApprove} className="px-3 py-1 rounded bg-green-600 hover:bg-green-700 text-white text-xs font-bold flex items-center gap-1"><CheckCircle size={14} /> Aprobar y firmar</button>
+          </>
+        )}
+        {approval.status === 'approved' && canApprove && (
+          <button onClick={handleReopen} className="px-3 py-1 rounded border border-red-300 text-red-600 hover:bg-red-50 text-xs font-bold flex items-center gap-1"><RotateCcw size={14} /> Reabrir</button>
+        )}
+        {approval.log.length > 0 && (
+          <button onClick={() => setShowLog(!showLog)} className="px-3 py-1 rounded hover:bg-gray-100 text-xs text-gray-500">Registro ({approval.log.length})</button>
+        )}
+      </div>
+      {showLog && (
+        <ul className="w-full border-t border-gray-100 pt-2 space-y-1 text-xs text-gray-600">
+          {[...approval.log].reverse().map((entry, i) => (
+            <li key={i}>
+              <span className="text-gray-400">{new Date(entry.at).toLocaleString()}</span> · <b>{APPROVAL_ACTIONS[entry.action]}</b> por {entry.name || entry.by}
+              {entry.reason && <span className="italic"> — “{entry.reason}”</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// --- COMPONENTE: HISTORIAL DE VERSIONES ---
+const HistoryPanel = ({ revisionsRef, currentSheet, canRestore, onRestore, onClose }) => {
+  const [revisions, setRevisions] = useState(null);
+  const [selection, setSelection] = useState({ from: null, to: 'current' });
+  const [restoreScope, setRestoreScope] = useState('all');
+
+  useEffect(() => onSnapshot(query(revisionsRef, orderBy('createdAt', 'desc'), limit(REVISION_HISTORY_LIMIT)),
+    (snap) => setRevisions(snap.docs.map(d => d.data())),
+    (error) => { console.error("Error cargando historial:", error); setRevisions([]); }
+  ), [revisionsRef]);
+
+  // La versión actual (lo que está en pantalla) encabeza la lista para poder compararla
+  const entries = useMemo(() => [
+    { id: 'current', kind: 'current', createdAt: null, createdBy: '', sheet: currentSheet },
+    ...(revisions || [])
+  ], [revisions, currentSheet]);
+
+  // Qué secciones cambió cada versión respecto de la anterior archivada
+  const changedSections = useMemo(() => Object.fromEntries(entries.map((entry, i) => {
+    const previous = entries[i + 1];
+    if (!previous) return [entry.id, null];
+    const sections = [...new Set(diffSheets(previous.sheet, entry.sheet).map(d => describeSheetPath(d.path).section))];
+    return [entry.id, sections];
+  })), [entries]);
+
+  const fromId = selection.from || entries[1]?.id || null;
+  const fromEntry = entries.find(e => e.id === fromId);
+  const toEntry = entries.find(e => e.id === selection.to);
+  const diff = useMemo(() => (fromEntry && toEntry && fromEntry !== toEntry ? diffSheets(fromEntry.sheet, toEntry.sheet) : []), [fromEntry, toEntry]);
+  const describeEntry = (entry) => (entry.id === 'current' ? 'Versión actual' : new Date(entry.createdAt).toLocaleString());
+
+  return (
+    <div className="fixed inset-0 bg-black/40 z-[60] flex items-center justify-center p-4 no-print">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-6xl h-[90vh] flex flex-col">
+        <div className="p-5 border-b flex justify-between items-center">
+          <h2 className="text-lg font-bold text-gray-800 flex items-center gap-2"><FileClock className="text-blue-600" /> Historial de Versiones</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={20} /></button>
+        </div>
+        <div className="flex-1 flex flex-col md:flex-row min-h-0">
+          {/* Lista de versiones: A = versión base de la comparación, B = versión comparada */}
+          <div className="md:w-2/5 border-r overflow-y-auto">
+            {revisions === null ? (
+              <div className="p-6 text-gray-400 flex items-center gap-2"><Loader2 size={16} className="animate-spin" /> Cargando...</div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-xs uppercase text-gray-500 sticky top-0">
+                  <tr><th className="p-2">A</th><th className="p-2">B</th><th className="text-left p-2">Versión</th></tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => (
+                    <tr key={entry.id} className={`border-b border-gray-100 ${entry.id === fromId ? 'bg-blue-50' : ''}`}>
+                      <td className="p-2 text-center"><input type="radio" name="revision-from" checked={entry.id === fromId} onChange={() => setSelection({ ...selection, from: entry.id })} /></td>
+                      <td className="p-2 text-center"><input type="radio" name="revision-to" checked={entry.id === selection.to} onChange={() => setSelection({ ...selection, to: entry.id })} /></td>
+                      <td className="p-2">
+                        <div className="font-semibold text-gray-700 flex items-center gap-2 flex-wrap">
+                          {describeEntry(entry)}
+                          {REVISION_KINDS[entry.kind] && <span className={`text-[10px] px-2 py-0.5 rounded-full font-bold ${REVISION_KINDS[entry.kind].color}`}>{REVISION_KINDS[entry.kind].label}</span>}
+                        </div>
+                        {entry.createdBy && <div className="text-xs text-gray-500">{entry.createdBy}</div>}
+                        {entry.note && <div className="text-xs text-gray-600 italic">“{entry.note}”</div>}
+                        <div className="text-[11px] text-gray-400">
+                          {changedSections[entry.id] === null ? 'Versión más antigua archivada'
+                            : changedSections[entry.id].length === 0 ? 'Sin cambios' : `Cambios: ${changedSections[entry.id].join(', ')}`}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {revisions?.length === 0 && <p className="p-4 text-sm text-gray-400">Todavía no hay versiones archivadas. Se archiva una cada {REVISION_INTERVAL_MINUTES} minutos de edición y en cada punto de control.</p>}
+          </div>
+
+          {/* Diferencias campo por campo */}
+          <div className="md:w-3/5 flex flex-col min-h-0">
+            <div className="p-3 bg-gray-50 border-b text-xs text-gray-600 flex items-center gap-2">
+              <GitCompare size={14} />
+              {fromEntry && toEntry ? <span><b>A:</b> {describeEntry(fromEntry)} → <b>B:</b> {describeEntry(toEntry)} · {diff.length} campos distintos</span> : 'Elegí dos versiones para comparar'}
+            </div>
+            <div className="flex-1 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-white text-xs uppercase text-gray-500 sticky top-0 shadow-sm">
+                  <tr><th className="text-left p-2">Campo</th><th className="p-2">A</th><th className="p-2">B</th></tr>
+                </thead>
+                <tbody>
+                  {diff.map(d => {
+                    const { section, detail } = describeSheetPath(d.path);
+                    return (
+                      <tr key={d.path} className="border-b border-gray-100">
+                        <td className="p-2"><div className="font-semibold text-gray-700">{section}</div><div className="text-xs text-gray-400">{detail}</div></td>
+                        <td className="p-2 text-center text-red-700 bg-red-50/50">{formatSheetValue(d.before)}</td>
+                        <td className="p-2 text-center text-green-700 bg-green-50/50">{formatSheetValue(d.after)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            {canRestore && fromEntry && fromEntry.id !== 'current' && (
+              <div className="p-3 border-t flex flex-wrap justify-end items-center gap-2">
+                <span className="text-xs text-gray-500">Restaurar versión A ({describeEntry(fromEntry)}):</span>
+                <select value={restoreScope} onChange={(e) => setRestoreScope(e.target.value)} className="text-sm border border-gray-300 rounded p-1.5">
+                  <option value="all">Planilla completa</option>
+                  {Object.entries(SHEET_TABS).map(([id, tab]) => <option key={id} value={id}>Solo pestaña {tab.label}</option>)}
+                </select>
+                <button onClick={() => onRestore(fromEntry, restoreScope)} className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded font-semibold flex items-center gap-2">
+                  <RotateCcw size={14} /> Restaurar
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- CURVA DE POLARIZACIÓN ---
+// Resistencia en función del tiempo para cada configuración de Aislación, en escala logarítmica.
+// La misma serie se dibuja en SVG (pantalla/impresión) y con vectores de jsPDF (reporte). El eje X
+// es por defecto el de minutos; un ensayo puede declarar otro en `chart.xAxis` (ver curva de excitación de TC).
+const CHART_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+const INSULATION_CURVE_POINTS = [
+  [0.5, 'val30s'], [1, 'val1m'], [2, 'val2m'], [3, 'val3m'], [4, 'val4m'], [5, 'val5m'],
+  [6, 'val6m'], [7, 'val7m'], [8, 'val8m'], [9, 'val9m'], [10, 'val10m'],
+];
+const INSULATION_CURVE_MINUTES = 10;
+
+const insulationCurveSeries = (insulationData) => insulationData
+  .map((row, index) => ({
+    label: ([row.injection, row.measurement].filter(Boolean).join(' - ') || `Fila ${index + 1}`) + (row.guard ? ` (G: ${row.guard})` : ''),
+    color: CHART_COLORS[index % CHART_COLORS.length],
+    points: INSULATION_CURVE_POINTS
+      .map(([minutes, field]) => [minutes, readNum(row[field])])
+      .filter(([, value]) => value !== null && value > 0),
+  }))
+  .filter(series => series.points.length > 0);
+
+// Décadas enteras que contienen todos los valores (de Y o, con axis 0, de X)
+const logChartScale = (seriesList, axis = 1) => {
+  const values = seriesList.flatMap(series => series.points.map(point => point[axis]));
+  const low = Math.floor(Math.log10(Math.min(...values)));
+  const high = Math.max(Math.ceil(Math.log10(Math.max(...values))), low + 1);
+  const decades = Array.from({ length: high - low + 1 }, (_, i) => low + i);
+  return {
+    decades,
+    position: (value) => (Math.log10(value) - low) / (high - low),
+    label: (decade) => formatNum(Math.pow(10, decade), Math.max(0, -decade)),
+  };
+};
+
+// Ejes X: { label, ticks: [{ value, label }], position(valor) → 0..1 } a partir de las series
+const minutesChartAxis = () => ({
+  label: 'Tiempo (min)',
+  ticks: Array.from({ length: INSULATION_CURVE_MINUTES + 1 }, (_, minutes) => ({ value: minutes, label: `${minutes}'` })),
+  position: (minutes) => minutes / INSULATION_CURVE_MINUTES,
+});
+const logChartAxis = (label, series) => {
+  const scale = logChartScale(series, 0);
+  return { label, ticks: scale.decades.map(decade => ({ value: Math.pow(10, decade), label: scale.label(decade) })), position: scale.position };
+};
+
+const InsulationCurveChart = ({ title, series, xAxis = minutesChartAxis }) => {
+  if (series.length === 0) return null;
+  const width = 640, height = 260, left = 48, right = 12, top = 12, bottom = 30;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const scale = logChartScale(series);
+  const axis = xAxis(series);
+  const xOf = (value) => left + axis.position(value) * plotWidth;
+  const yOf = (value) => top + plotHeight * (1 - scale.position(value));
+
+  return (
+    <div className="px-6 py-4 border-t border-gray-200 print:break-inside-avoid">
+      <h3 className="text-xs font-bold text-gray-600 uppercase mb-2">{title}</h3>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full max-w-3xl h-auto text-gray-500">
+        {scale.decades.map(decade => (
+          <g key={decade}>
+            <line x1={left} x2={width - right} y1={yOf(Math.pow(10, decade))} y2={yOf(Math.pow(10, decade))} stroke="#d1d5db" />
+            <text x={left - 4} y={yOf(Math.pow(10, decade)) + 3} fontSize="9" textAnchor="end" fill="currentColor">{scale.label(decade)}</text>
+          </g>
+        ))}
+        {axis.ticks.map(tick => (
+          <g key={tick.value}>
+            <line x1={xOf(tick.value)} x2={xOf(tick.value)} y1={top} y2={top + plotHeight} stroke="#f3f4f6" />
+            <text x={xOf(tick.value)} y={height - bottom + 14} fontSize="9" textAnchor="middle" fill="currentColor">{tick.label}</text>
+          </g>
+        ))}
+        <rect x={left} y={top} width={plotWidth} height={plotHeight} fill="none" stroke="#9ca3af" />
+        <text x={left + plotWidth / 2} y={height - 4} fontSize="9" textAnchor="middle" fill="currentColor">{axis.label}</text>
+        {series.map(item => (
+          <g key={item.label + item.color} stroke={item.color} fill={item.color}>
+            <polyline points={item.points.map(([x, value]) => `${xOf(x)},${yOf(value)}`).join(' ')} fill="none" strokeWidth="1.5" />
+            {item.points.map(([x, value]) => <circle key={x} cx={xOf(x)} cy={yOf(value)} r="2.5" />)}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-600">
+        {series.map(item => (
+          <span key={item.label + item.color} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: item.color }} /> {item.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Versión vectorial para el PDF; la leyenda ocupa una columna a la derecha del gráfico
+const drawPdfCurveChart = (pdf, series, x, y, width, height, xAxis = minutesChartAxis) => {
+  const legendWidth = 55, left = x + 12, bottom = y + height - 8;
+  const plotWidth = width - legendWidth - 12;
+  const plotHeight = height - 8;
+  const scale = logChartScale(series);
+  const axis = xAxis(series);
+  const xOf = (value) => left + axis.position(value) * plotWidth;
+  const yOf = (value) => bottom - plotHeight * scale.position(value);
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(7);
+  pdf.setLineWidth(0.1);
+  pdf.setDrawColor(230);
+  axis.ticks.forEach(tick => {
+    pdf.line(xOf(tick.value), bottom, xOf(tick.value), bottom - plotHeight);
+    pdf.text(pdfText(tick.label), xOf(tick.value), bottom + 4, { align: 'center' });
+  });
+  pdf.setDrawColor(200);
+  scale.decades.forEach(decade => {
+    const lineY = yOf(Math.pow(10, decade));
+    pdf.line(left, lineY, left + plotWidth, lineY);
+    pdf.text(pdfText(scale.label(decade)), left - 2, lineY + 1, { align: 'right' });
+  });
+  pdf.text(pdfText(axis.label), left + plotWidth / 2, bottom + 8, { align: 'center' });
+  pdf.setDrawColor(150);
+  pdf.rect(left, bottom - plotHeight, plotWidth, plotHeight);
+
+  pdf.setLineWidth(0.4);
+  series.forEach((item, index) => {
+    pdf.setDrawColor(item.color);
+    pdf.setFillColor(item.color);
+    item.points.forEach(([pointX, value], i) => {
+      if (i > 0) pdf.line(xOf(item.points[i - 1][0]), yOf(item.points[i - 1][1]), xOf(pointX), yOf(value));
+      pdf.circle(xOf(pointX), yOf(value), 0.6, 'F');
+    });
+    const legendY = bottom - plotHeight + 3 + index * 5;
+    pdf.rect(left + plotWidth + 6, legendY - 2.5, 3, 3, 'F');
+    pdf.text(pdfText(item.label), left + plotWidth + 11, legendY);
+  });
+  pdf.setLineWidth(0.2);
+  pdf.setDrawColor(0);
+  pdf.setFillColor(255);
+};
+
+// --- REPORTE PDF ---
+// PDF vectorial (texto seleccionable): portada con datos del equipo, aprobación y resumen de resultados,
+// y cada ensayo en páginas propias con encabezado, logo y numeración.
+const PDF_MARGIN = 12;
+const PDF_STATUS_COLORS = { 'ACEPTABLE': [21, 128, 61], 'NO ACEPTABLE': [185, 28, 28] };
+
+// Las fuentes estándar de PDF no incluyen todos los símbolos
+const pdfText = (value) => String(value ?? '').replace(/Ω/g, 'Ohm').replace(/≥/g, '>=').replace(/≤/g, '<=').replace(/−/g, '-');
+
+const loadImage = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+    const { width, height } = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = dataUrl;
+    });
+    return { dataUrl, width, height };
+  } catch {
+    return null; // Sin logo el reporte se genera igual
+  }
+};
+
+// Resultado de un ensayo a partir de la columna de estado (última) de sus filas
+const summarizeReportRows = (rows) => {
+  const statuses = rows.map(row => row[row.length - 1]);
+  const ok = statuses.filter(st => st === 'ACEPTABLE').length;
+  const fail = statuses.filter(st => st === 'NO ACEPTABLE').length;
+  return { ok, fail, result: fail > 0 ? 'NO ACEPTABLE' : ok > 0 ? 'ACEPTABLE' : 'Sin datos' };
+};
+
+const colorStatusCell = (column) => (hook) => {
+  const color = PDF_STATUS_COLORS[hook.cell.raw];
+  if (hook.section === 'body' && hook.column.index === column && color) {
+    hook.cell.styles.textColor = color;
+    hook.cell.styles.fontStyle = 'bold';
+  }
+};
+
+// `pageHeader` son las líneas del encabezado que se repite en cada página salvo la portada (la
+// primera destacada); `coverDetails` va en una segunda columna de la portada e `instruments`
+// ({ head, rows }) como tabla debajo del resumen.
+const generatePdfReport = async ({ fileName, pageHeader, coverFields, coverDetails = [], instruments, approvalFields, sections }) => {
+  const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const logo = await loadImage(`${import.meta.env.BASE_URL}logo.png`);
+  const drawLogo = (x, y, maxWidth, maxHeight) => {
+    if (!logo) return;
+    const scale = Math.min(maxWidth / logo.width, maxHeight / logo.height);
+    pdf.addImage(logo.dataUrl, 'PNG', x, y, logo.width * scale, logo.height * scale);
+  };
+  const fieldTable = (startY, fields, left = PDF_MARGIN, width = 150) => autoTable(pdf, {
+    startY, theme: 'plain', tableWidth: width, margin: { left },
+    body: fields.map(([label, value]) => [pdfText(label), pdfText(value || '-')]),
+    styles: { fontSize: 10, cellPadding: 1.5 }, columnStyles: { 0: { fontStyle: 'bold', cellWidth: 55 } },
+  });
+  const headerLines = [].concat(pageHeader);
+  // El contenido de cada página arranca debajo del encabezado, que crece con sus líneas
+  const headerBottom = 14 + headerLines.length * 4;
+  const contentTop = headerBottom + 10;
+
+  // 1. Portada
+  drawLogo(PDF_MARGIN, PDF_MARGIN, 60, 25);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(22);
+  pdf.text('Planilla de Ensayos Eléctricos', PDF_MARGIN, 50);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(11);
+  pdf.text(pdfText(sections.map(section => section.title).join(' · ')), PDF_MARGIN, 57);
+  fieldTable(64, coverFields);
+  let coverBottom = pdf.lastAutoTable.finalY;
+  if (coverDetails.length > 0) {
+    fieldTable(64, coverDetails, PDF_MARGIN + 160, pageWidth - 2 * PDF_MARGIN - 160);
+    coverBottom = Math.max(coverBottom, pdf.lastAutoTable.finalY);
+  }
+  fieldTable(coverBottom + 4, approvalFields);
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(12);
+  pdf.text('Resumen de Resultados', PDF_MARGIN, pdf.lastAutoTable.finalY + 10);
+  autoTable(pdf, {
+    startY: pdf.lastAutoTable.finalY + 13, margin: { left: PDF_MARGIN }, tableWidth: 180,
+    head: [['Ensayo', 'Filas aceptables', 'Filas no aceptables', 'Resultado']],
+    body: sections.map(section => {
+      const summary = summarizeReportRows(section.rows);
+      return [pdfText(section.title), summary.ok, summary.fail, summary.result];
+    }),
+    styles: { fontSize: 10 }, headStyles: { fillColor: [31, 41, 55] },
+    columnStyles: { 1: { halign: 'center' }, 2: { halign: 'center' }, 3: { halign: 'center' } },
+    didParseCell: colorStatusCell(3),
+  });
+
+  if (instruments && instruments.rows.length > 0) {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(12);
+    pdf.text('Instrumental utilizado', PDF_MARGIN, pdf.lastAutoTable.finalY + 10);
+    autoTable(pdf, {
+      startY: pdf.lastAutoTable.finalY + 13, margin: { top: contentTop, left: PDF_MARGIN, right: PDF_MARGIN, bottom: 16 },
+      head: [instruments.head.map(pdfText)],
+      body: instruments.rows.map(row => row.map(value => pdfText(value || '-'))),
+      styles: { fontSize: 9 }, headStyles: { fillColor: [31, 41, 55] },
+    });
+  }
+
+  // 2. Un ensayo por sección, cada uno desde una página nueva
+  sections.forEach(section => {
+    pdf.addPage();
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.text(pdfText(section.title), PDF_MARGIN, contentTop);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    const metaLines = pdf.splitTextToSize(pdfText(section.meta.map(([label, value]) => `${label} ${value ?? '-'}`).join('    ')), pageWidth - 2 * PDF_MARGIN);
+    pdf.text(metaLines, PDF_MARGIN, contentTop + 6);
+    autoTable(pdf, {
+      startY: contentTop + 8 + metaLines.length * 4,
+      margin: { top: headerBottom + 6, left: PDF_MARGIN, right: PDF_MARGIN, bottom: 16 },
+      head: [section.head.map(pdfText)],
+      body: section.rows.map(row => row.map(pdfText)),
+      styles: { fontSize: 7.5, halign: 'center', cellPadding: 1.2, lineColor: [200, 200, 200], lineWidth: 0.1 },
+      headStyles: { fillColor: [31, 41, 55], fontSize: 7.5 },
+      didParseCell: colorStatusCell(section.head.length - 1),
+    });
+    let y = pdf.lastAutoTable.finalY + 6;
+    if (y > pageHeight - 20) {
+      pdf.addPage();
+      y = contentTop;
+    }
+    pdf.setFontSize(8);
+    pdf.setTextColor(100);
+    const footnoteLines = pdf.splitTextToSize(pdfText(section.footnote), pageWidth - 2 * PDF_MARGIN);
+    pdf.text(footnoteLines, PDF_MARGIN, y);
+    pdf.setTextColor(0);
+
+    // Gráfico opcional debajo de la tabla, o en una página nueva si no entra
+    if (section.chart && section.chart.series.length > 0) {
+      const chartHeight = 100;
+      let chartY = y + footnoteLines.length * 3.5 + 6;
+      if (chartY + chartHeight > pageHeight - 16) {
+        pdf.addPage();
+        chartY = contentTop;
+      }
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(10);
+      pdf.text(pdfText(section.chart.title), PDF_MARGIN, chartY);
+      drawPdfCurveChart(pdf, section.chart.series, PDF_MARGIN, chartY + 4, pageWidth - 2 * PDF_MARGIN, chartHeight - 4, section.chart.xAxis);
+    }
+  });
+
+  // 3. Encabezado (salvo portada) y pie con numeración en todas las páginas
+  const totalPages = pdf.getNumberOfPages();
+  const generatedAt = new Date().toLocaleString();
+  for (let page = 1; page <= totalPages; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    if (page > 1) {
+      drawLogo(PDF_MARGIN, 8, 30, 12);
+      headerLines.forEach((line, index) => {
+        pdf.setFontSize(index === 0 ? 9 : 7.5);
+        pdf.setTextColor(index === 0 ? 0 : 80);
+        // Las líneas largas (p. ej. mucho instrumental) se cortan al ancho disponible
+        const [text] = pdf.splitTextToSize(pdfText(line), pageWidth - 2 * PDF_MARGIN - 40);
+        pdf.text(text, pageWidth - PDF_MARGIN, 12 + index * 4, { align: 'right' });
+      });
+      pdf.setTextColor(0);
+      pdf.setDrawColor(180);
+      pdf.line(PDF_MARGIN, headerBottom, pageWidth - PDF_MARGIN, headerBottom);
+    }
+    pdf.setFontSize(8);
+    pdf.setTextColor(120);
+    pdf.text(`Generado el ${generatedAt}`, PDF_MARGIN, pageHeight - 6);
+    pdf.text(`Página ${page} de ${totalPages}`, pageWidth - PDF_MARGIN, pageHeight - 6, { align: 'right' });
+    pdf.setTextColor(0);
+  }
+
+  pdf.save(fileName);
+};
+
+// --- IMPORTACIÓN DESDE EXCEL ---
+// Cada hoja importable con sus campos. `aliases` son los encabezados que se reconocen solos (los del
+// export propio primero); `nth` toma la n-ésima columna cuyo encabezado cumple el patrón.
+const IMPORT_TARGETS = {
+  ttr: {
+    label: 'TTR', sheetNames: ['TTR'], rowKey: 'tap',
+    fields: [
+      { key: 'tap', label: 'Tap', aliases: ['Tap', 'Posición'] },
+      { key: 'ratioPercent', label: 'Ratio %', aliases: ['Ratio %'], numeric: true },
+      { key: 'ratedRatio', label: 'Relación teórica', aliases: ['Rated Ratio', 'Relación Teórica', 'Teórico'], numeric: true },
+      { key: 'ratedRatioSource', label: 'Origen teórico', aliases: ['Origen Teórico'] },
+      { key: 'phaseA', label: 'Fase A', aliases: ['Ph A Meas', 'Fase A'], numeric: true },
+      { key: 'phaseB', label: 'Fase B', aliases: ['Ph B Meas', 'Fase B'], numeric: true },
+      { key: 'phaseC', label: 'Fase C', aliases: ['Ph C Meas', 'Fase C'], numeric: true },
+    ],
+    meta: {
+      'Cliente:': ['headerInfo', 'client'], 'Fecha:': ['headerInfo', 'date'], 'Nº Serie:': ['headerInfo', 'serialNumber'],
+      'Nº Fab:': ['headerInfo', 'manufacturingNumber'],
+      ...Object.fromEntries(Object.entries(WINDING_VOLTAGE_LABELS).map(([key, label]) => [label, ['nameplate', key]])),
+      'Escalón (%):': ['nameplate', 'tapStep'], 'Grupo:': ['nameplate', 'vectorGroup'],
+    },
+    // Con tres devanados cada par sale bajo su título, con su escalón y su grupo
+    sections: Object.entries(TTR_PAIRS).map(([id, pair]) => ({
+      id, title: ttrPairTitle(pair), prefix: pair.prefix, changer: pair.changer,
+      meta: { 'Escalón (%):': ['nameplate', TAP_CHANGERS[pair.changer].step], 'Grupo:': ['nameplate', pair.vectorGroup] },
+    })),
+  },
+  resistance: {
+    label: 'Resistencia', sheetNames: ['Resistencia'], rowKey: 'tap',
+    fields: [
+      { key: 'tap', label: 'Tap', aliases: ['Tap', 'Posición'] },
+      ...[1, 2, 3].map(conn => ({ key: `resConn${conn}Meas`, label: `Conexión ${conn} (medida)`, aliases: [`Conexión ${conn} (Meas)`], nth: { pattern: /\(meas\)$/i, index: conn - 1 }, numeric: true })),
+    ],
+    meta: {},
+    sections: Object.entries(RESISTANCE_WINDINGS).map(([id, winding]) => ({ id, title: winding.label, prefix: winding.prefix, changer: winding.changer, meta: {} })),
+  },
+  tgdelta: {
+    label: 'TG Delta', sheetNames: ['TG Delta'], rowKey: null,
+    fields: [
+      { key: 'mode', label: 'Modo', aliases: ['Modo'] },
+      { key: 'injection', label: 'Inyección', aliases: ['Inyección'] },
+      { key: 'measurement', label: 'Medición', aliases: ['Medición'] },
+      { key: 'guard', label: 'Guarda', aliases: ['Guarda'] },
+      { key: 'testVoltage', label: 'Tensión de ensayo', aliases: ['Tensión Ensayo'], numeric: true },
+      { key: 'tgPercent', label: 'TG (%)', aliases: ['TG (%)'], numeric: true },
+      { key: 'capacitance', label: 'Cx (pF)', aliases: ['Cx (pF)'], numeric: true },
+    ],
+    meta: { 'Temp. Aislamiento (°C):': ['tgDeltaConditions', 'testTemp'], 'Temp. Ambiente (°C):': ['tgDeltaConditions', 'ambientTemp'], 'Humedad (%):': ['tgDeltaConditions', 'humidity'] },
+  },
+  insulation: {
+    label: 'Aislación', sheetNames: ['Aislación', 'Aislacion'], rowKey: null,
+    fields: [
+      { key: 'injection', label: 'Inyección', aliases: ['Inyección'] },
+      { key: 'measurement', label: 'Medición', aliases: ['Medición'] },
+      { key: 'guard', label: 'Guarda', aliases: ['Guarda'] },
+      { key: 'val30s', label: '30"', aliases: ['30"'], numeric: true },
+      ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(min => ({ key: `val${min}m`, label: `${min}'`, aliases: [`${min}'`], numeric: true })),
+    ],
+    meta: { 'Temp. Aislamiento (°C):': ['insulationConditions', 'testTemp'], 'Temp. Ambiente (°C):': ['insulationConditions', 'ambientTemp'], 'Humedad (%):': ['insulationConditions', 'humidity'] },
+  },
+};
+
+const normalizeHeader = (value) => String(value ?? '').trim().toLowerCase();
+
+// Texto de una celda con coma decimal (como se carga a mano en la planilla)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value).replace('.', ',');
+  return String(value).trim();
+};
+
+const isParseableNumber = (text) => readNum(text) !== null;
+
+// "+5", "-3", "0 (Nominal)", "0b (Nominal)", "Tap 5" o números sueltos → id de fila de tap.
+// Se leen como posiciones con signo; la letra distingue las nominales repetidas. Es la lectura de
+// planillas ajenas: las del export propio se reconocen con el esquema de tapSchemeFromLabels.
+const tapIdFromLabel = (label) => {
+  const match = String(label).trim().match(/([+-]?\d+)([a-c](?![a-z]))?/i);
+  if (!match) return null;
+  const position = parseInt(match[1], 10);
+  const copy = match[2] ? match[2].toLowerCase().charCodeAt(0) - 96 : 1;
+  if (position === 0) return { id: copy > 1 ? `neutral-${copy}` : 'neutral', position, copy };
+  return { id: position > 0 ? `pos-${position}` : `neg-${-position}`, position, copy };
+};
+
+// Esquema de taps de una tabla exportada por la planilla, a partir de sus rótulos en orden (de la
+// posición de máxima relación a la de mínima): las nominales llevan "(Nominal)" y la letra de su
+// copia, la numerada no tiene signo y su primera fila dice si la posición 1 es la de máxima relación.
+// Sin nominales marcadas (planillas ajenas) devuelve null.
+const tapSchemeFromLabels = (labels) => {
+  const parse = (label) => String(label).replace(/\(nominal\)/i, '').trim().match(/^([+-]?)(\d+)([a-c])?$/i);
+  const nominals = labels.filter(label => /\(nominal\)/i.test(label)).map(parse);
+  if (nominals.length === 0 || nominals.some(match => !match)) return null;
+  const numbers = labels.map(parse).filter(Boolean).map(([, sign, digits]) => parseInt(`${sign}${digits}`, 10));
+  const nominal = parseInt(nominals[0][2], 10);
+  const neutralCopies = Math.min(nominals.length, MAX_NEUTRAL_COPIES);
+  if (nominal === 0) {
+    return { style: 'signed', raise: Math.max(0, ...numbers), lower: Math.max(0, ...numbers.map(n => -n)), neutralCopies, firstAt: 'raise' };
+  }
+  const last = Math.max(nominal, ...numbers);
+  const firstAt = numbers[0] <= nominal ? 'raise' : 'lower';
+  const [before, after] = [nominal - 1, last - nominal];
+  return { style: 'numbered', raise: firstAt === 'raise' ? before : after, lower: firstAt === 'raise' ? after : before, neutralCopies, firstAt };
+};
+
+const detectColumn = (field, headers) => {
+  const byAlias = headers.findIndex(h => field.aliases.some(alias => normalizeHeader(alias) === normalizeHeader(h)));
+  if (byAlias >= 0) return byAlias;
+  if (field.nth) {
+    const matches = headers.map((h, i) => (field.nth.pattern.test(String(h).trim()) ? i : -1)).filter(i => i >= 0);
+    if (matches[field.nth.index] !== undefined) return matches[field.nth.index];
+  }
+  return '';
+};
+
+// Primera fila que contenga algún encabezado conocido; si no hay, la primera fila con varias celdas de texto
+const detectHeaderRow = (target, rows) => {
+  const known = rows.findIndex(row => target.fields.some(field => detectColumn(field, row) !== ''));
+  if (known >= 0) return known;
+  return Math.max(0, rows.findIndex(row => row.filter(cell => typeof cell === 'string' && cell.trim()).length >= 3));
+};
+
+const readWorkbook = async (file) => {
+  const workbook = XLSX.read(await file.arrayBuffer());
+  return Object.fromEntries(workbook.SheetNames.map(name => [name, XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', raw: true })]));
+};
+
+// Mapeo automático: hoja por nombre, fila de encabezados y columna de cada campo
+const autoMapWorkbook = (sheets) => Object.fromEntries(Object.entries(IMPORT_TARGETS).map(([targetId, target]) => {
+  const sheetName = Object.keys(sheets).find(name => target.sheetNames.some(n => normalizeHeader(n) === normalizeHeader(name))) || '';
+  if (!sheetName) return [targetId, { sheet: '', headerRow: 0, columns: {} }];
+  const headerRow = detectHeaderRow(target, sheets[sheetName]);
+  const headers = sheets[sheetName][headerRow] || [];
+  return [targetId, { sheet: sheetName, headerRow, columns: Object.fromEntries(target.fields.map(field => [field.key, detectColumn(field, headers)])) }];
+}));
+
+// Título de sección en la primera celda con texto de la fila (p. ej. "RELACIÓN AT / MT")
+const sectionOfRow = (target, row) => {
+  const first = normalizeHeader(row.find(cell => cellText(cell)));
+  return first ? target.sections?.find(section => normalizeHeader(section.title) === first) : undefined;
+};
+
+// Arma la planilla de un proyecto nuevo según el mapeo. Las celdas numéricas que no se pueden
+// interpretar se importan tal cual (quedan a la vista para corregirlas) y se listan en `issues`.
+// TTR y resistencia de tres devanados van en la misma hoja, una tabla por par o devanado bajo su
+// título: cada tabla repite el encabezado y sus filas toman el prefijo de la sección (ver tapRowKey).
+const importWorkbook = (sheets, mapping) => {
+  const sheet = { data: {}, tgDeltaData: [], insulationData: [], headerInfo: {}, nameplate: {}, tgDeltaConditions: {}, insulationConditions: {} };
+  const issues = [];
+  const counts = {};
+  const maxTaps = { hv: 0, mv: 0 };
+  const connectionHeaders = {};
+  const changerSchemes = {};
+  let neutralCopies = 1;
+  let threeWindings = false;
+
+  Object.entries(IMPORT_TARGETS).forEach(([targetId, target]) => {
+    const map = mapping[targetId];
+    counts[targetId] = 0;
+    if (!map?.sheet || !sheets[map.sheet]) return;
+    const rows = sheets[map.sheet];
+    const ref = (r, c) => `${map.sheet}!${XLSX.utils.encode_cell({ r, c })}`;
+    const keyCol = target.rowKey ? map.columns[target.rowKey] : undefined;
+    const keyHeader = keyCol === '' || keyCol === undefined ? '' : normalizeHeader(rows[map.headerRow]?.[keyCol]);
+    // Sin títulos, la hoja es la tabla de siempre (par AT/BT, devanado AT)
+    let section = target.sections?.find(entry => !entry.prefix);
+    // Filas por tap de la hoja: se resuelven al final, con el esquema que surge de los rótulos de cada tabla
+    const tapEntries = [];
+
+    // Datos de encabezado: celda con la etiqueta y el valor a su derecha. Devuelve si la fila tenía alguno.
+    const readMeta = (row) => {
+      const meta = { ...target.meta, ...section?.meta };
+      let found = false;
+      row.forEach((cell, c) => {
+        const dest = meta[String(cell).trim()];
+        if (!dest) return;
+        found = true;
+        if (cellText(row[c + 1])) sheet[dest[0]] = { ...sheet[dest[0]], [dest[1]]: cellText(row[c + 1]) };
+      });
+      return found;
+    };
+    const enterSection = (row) => {
+      const next = sectionOfRow(target, row);
+      if (!next) return false;
+      section = next;
+      if (next.prefix) threeWindings = true;
+      return true;
+    };
+
+    rows.slice(0, map.headerRow).forEach(row => { if (!enterSection(row)) readMeta(row); });
+    if (section) connectionHeaders[`${targetId}:${section.id}`] = rows[map.headerRow] || [];
+
+    rows.slice(map.headerRow + 1).forEach((row, offset) => {
+      const r = map.headerRow + 1 + offset;
+      if (section && enterSection(row)) return;
+      if (keyHeader && normalizeHeader(row[keyCol]) === keyHeader) {
+        connectionHeaders[`${targetId}:${section.id}`] = row;
+        return;
+      }
+      if (section && readMeta(row)) return;
+      const cells = target.fields
+        .map(field => ({ field, col: map.columns[field.key] }))
+        .filter(({ col }) => col !== '' && col !== undefined)
+        .map(cell => ({ ...cell, text: cellText(row[cell.col]) }))
+        .filter(({ text }) => text);
+      const values = Object.fromEntries(cells.map(({ field, text }) => [field.key, text]));
+      const reportInvalid = () => cells.forEach(({ field, col, text }) => {
+        if (field.numeric && !isParseableNumber(text)) issues.push({ cell: ref(r, col), target: target.label, field: field.label, value: text, message: 'No es un número válido' });
+      });
+
+      if (target.rowKey) {
+        const { [target.rowKey]: keyValue, ratedRatioSource, ...fields } = values;
+        if (keyValue) tapEntries.push({ section, keyValue, ratedRatioSource, fields, cells, r, reportInvalid });
+        return;
+      }
+      if (Object.keys(values).length === 0) return;
+      reportInvalid();
+      sheet[targetId === 'tgdelta' ? 'tgDeltaData' : 'insulationData'].push({ id: generateId(), ...values });
+      counts[targetId]++;
+    });
+
+    // Los rótulos del export propio se buscan en el esquema de su tabla (numerada, asimétrica o con la
+    // nominal repetida); si no lo hay o no coinciden, se leen como posiciones con signo
+    const schemes = Object.fromEntries((target.sections || []).map(entry => [
+      entry.id, tapSchemeFromLabels(tapEntries.filter(tapEntry => tapEntry.section === entry).map(tapEntry => tapEntry.keyValue)),
+    ]));
+    (target.sections || []).forEach(entry => {
+      if (entry.changer && schemes[entry.id] && !changerSchemes[entry.changer]) changerSchemes[entry.changer] = schemes[entry.id];
+    });
+    const labelText = (label) => String(label).replace(/\(nominal\)/i, '').trim().toLowerCase();
+    const tapOf = (entry, keyValue) => {
+      const scheme = schemes[entry.id];
+      const row = scheme && buildTapRows(scheme).find(tapRow => labelText(tapRow.label) === labelText(keyValue));
+      return row ? { id: row.id, position: row.position, copy: 1 } : tapIdFromLabel(keyValue);
+    };
+
+    tapEntries.forEach(({ section: entry, keyValue, ratedRatioSource, fields, cells, r, reportInvalid }) => {
+      if (Object.keys(fields).length === 0) return;
+      const tap = tapOf(entry, keyValue);
+      if (!tap) {
+        // Filas de texto sin mediciones (p. ej. "Material") se saltean; con mediciones se informan
+        if (cells.some(({ field, text }) => field.numeric && isParseableNumber(text))) {
+          issues.push({ cell: ref(r, map.columns[target.rowKey]), target: target.label, field: 'Tap', value: keyValue, message: 'Posición de tap no reconocida' });
+        }
+        return;
+      }
+      reportInvalid();
+      if (fields.ratedRatio) fields.ratedRatioManual = ratedRatioSource ? normalizeHeader(ratedRatioSource) === 'manual' : true;
+      if (entry.changer) maxTaps[entry.changer] = Math.max(maxTaps[entry.changer], Math.abs(tap.position));
+      if (entry.changer === 'hv' && tap.position === 0) neutralCopies = Math.max(neutralCopies, tap.copy);
+      const id = `${entry.prefix}${tap.id}`;
+      sheet.data[id] = { ...sheet.data[id], ...fields };
+      counts[targetId]++;
+    });
+  });
+
+  // Solo se conservan los grupos con datos; el resto toma los valores por defecto de un proyecto nuevo
+  const defaults = sheetFromProject({});
+  const result = {
+    ...defaults,
+    tapRange: changerSchemes.hv ? Math.max(changerSchemes.hv.raise, changerSchemes.hv.lower) : maxTaps.hv || defaults.tapRange,
+    tapScheme: changerSchemes.hv || { ...symmetricTapScheme(maxTaps.hv || defaults.tapRange), neutralCopies },
+    data: sheet.data,
+    tgDeltaData: sheet.tgDeltaData.length ? sheet.tgDeltaData : defaults.tgDeltaData,
+    insulationData: sheet.insulationData.length ? sheet.insulationData : defaults.insulationData,
+    headerInfo: { ...defaults.headerInfo, ...sheet.headerInfo },
+    nameplate: {
+      ...defaults.nameplate, ...sheet.nameplate,
+      ...(threeWindings ? { windings: 'three', mvTapRange: changerSchemes.mv ? Math.max(changerSchemes.mv.raise, changerSchemes.mv.lower) : maxTaps.mv } : {}),
+    },
+    tgDeltaConditions: { ...defaults.tgDeltaConditions, ...sheet.tgDeltaConditions },
+    insulationConditions: { ...defaults.insulationConditions, ...sheet.insulationConditions },
+  };
+  // Los nombres de conexión salen del encabezado "<nombre> (Meas)" de cada tabla del export propio;
+  // los del devanado AT son los de siempre y los de MT/BT van en resistanceSettings.windings
+  const resMap = mapping.resistance;
+  if (resMap?.sheet && sheets[resMap.sheet]) {
+    IMPORT_TARGETS.resistance.sections.forEach(({ id }) => {
+      const headers = connectionHeaders[`resistance:${id}`];
+      if (!headers) return;
+      const names = {};
+      [1, 2, 3].forEach(conn => {
+        const header = String(headers[resMap.columns[`resConn${conn}Meas`]] ?? '');
+        if (/\(meas\)$/i.test(header.trim())) names[`conn${conn}Name`] = header.replace(/\(meas\)$/i, '').trim();
+      });
+      if (id === 'AT') result.resistanceSettings = { ...result.resistanceSettings, ...names };
+      else result.resistanceSettings = { ...result.resistanceSettings, windings: { ...result.resistanceSettings.windings, [id]: names } };
+    });
+  }
+  return { sheet: result, issues, counts };
+};
+
+// --- COMPONENTE: IMPORTAR EXCEL ---
+const ExcelImportDialog = ({ onImport, onClose }) => {
+  const [step, setStep] = useState('file');
+  const [fileName, setFileName] = useState('');
+  const [sheets, setSheets] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError('');
+    try {
+      const workbook = await readWorkbook(file);
+      setSheets(workbook);
+      setMapping(autoMapWorkbook(workbook));
+      setFileName(file.name);
+      setStep('mapping');
+    } catch (err) {
+      console.error("Error leyendo Excel:", err);
+      setError('No se pudo leer el archivo. ¿Es un libro de Excel válido?');
+    }
+  };
+
+  const result = useMemo(() => (sheets ? importWorkbook(sheets, mapping) : null), [sheets, mapping]);
+
+  const updateTarget = (targetId, changes) => setMapping(prev => ({ ...prev, [targetId]: { ...prev[targetId], ...changes } }));
+  const changeSheet = (targetId, sheetName) => {
+    const target = IMPORT_TARGETS[targetId];
+    if (!sheetName) return updateTarget(targetId, { sheet: '', headerRow: 0, columns: {} });
+    const headerRow = detectHeaderRow(target, sheets[sheetName]);
+    const headers = sheets[sheetName][headerRow] || [];
+    updateTarget(targetId, { sheet: sheetName, headerRow, columns: Object.fromEntries(target.fields.map(f => [f.key, detectColumn(f, headers)])) });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="p-5 border-b flex justify-between items-center">
+          <h2 className="text-lg font-bold text-gray-800 flex items-center gap-2"><FileSpreadsheet className="text-green-600" /> Importar desde Excel {fileName && <span className="text-sm font-normal text-gray-400">· {fileName}</span>}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={20} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-5">
+          {step === 'file' && (
+            <div className="text-center py-10 space-y-4">
+              <p className="text-sm text-gray-600">Elegí un libro con las hojas <b>TTR</b>, <b>Resistencia</b>, <b>TG Delta</b> y <b>Aislación</b> (como el que exporta la planilla) o una plantilla propia: en el paso siguiente se asignan las columnas.</p>
+              <input type="file" accept=".xlsx,.xls,.ods,.csv" onChange={handleFile} className="text-sm" />
+              {error && <div className="text-sm text-red-600 flex items-center justify-center gap-1"><AlertCircle size={14} /> {error}</div>}
+            </div>
+          )}
+
+          {step === 'mapping' && Object.entries(IMPORT_TARGETS).map(([targetId, target]) => {
+            const map = mapping[targetId];
+            const headers = map.sheet ? sheets[map.sheet][map.headerRow] || [] : [];
+            return (
+              <div key={targetId} className="mb-5 border border-gray-200 rounded-lg">
+                <div className="bg-gray-50 p-3 flex flex-wrap items-center gap-3 text-sm border-b">
+                  <span className="font-bold text-gray-700 w-28">{target.label}</span>
+                  <label className="flex items-center gap-1 text-xs text-gray-500">Hoja:
+                    <select value={map.sheet} onChange={(e) => changeSheet(targetId, e.target.value)} className="border border-gray-300 rounded p-1 text-sm">
+                      <option value="">— no importar —</option>
+                      {Object.keys(sheets).map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                  </label>
+                  {map.sheet && (
+                    <label className="flex items-center gap-1 text-xs text-gray-500">Fila de encabezados:
+                      <input type="number" min="1" value={map.headerRow + 1} onChange={(e) => updateTarget(targetId, { headerRow: Math.max(0, (parseInt(e.target.value, 10) || 1) - 1) })} className="w-16 border border-gray-300 rounded p-1 text-sm text-center" />
+                    </label>
+                  )}
+                  {map.sheet && <span className="text-xs text-gray-400 ml-auto">{result.counts[targetId]} filas con datos</span>}
+                </div>
+                {map.sheet && (
+                  <div className="p-3 grid grid-cols-2 md:grid-cols-4 gap-2">
+                    {target.fields.map(field => (
+                      <label key={field.key} className="text-xs text-gray-500">
+                        {field.label}
+                        <select value={map.columns[field.key] ?? ''} onChange={(e) => updateTarget(targetId, { columns: { ...map.columns, [field.key]: e.target.value === '' ? '' : Number(e.target.value) } })}
+                          className={`w-full border rounded p-1 text-sm ${map.columns[field.key] === '' || map.columns[field.key] === undefined ? 'border-gray-200 text-gray-400' : 'border-green-400'}`}>
+                          <option value="">— sin asignar —</option>
+                          {headers.map((h, i) => <option key={i} value={i}>{XLSX.utils.encode_col(i)}: {cellText(h) || '(vacío)'}</option>)}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {step === 'report' && result && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {Object.entries(IMPORT_TARGETS).map(([targetId, target]) => (
+                  <div key={targetId} className="border border-gray-200 rounded-lg p-3 text-center">
+                    <div className="text-xs text-gray-500 uppercase font-bold">{target.label}</div>
+                    <div className="text-2xl font-black text-gray-800">{result.counts[targetId]}</div>
+                    <div className="text-xs text-gray-400">filas importadas</div>
+                  </div>
+                ))}
+              </div>
+              <div className="text-sm text-gray-600">
+                <b>Cliente:</b> {result.sheet.headerInfo.client || '-'} · <b>Nº Serie:</b> {result.sheet.headerInfo.serialNumber || '-'} · <b>Taps:</b> {describeTapScheme(result.sheet.tapScheme)}
+              </div>
+              {result.issues.length === 0 ? (
+                <div className="bg-green-50 border border-green-200 text-green-700 rounded p-3 text-sm flex items-center gap-2"><CheckCircle size={16} /> Todas las celdas se interpretaron correctamente.</div>
+              ) : (
+                <div>
+                  <div className="bg-amber-50 border border-amber-200 text-amber-800 rounded p-3 text-sm flex items-center gap-2 mb-2">
+                    <AlertTriangle size={16} /> {result.issues.length} celdas no se pudieron interpretar. Se importan tal cual para corregirlas en la planilla.
+                  </div>
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-xs uppercase text-gray-500"><tr><th className="text-left p-2">Celda</th><th className="text-left p-2">Ensayo</th><th className="text-left p-2">Campo</th><th className="text-left p-2">Valor</th><th className="text-left p-2">Problema</th></tr></thead>
+                    <tbody>
+                      {result.issues.map((issue, i) => (
+                        <tr key={i} className="border-b border-gray-100">
+                          <td className="p-2 font-mono text-xs">{issue.cell}</td><td className="p-2">{issue.target}</td><td className="p-2">{issue.field}</td>
+                          <td className="p-2 font-mono text-xs text-red-700">{issue.value}</td><td className="p-2 text-xs text-gray-500">{issue.message}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-between">
+          <button onClick={step === 'report' ? () => setStep('mapping') : onClose} className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded">{step === 'report' ? 'Volver al mapeo' : 'Cancelar'}</button>
+          {step === 'mapping' && <button onClick={() => setStep('report')} className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded font-semibold">Validar</button>}
+          {step === 'report' && <button onClick={() => onImport(result.sheet)} className="px-4 py-2 text-sm bg-green-600 hover:bg-green-700 text-white rounded font-semibold flex items-center gap-2"><Plus size={16} /> Crear proyecto</button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- IMPORTACIÓN DESDE INSTRUMENTOS ---
+// Registro de parsers de archivos de resultados. Cada parser declara cómo reconocer su formato
+// (`detect`) y devuelve lecturas normalizadas:
+//   - TTR / resistencia: { test: 'ttr' | 'resistance', tap, field, value, line }   (tap = etiqueta del archivo)
+//   - TG Delta / aislación: { test: 'tgdelta' | 'insulation', config: { ... }, values: { ... }, line }
+// Para sumar un instrumento nuevo alcanza con registerInstrumentParser({ id, label, test, accept, detect, parse }),
+// donde `test` es el ensayo (id de TEST_MODULES) al que van sus lecturas.
+const INSTRUMENT_PARSERS = [];
+const registerInstrumentParser = (parser) => { INSTRUMENT_PARSERS.push(parser); };
+
+const INSTRUMENT_TESTS = { ttr: 'TTR', resistance: 'Resistencia', tgdelta: 'TG Delta', insulation: 'Aislación' };
+
+// Parsers cuyo ensayo está habilitado en la planilla: las lecturas de un ensayo oculto no se verían
+// en las pestañas ni en los informes
+const instrumentParsersFor = (equipmentType, tests) => INSTRUMENT_PARSERS.filter(parser =>
+  EQUIPMENT_TYPES[equipmentType].tests.includes(parser.test) && tests.includes(parser.test));
+
+// CSV con separador ; , o tabulación (el que más aparezca en la primera línea)
+const parseDelimited = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const first = lines[0] || '';
+  const delimiter = [';', '\t', ','].reduce((best, d) => (first.split(d).length > first.split(best).length ? d : best), ';');
+  return lines.map(line => line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+};
+
+const findHeaderRow = (rows, patterns) => rows.findIndex(row => patterns.every(pattern => row.some(cell => pattern.test(cell))));
+const findColumn = (headers, pattern, exclude) => headers.findIndex(h => pattern.test(h) && !(exclude && exclude.test(h)));
+// Error de formato con un mensaje para mostrar tal cual al usuario
+const instrumentFormatError = (message) => Object.assign(new Error(message), { instrumentFormat: true });
+// Texto de celda para un valor del archivo: se conserva lo leído y solo se normaliza el punto decimal
+const instrumentText = (value) => normalizeDecimalText(String(value).trim());
+
+// "A", "U", "R", "1", "H1-H2"... → 1..3
+const phaseIndex = (value) => {
+  const text = String(value).trim().toUpperCase();
+  if (/^(A|U|R|1|H1|X1)\b/.test(text)) return 1;
+  if (/^(B|V|S|2|H2|X2)\b/.test(text)) return 2;
+  if (/^(C|W|T|3|H3|X3)\b/.test(text)) return 3;
+  return null;
+};
+
+registerInstrumentParser({
+  id: 'ttr-csv',
+  label: 'TTR (CSV estilo Megger / DV Power): Tap; Fase; Relación',
+  test: 'ttr',
+  accept: '.csv,.txt',
+  detect: (text) => findHeaderRow(parseDelimited(text), [/tap/i, /ratio|relaci/i]) >= 0,
+  parse: (text) => {
+    const rows = parseDelimited(text);
+    const h = findHeaderRow(rows, [/tap/i, /ratio|relaci/i]);
+    const tapCol = findColumn(rows[h], /tap/i);
+    const phaseCol = findColumn(rows[h], /phase|fase/i);
+    const ratioCol = findColumn(rows[h], /ratio|relaci/i, /dev|err|%|nominal|te[oó]ric/i);
+    return rows.slice(h + 1).flatMap((row, i) => {
+      const phase = phaseIndex(row[phaseCol]);
+      if (!row[tapCol] || !phase || !row[ratioCol]) return [];
+      return [{ test: 'ttr', tap: row[tapCol], field: ['phaseA', 'phaseB', 'phaseC'][phase - 1], value: instrumentText(row[ratioCol]), line: h + i + 2 }];
+    });
+  },
+});
+
+registerInstrumentParser({
+  id: 'winding-resistance-csv',
+  label: 'Resistencia de devanados (CSV estilo DV Power RMO / Megger MTO): Tap; Fase; R',
+  test: 'resistance',
+  accept: '.csv,.txt',
+  detect: (text) => findHeaderRow(parseDelimited(text), [/tap/i, /resist|^r\b|^r \[/i]) >= 0,
+  parse: (text) => {
+    const rows = parseDelimited(text);
+    const h = findHeaderRow(rows, [/tap/i, /resist|^r\b|^r \[/i]);
+    const tapCol = findColumn(rows[h], /tap/i);
+    const phaseCol = findColumn(rows[h], /phase|fase|winding|devanado/i);
+    const valueCol = findColumn(rows[h], /resist|^r\b|^r \[/i, /corr|temp/i);
+    return rows.slice(h + 1).flatMap((row, i) => {
+      const conn = phaseIndex(row[phaseCol]);
+      if (!row[tapCol] || !conn || !row[valueCol]) return [];
+      return [{ test: 'resistance', tap: row[tapCol], field: `resConn${conn}Meas`, value: instrumentText(row[valueCol]), line: h + i + 2 }];
+    });
+  },
+});
+
+registerInstrumentParser({
+  id: 'power-factor-xml',
+  label: 'TG Delta (XML estilo Omicron): <Measurement> por configuración',
+  test: 'tgdelta',
+  accept: '.xml',
+  detect: (text) => /^\s*</.test(text) && /<measurement[\s>]/i.test(text),
+  parse: (text) => {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    const read = (node, tags) => {
+      const child = tags.map(tag => node.getElementsByTagName(tag)[0]).find(Boolean);
+      return child ? child.textContent.trim() : '';
+    };
+    return [...xml.getElementsByTagName('Measurement')].map((node, i) => ({
+      test: 'tgdelta',
+      config: {
+        mode: read(node, ['Mode', 'TestMode']), injection: read(node, ['Injection', 'HV', 'Energized']),
+        measurement: read(node, ['Measure', 'LV', 'Measured']), guard: read(node, ['Guard', 'Guarded'])
+      },
+      values: Object.fromEntries([
+        ['testVoltage', read(node, ['TestVoltage', 'Voltage'])], ['tgPercent', read(node, ['TanDelta', 'PF', 'DF'])],
+        ['capacitance', read(node, ['Capacitance', 'Cap'])]
+      ].filter(([, value]) => value).map(([key, value]) => [key, instrumentText(value)])),
+      line: i + 1,
+    }));
+  },
+});
+
+const INSULATION_TIME_FIELDS = { 30: 'val30s', 60: 'val1m', 120: 'val2m', 180: 'val3m', 240: 'val4m', 300: 'val5m', 360: 'val6m', 420: 'val7m', 480: 'val8m', 540: 'val9m', 600: 'val10m' };
+
+// Prefijo de la unidad del encabezado ("Resistance (kΩ)", "R [MOhm]", "Ohm") → factor a GΩ
+const INSULATION_UNIT_PATTERN = /(?:^|[^A-Za-z])([kMGT]?)(?:[Ω\u2126]|[oO]hms?)(?![A-Za-z])/;
+const INSULATION_UNIT_SCALES = { '': 1e-9, k: 1e-6, M: 0.001, G: 1, T: 1000 };
+
+// "h:mm:ss", "m:ss" o segundos → segundos (NaN si no es un tiempo)
+const readSeconds = (text) => {
+  const parts = String(text).split(':').map(part => readNum(part) ?? NaN);
+  if (parts.length > 3) return NaN;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+registerInstrumentParser({
+  id: 'insulation-csv',
+  label: 'Resistencia de aislación (CSV estilo Megger MIT): Tiempo; Resistencia',
+  test: 'insulation',
+  accept: '.csv,.txt',
+  detect: (text) => findHeaderRow(parseDelimited(text), [/time|tiempo/i, /resist|ohm|Ω/i]) >= 0,
+  parse: (text) => {
+    const rows = parseDelimited(text);
+    const h = findHeaderRow(rows, [/time|tiempo/i, /resist|ohm|Ω/i]);
+    const timeCol = findColumn(rows[h], /time|tiempo/i);
+    const valueCol = findColumn(rows[h], /resist|ohm|Ω/i);
+    // La planilla trabaja en GΩ; sin unidad en el encabezado no se adivina la escala
+    const unit = rows[h][valueCol].match(INSULATION_UNIT_PATTERN);
+    if (!unit) throw instrumentFormatError('El encabezado de resistencia no indica la unidad (Ω, kΩ, MΩ, GΩ o TΩ).');
+    const scale = INSULATION_UNIT_SCALES[unit[1]];
+    const values = {};
+    rows.slice(h + 1).forEach(row => {
+      const field = INSULATION_TIME_FIELDS[Math.round(readSeconds(row[timeCol]))];
+      const value = readNum(row[valueCol]);
+      // Sin decimales fijos: 0,4 MΩ son 0,0004 GΩ (6 cifras significativas quitan el ruido de la conversión)
+      if (field && value !== null) values[field] = instrumentText(scale === 1 ? row[valueCol] : Number((value * scale).toPrecision(6)));
+    });
+    return Object.keys(values).length > 0 ? [{ test: 'insulation', config: {}, values, line: h + 2 }] : [];
+  },
+});
+
+// Un valor editado a mano deja de atribuirse al archivo del que se importó
+const withoutSource = (row, field) => {
+  if (!row?.sources?.[field]) return row;
+  const sources = { ...row.sources };
+  delete sources[field];
+  return { ...row, sources };
+};
+const sourceTitle = (row, field) => (row?.sources?.[field] ? `Importado de ${row.sources[field]}` : undefined);
+
+// Sugerencia de fila destino para un tap del archivo: primero por rótulo del esquema de taps
+// ("9b", "+3"); si no coincide, con numeración 1..N la posición 1 es la de máxima relación y si
+// no se toma el número con su signo.
+const suggestTapRow = (fileTap, fileTaps, tapRows) => {
+  const tapText = (label) => String(label).replace(' (Nominal)', '').trim().toLowerCase();
+  const byLabel = tapRows.find(row => tapText(row.label) === tapText(fileTap));
+  if (byLabel) return byLabel.id;
+  const numbers = fileTaps.map(t => parseInt(String(t).match(/[+-]?\d+/)?.[0], 10)).filter(n => !isNaN(n));
+  const n = parseInt(String(fileTap).match(/[+-]?\d+/)?.[0], 10);
+  if (isNaN(n)) return '';
+  const raise = Math.max(0, ...tapRows.map(row => row.position));
+  const sequential = numbers.every(x => x >= 1) && Math.max(...numbers) > raise;
+  const position = sequential ? raise + 1 - n : n;
+  return tapRows.find(row => row.position === position)?.id || '';
+};
+
+// --- COMPONENTE: ESQUEMA DE TAPS ---
+// Numeración del conmutador de AT (ver ESQUEMA DE TAPS). Si el cambio deja fuera posiciones con
+// lecturas pide confirmación: los datos no se borran, solo dejan de mostrarse.
+const TapSchemeField = ({ label, children }) => (
+  <div>
+    <span className="block text-[10px] font-bold text-gray-500 uppercase">{label}</span>
+    {children}
+  </div>
+);
+
+const TapSchemeEditor = ({ scheme, data, onChange }) => {
+  const hvPrefixes = [...Object.values(TTR_PAIRS), ...Object.values(RESISTANCE_WINDINGS)].filter(entry => entry.changer === 'hv').map(entry => entry.prefix);
+  const hasReadings = (rowId) => hvPrefixes.some(prefix => Object.entries(data[`${prefix}${rowId}`] || {})
+    .some(([field, value]) => field !== 'sources' && typeof value === 'string' && value.trim() !== ''));
+
+  const update = (changes) => {
+    const next = { ...scheme, ...changes };
+    const kept = new Set(buildTapRows(next).map(row => row.id));
+    const hidden = buildTapRows(scheme).filter(row => !kept.has(row.id) && hasReadings(row.id));
+    if (hidden.length > 0 && !confirm(`Las posiciones ${hidden.map(row => row.label).join(', ')} tienen lecturas y dejan de mostrarse con este esquema. Los datos se conservan y vuelven a aparecer si la posición vuelve al esquema. ¿Continuar?`)) return;
+    onChange(next);
+  };
+
+  // En la numeración 1..N, la cantidad de posiciones y el número de la nominal definen cuántas
+  // quedan de cada lado; la posición 1 puede estar en cualquiera de los dos extremos
+  const total = scheme.raise + scheme.lower + 1;
+  const nominalNumber = (scheme.firstAt === 'lower' ? scheme.lower : scheme.raise) + 1;
+  const setNumbered = (count, nominal) => {
+    const before = Math.min(nominal - 1, MAX_TAP_RANGE);
+    const after = Math.min(count - before - 1, MAX_TAP_RANGE);
+    update(scheme.firstAt === 'lower' ? { lower: before, raise: after } : { raise: before, lower: after });
+  };
+  const numbers = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  const fieldClass = 'block border-gray-300 rounded border p-1 text-sm bg-gray-50';
+
+  return (
+    <div className="flex items-center gap-3">
+      <Settings className="text-gray-400" />
+      <div>
+        <label className="block text-xs font-bold text-gray-600 uppercase mb-1">Esquema de Taps <span className="font-normal normal-case text-gray-400">· {describeTapScheme(scheme)}</span></label>
+        <div className="flex flex-wrap items-end gap-2">
+          <TapSchemeField label="Numeración">
+            <select value={scheme.style} onChange={(e) => update({ style: e.target.value })} className={fieldClass}>
+              {Object.entries(TAP_SCHEME_STYLES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </TapSchemeField>
+          {scheme.style === 'numbered' ? (
+            <>
+              <TapSchemeField label="Posiciones">
+                <select value={total} onChange={(e) => setNumbered(parseInt(e.target.value), Math.min(nominalNumber, parseInt(e.target.value)))} className={fieldClass}>
+                  {numbers(1, 2 * MAX_TAP_RANGE + 1).map(num => <option key={num} value={num}>1 … {num}</option>)}
+                </select>
+              </TapSchemeField>
+              <TapSchemeField label="Nominal">
+                <select value={nominalNumber} onChange={(e) => setNumbered(total, parseInt(e.target.value))} className={fieldClass}>
+                  {numbers(Math.max(1, total - MAX_TAP_RANGE), Math.min(total, MAX_TAP_RANGE + 1)).map(num => <option key={num} value={num}>{num}</option>)}
+                </select>
+              </TapSchemeField>
+              <TapSchemeField label="Posición 1">
+                <select value={scheme.firstAt} onChange={(e) => update({ firstAt: e.target.value })} className={fieldClass}>
+                  <option value="raise">Máxima relación</option>
+                  <option value="lower">Mínima relación</option>
+                </select>
+              </TapSchemeField>
+            </>
+          ) : (
+            <>
+              <TapSchemeField label="Subir (+)">
+                <select value={scheme.raise} onChange={(e) => update({ raise: parseInt(e.target.value) })} className={fieldClass}>
+                  {numbers(0, MAX_TAP_RANGE).map(num => <option key={num} value={num}>+{num}</option>)}
+                </select>
+              </TapSchemeField>
+              <TapSchemeField label="Bajar (−)">
+                <select value={scheme.lower} onChange={(e) => update({ lower: parseInt(e.target.value) })} className={fieldClass}>
+                  {numbers(0, MAX_TAP_RANGE).map(num => <option key={num} value={num}>−{num}</option>)}
+                </select>
+              </TapSchemeField>
+            </>
+          )}
+          <TapSchemeField label="Nominal repetida">
+            <select value={scheme.neutralCopies} onChange={(e) => update({ neutralCopies: parseInt(e.target.value) })} className={fieldClass}>
+              {numbers(1, MAX_NEUTRAL_COPIES).map(num => <option key={num} value={num}>{num === 1 ? 'No' : `${num} (a…${String.fromCharCode(96 + num)})`}</option>)}
+            </select>
+          </TapSchemeField>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- COMPONENTE: IMPORTAR DESDE INSTRUMENTO ---
+// tapTables: tablas por tap de cada ensayo ({ ttr: [...], resistance: [...] }, cada una { id, label,
+// prefix, changer, rows }). Con tres devanados se elige a qué par o devanado van las lecturas; los taps
+// del archivo se asignan por conmutador, así TTR y resistencia sobre el mismo comparten la asignación.
+const InstrumentImportDialog = ({ equipmentType, tests, tapTables, tgDeltaData, insulationData, onApply, onClose }) => {
+  const parsers = useMemo(() => instrumentParsersFor(equipmentType, tests), [equipmentType, tests]);
+  const [file, setFile] = useState(null);
+  const [parserId, setParserId] = useState('');
+  const [tableIds, setTableIds] = useState(() => Object.fromEntries(Object.entries(tapTables).map(([test, tables]) => [test, (tables.find(t => !t.prefix) || tables[0]).id])));
+  const [tapMap, setTapMap] = useState({});
+  const [groupMap, setGroupMap] = useState({});
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    const text = await selected.text();
+    const detected = parsers.find(parser => parser.detect(text, selected.name));
+    setFile({ name: selected.name, text });
+    setParserId(detected?.id || '');
+    setTapMap({});
+    setGroupMap({});
+  };
+
+  const parsed = useMemo(() => {
+    const parser = parsers.find(p => p.id === parserId);
+    if (!file || !parser) return { readings: [], error: null };
+    try {
+      return { readings: parser.parse(file.text), error: null };
+    } catch (err) {
+      console.error("Error interpretando archivo:", err);
+      return { readings: [], error: err.instrumentFormat ? err.message : 'El archivo no tiene el formato esperado por este parser.' };
+    }
+  }, [file, parserId, parsers]);
+
+  const tapReadings = parsed.readings.filter(r => r.tap !== undefined);
+  const groupReadings = parsed.readings.filter(r => r.config);
+  const tableOf = (test) => tapTables[test].find(t => t.id === tableIds[test]);
+  const tapKey = (reading) => `${tableOf(reading.test).changer}|${reading.tap}`;
+  const fileTaps = [...new Map(tapReadings.map(r => [tapKey(r), { key: tapKey(r), tap: r.tap, changer: tableOf(r.test).changer, rows: tableOf(r.test).rows }])).values()];
+  const tapTarget = ({ key, tap, changer, rows }) => tapMap[key] ?? suggestTapRow(tap, fileTaps.filter(t => t.changer === changer).map(t => t.tap), rows);
+  const groupTarget = (i) => groupMap[i] ?? 'new';
+  const tableTests = [...new Set(tapReadings.map(r => r.test))].filter(test => tapTables[test].length > 1);
+
+  const handleApply = () => {
+    const data = {};
+    tapReadings.forEach(reading => {
+      const rowId = tapTarget(fileTaps.find(t => t.key === tapKey(reading)));
+      const key = rowId && `${tableOf(reading.test).prefix}${rowId}`;
+      if (key) data[key] = { ...data[key], [reading.field]: reading.value };
+    });
+    const groups = { tgdelta: [], insulation: [] };
+    groupReadings.forEach((reading, i) => {
+      const target = groupTarget(i);
+      if (!target) return;
+      const config = Object.fromEntries(Object.entries(reading.config).filter(([, value]) => value));
+      groups[reading.test].push({ target, values: { ...config, ...reading.values } });
+    });
+    onApply({ fileName: file.name, data, tgDelta: groups.tgdelta, insulation: groups.insulation });
+  };
+
+  const rowOptions = (test) => (test === 'tgdelta' ? tgDeltaData : insulationData).map((row, i) => (
+    <option key={row.id} value={row.id}>Fila {i + 1}{row.injection || row.measurement ? `: ${row.mode || ''} ${row.injection || ''}/${row.measurement || ''}` : ''}</option>
+  ));
+
+  return (
+    <div className="fixed inset-0 bg-black/40 z-[60] flex items-center justify-center p-4 no-print">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="p-5 border-b flex justify-between items-center">
+          <h2 className="text-lg font-bold text-gray-800 flex items-center gap-2"><Activity className="text-blue-600" /> Importar resultados de instrumento</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={20} /></button>
+        </div>
+        <div className="p-5 border-b flex flex-wrap items-center gap-4 text-sm">
+          <input type="file" accept={[...new Set(parsers.map(p => p.accept))].join(',')} onChange={handleFile} className="text-sm" />
+          {file && (
+            <label className="flex items-center gap-2 text-xs text-gray-500">Formato:
+              <select value={parserId} onChange={(e) => setParserId(e.target.value)} className="border border-gray-300 rounded p-1 text-sm">
+                <option value="">— elegir —</option>
+                {parsers.map(parser => <option key={parser.id} value={parser.id}>{parser.label}</option>)}
+              </select>
+            </label>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-5 text-sm">
+          {file && !parserId && <p className="text-amber-700 flex items-center gap-2"><AlertTriangle size={16} /> No se reconoció el formato del archivo entre los ensayos de esta planilla; elegilo manualmente.</p>}
+          {parsed.error && <p className="text-red-600 flex items-center gap-2"><AlertCircle size={16} /> {parsed.error}</p>}
+          {file && parserId && !parsed.error && parsed.readings.length === 0 && <p className="text-gray-400">El archivo no contiene lecturas reconocibles.</p>}
+
+          {tableTests.length > 0 && (
+            <div className="flex flex-wrap gap-4 mb-3">
+              {tableTests.map(test => (
+                <label key={test} className="flex items-center gap-2 text-xs text-gray-500">{INSTRUMENT_TESTS[test]} en la tabla:
+                  <select value={tableIds[test]} onChange={(e) => setTableIds({ ...tableIds, [test]: e.target.value })} className="border border-gray-300 rounded p-1 text-sm">
+                    {tapTables[test].map(table => <option key={table.id} value={table.id}>{table.label}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {fileTaps.length > 0 && (
+            <table className="w-full mb-4">
+              <thead className="bg-gray-50 text-xs uppercase text-gray-500"><tr><th className="text-left p-2">Tap en archivo</th><th className="text-left p-2">Lecturas</th><th className="text-left p-2">Posición en la planilla</th></tr></thead>
+              <tbody>
+                {fileTaps.map(fileTap => (
+                  <tr key={fileTap.key} className="border-b border-gray-100">
+                    <td className="p-2 font-mono">{fileTap.tap}</td>
+                    <td className="p-2 text-xs text-gray-600">{tapReadings.filter(r => tapKey(r) === fileTap.key).map(r => `${INSTRUMENT_TESTS[r.test]} ${r.field}: ${r.value}`).join(' · ')}</td>
+                    <td className="p-2">
+                      <select value={tapTarget(fileTap)} onChange={(e) => setTapMap({ ...tapMap, [fileTap.key]: e.target.value })} className="border border-gray-300 rounded p-1">
+                        <option value="">— no importar —</option>
+                        {fileTap.rows.map(row => <option key={row.id} value={row.id}>{row.label}</option>)}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {groupReadings.length > 0 && (
+            <table className="w-full">
+              <thead className="bg-gray-50 text-xs uppercase text-gray-500"><tr><th className="text-left p-2">Ensayo</th><th className="text-left p-2">Configuración</th><th className="text-left p-2">Valores</th><th className="text-left p-2">Destino</th></tr></thead>
+              <tbody>
+                {groupReadings.map((reading, i) => (
+                  <tr key={i} className="border-b border-gray-100">
+                    <td className="p-2">{INSTRUMENT_TESTS[reading.test]}</td>
+                    <td className="p-2 text-xs">{Object.values(reading.config).filter(Boolean).join(' / ') || '-'}</td>
+                    <td className="p-2 text-xs text-gray-600">{Object.entries(reading.values).map(([key, value]) => `${key}: ${value}`).join(' · ')}</td>
+                    <td className="p-2">
+                      <select value={groupTarget(i)} onChange={(e) => setGroupMap({ ...groupMap, [i]: e.target.value })} className="border border-gray-300 rounded p-1">
+                        <option value="">— no importar —</option>
+                        <option value="new">Nueva fila</option>
+                        {rowOptions(reading.test)}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-between items-center">
+          <span className="text-xs text-gray-400">{file && `Cada valor importado queda registrado con el archivo ${file.name}.`}</span>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded">Cancelar</button>
+            <button onClick={handleApply} disabled={parsed.readings.length === 0} className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 disabled:opacity-40 text-white rounded font-semibold">Importar</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- COMPONENTE: ENCABEZADO DEL INFORME ---
+// Campos de HEADER_FIELD_GROUPS e instrumental. La identificación queda siempre a la vista; placa,
+// condiciones e instrumental se despliegan (y se imprimen siempre). Los avisos no impiden guardar.
+const ReportHeaderEditor = ({ headerInfo, nameplate, equipmentType, readOnly, onHeaderChange, onNameplateChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const issues = useMemo(() => validateReportHeader(headerInfo, nameplate, equipmentType), [headerInfo, nameplate, equipmentType]);
+  const flagged = new Set(issues.map(issue => issue.key));
+  const instruments = headerInfo.instruments || [];
+
+  const setField = (field, value) => {
+    if (field.source === 'nameplate') onNameplateChange({ ...nameplate, [field.key]: value });
+    else onHeaderChange({ ...headerInfo, [field.key]: value });
+  };
+  const setInstruments = (next) => onHeaderChange({ ...headerInfo, instruments: next });
+  const updateInstrument = (id, key, value) => setInstruments(instruments.map(row => (row.id === id ? { ...row, [key]: value } : row)));
+
+  const renderField = (field) => {
+    const value = headerFieldValue(field, headerInfo, nameplate);
+    const inputClass = `w-full p-1 bg-white border rounded ${flagged.has(field.key) ? 'border-amber-400' : 'border-gray-300'} ${field.uppercase ? 'uppercase' : ''} ${field.key === 'serialNumber' || field.key === 'manufacturingNumber' ? 'font-bold' : ''}`;
+    return (
+      <div key={field.key} className={field.wide ? 'md:col-span-3' : ''}>
+        <label className="block text-xs font-bold text-gray-500 uppercase mb-1">{field.label}</label>
+        {field.options ? (
+          <select className={inputClass} value={value} onChange={(e) => setField(field, e.target.value)}>
+            <option value="">-</option>
+            {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        ) : field.decimal ? (
+          <NumberInput className={inputClass} min={field.min} max={field.max} value={value} onChange={(next) => setField(field, next)} />
+        ) : (
+          <input type={field.type || 'text'} className={inputClass} placeholder={field.placeholder} value={value} onChange={(e) => setField(field, e.target.value)} />
+        )}
+      </div>
+    );
+  };
+
+  const [identification, ...details] = headerFieldGroupsFor(equipmentType);
+  return (
+    <div className="bg-gray-50 p-3 rounded border border-gray-200 print:bg-white print:border-black print:border-2 print:p-2 text-sm">
+      <fieldset disabled={readOnly} className="grid grid-cols-1 md:grid-cols-6 gap-4">
+        {identification.fields.map(renderField)}
+      </fieldset>
+
+      <button type="button" onClick={() => setExpanded(!expanded)} className="no-print mt-3 text-xs font-bold text-blue-700 hover:underline flex items-center gap-1">
+        {expanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />} Placa, condiciones e instrumental
+        {issues.length > 0 && <span className="ml-2 text-amber-700 flex items-center gap-1"><AlertTriangle size={12} /> {issues.length} aviso{issues.length === 1 ? '' : 's'}</span>}
+      </button>
+
+      <fieldset disabled={readOnly} className={expanded ? 'mt-3 space-y-3' : 'hidden print:block print:mt-2 print:space-y-2'}>
+        {details.map(group => (
+          <div key={group.title}>
+            <h3 className="text-xs font-bold text-gray-700 uppercase mb-1">{group.title}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-6 gap-4">{group.fields.map(renderField)}</div>
+          </div>
+        ))}
+
+        <div>
+          <h3 className="text-xs font-bold text-gray-700 uppercase mb-1">Instrumental utilizado</h3>
+          <table className="w-full text-xs border border-gray-200 bg-white">
+            <thead className="bg-gray-100 text-gray-600 uppercase">
+              <tr>
+                {INSTRUMENT_COLUMNS.map(col => <th key={col.key} className="p-1 text-left">{col.label}</th>)}
+                <th className="p-1 w-8 no-print"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {instruments.map(row => (
+                <tr key={row.id} className={`border-t ${flagged.has(`instruments/${row.id}`) ? 'bg-amber-50' : ''}`}>
+                  {INSTRUMENT_COLUMNS.map(col => (
+                    <td key={col.key} className="p-1">
+                      <input type={col.type || 'text'} className="w-full p-1 border border-gray-300 rounded" value={row[col.key] || ''}
+                        onChange={(e) => updateInstrument(row.id, col.key, e.target.value)} />
+                    </td>
+                  ))}
+                  <td className="p-1 text-center no-print">
+                    <button type="button" onClick={() => setInstruments(instruments.filter(r => r.id !== row.id))} className="text-gray-400 hover:text-red-600" title="Quitar instrumento">
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {instruments.length === 0 && (
+                <tr><td colSpan={INSTRUMENT_COLUMNS.length + 1} className="p-2 text-center text-gray-400 italic">Sin instrumental cargado</td></tr>
+              )}
+            </tbody>
+          </table>
+          <button type="button" onClick={() => setInstruments([...instruments, { id: generateId(), name: '', model: '', serialNumber: '', calibrationDue: '' }])}
+            className="no-print mt-1 text-xs font-bold text-blue-700 hover:underline flex items-center gap-1">
+            <Plus size={12} /> Agregar instrumento
+          </button>
+        </div>
+
+        {issues.length > 0 && (
+          <ul className="no-print text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded p-2 space-y-0.5">
+            {issues.map((issue, index) => <li key={index} className="flex items-center gap-1"><AlertTriangle size={12} /> {issue.message}</li>)}
+          </ul>
+        )}
+      </fieldset>
+    </div>
+  );
+};
+
+// --- COMPONENTE: CONDICIONES DE ENSAYO ---
+// Barra de temperatura/humedad de una sesión (TG Delta y Aislación). `factor` es el factor de
+// corrección resultante: null indica que falta la temperatura o está fuera de la tabla.
+const TestConditionsBar = ({ conditions, onChange, tables, factor, className, labelClassName, inputClassName }) => {
+  const humidity = readNum(conditions.humidity);
+  const field = (key, label, unit, range) => (
+    <div className="flex items-center gap-2">
+      <span className={`text-xs font-bold uppercase ${labelClassName}`}>{label}:</span>
+      <NumberInput {...range} value={conditions[key] || ''} onChange={(value) => onChange({ ...conditions, [key]: value })} className={`w-16 p-1 border rounded text-center font-bold ${inputClassName}`} />
+      <span className={`text-sm ${labelClassName}`}>{unit}</span>
+    </div>
+  );
+  return (
+    <div className={`p-3 border-b flex flex-wrap items-center gap-x-6 gap-y-2 print:bg-white print:border-black print:border-b-2 ${className}`}>
+      {field('testTemp', 'Temp. Aislamiento', '°C', { min: -20, max: 120 })}
+      {field('ambientTemp', 'Temp. Ambiente', '°C', { min: -40, max: 60 })}
+      {field('humidity', 'Humedad', '%', { min: 0, max: 100 })}
+      <div className="flex items-center gap-2">
+        <span className={`text-xs font-bold uppercase ${labelClassName}`}>Corrección a 20 °C:</span>
+        <select value={conditions.correctionTable} onChange={(e) => onChange({ ...conditions, correctionTable: e.target.value })} className={`p-1 border rounded text-xs bg-white ${inputClassName}`}>
+          {Object.entries(tables).map(([id, table]) => <option key={id} value={id}>{table.name}</option>)}
+        </select>
+        {factor === null
+          ? <span className="text-xs font-bold text-red-600">Temperatura fuera de tabla o sin cargar</span>
+          : <span className={`text-xs ${labelClassName}`}>Factor: <b>{factor.toFixed(3).replace('.', ',')}</b></span>}
+      </div>
+      {humidity !== null && humidity > HUMIDITY_WARNING_LIMIT && (
+        <span className="text-xs font-bold text-amber-700 flex items-center gap-1"><AlertTriangle size={12} /> Humedad mayor a {HUMIDITY_WARNING_LIMIT}%: posibles fugas superficiales</span>
+      )}
+    </div>
+  );
+};
+
+// --- COMPONENTE: ENSAYO DECLARATIVO ---
+// Pestaña completa de un módulo de ensayo (ver MÓDULOS DE ENSAYO): barra de configuración o de
+// condiciones, tabla con columnas cargadas y calculadas, estado por fila, nota al pie y curva.
+// `rows` viene de evaluateTestRows y `getStatus` traduce el resultado a la celda de estado del editor.
+const TestModuleView = ({ module, rows, ctx, getStatus, onCellChange, onSettingsChange, onConditionsChange, onAddRow, onRemoveRow }) => {
+  const { theme, columns } = module;
+  const hasGroups = columns.some(col => col.group);
+  const groups = columns.reduce((acc, col) => {
+    const last = acc[acc.length - 1];
+    if (col.group && last && last.group === col.group) last.span++;
+    else acc.push({ group: col.group, span: 1, col });
+    return acc;
+  }, []);
+  const cellBorder = 'border-r border-gray-300 print:border-black';
+
+  // Grilla de carga sobre las columnas con `input`; lo pegado en un select debe ser una de sus opciones
+  const inputColumns = columns.filter(col => col.input);
+  const grid = useCellGrid(rows.map(row => inputColumns.map(col => ({
+    get: () => row.values[col.key] || '',
+    set: (value) => {
+      const next = col.input === 'select' && value ? selectOptionFor(col.options, value) : value;
+      if (next !== undefined) onCellChange(row.id, col, next);
+    },
+  }))));
+
+  const renderInput = (row, col, rowIndex) => {
+    const value = row.values[col.key] || '';
+    const gridProps = grid.cellProps(rowIndex, inputColumns.indexOf(col));
+    if (col.input === 'select') {
+      return (
+        <select {...gridProps} value={value} onChange={(e) => onCellChange(row.id, col, e.target.value)} className="w-full p-1 border-none bg-transparent text-center text-xs font-bold text-gray-700 focus:outline-none">
+          <option value="">-</option>
+          {Object.entries(col.options).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+      );
+    }
+    const className = 'w-full p-1 border-none bg-transparent text-center text-xs focus:outline-none';
+    if (col.input === 'decimal') {
+      return (
+        <NumberInput {...gridProps} min={col.min} max={col.max} placeholder={col.placeholder} className={className} value={value}
+          title={sourceTitle(row.values, col.key)} onChange={(next) => onCellChange(row.id, col, next)} />
+      );
+    }
+    return (
+      <input {...gridProps} type="text" placeholder={col.placeholder} className={className} value={value}
+        title={sourceTitle(row.values, col.key)} onChange={(e) => onCellChange(row.id, col, e.target.value)} />
+    );
+  };
+
+  return (
+    <div className="bg-white shadow-lg rounded-lg overflow-hidden border border-gray-200 print:shadow-none print:border-black print:border-2 animate-in fade-in slide-in-from-bottom-2">
+      {module.settings && (
+        <div className={`p-3 border-b flex flex-wrap items-center gap-x-6 gap-y-2 print:bg-white print:border-black print:border-b-2 ${theme.bar}`}>
+          {module.settings.fields.map(field => (
+            <div key={field.key} className="flex items-center gap-2">
+              <span className={`text-xs font-bold uppercase ${theme.label}`}>{field.label}:</span>
+              {field.input === 'select' ? (
+                <select value={ctx.settings[field.key] || ''} onChange={(e) => onSettingsChange({ ...ctx.settings, [field.key]: e.target.value })} className={`p-1 border rounded text-sm bg-white ${theme.input}`}>
+                  {Object.entries(field.options).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+              ) : field.input === 'decimal' ? (
+                <NumberInput min={field.min} max={field.max} value={ctx.settings[field.key] || ''}
+                  onChange={(value) => onSettingsChange({ ...ctx.settings, [field.key]: value })}
+                  className={`w-20 p-1 border rounded text-center font-bold ${theme.input}`} />
+              ) : (
+                <input type="text" value={ctx.settings[field.key] || ''}
+                  onChange={(e) => onSettingsChange({ ...ctx.settings, [field.key]: e.target.value })}
+                  className={`w-20 p-1 border rounded text-center font-bold ${theme.input}`} />
+              )}
+              {field.unit && <span className={`text-sm ${theme.label}`}>{field.unit}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+      {module.conditions && (
+        <TestConditionsBar conditions={ctx.conditions} onChange={onConditionsChange} tables={module.conditions.tables} factor={ctx.factor}
+          className={theme.bar} labelClassName={theme.label} inputClassName={theme.input} />
+      )}
+
+      <div className="overflow-x-auto" {...grid.containerProps}>
+        <table className="w-full border-collapse text-xs" style={{ minWidth: `${Math.max(800, (columns.length + 2) * 70)}px` }}>
+          <thead>
+            <tr className={`${theme.head} text-white print:bg-gray-300 print:text-black border-b print:border-black`}>
+              {module.layout === 'perTap' && <th rowSpan={hasGroups ? 2 : 1} className={`py-2 px-2 border-r ${theme.border} print:border-black w-16`}>TAP</th>}
+              {groups.map(({ group, span, col }) => (group ? (
+                <th key={`${group}-${col.key}`} colSpan={span} className={`py-2 px-2 border-r ${theme.border} print:border-black text-center`}>{group}</th>
+              ) : (
+                <th key={col.key} rowSpan={hasGroups ? 2 : 1} className={`py-2 px-2 border-r ${theme.border} print:border-black uppercase`}>{col.label}</th>
+              )))}
+              <th rowSpan={hasGroups ? 2 : 1} className={`py-2 px-2 w-28 ${theme.group} print:bg-gray-400`}>ESTADO</th>
+              {module.layout === 'rows' && <th rowSpan={hasGroups ? 2 : 1} className="py-2 px-1 w-8 no-print"></th>}
+            </tr>
+            {hasGroups && (
+              <tr className="bg-gray-100 text-gray-700 text-xs uppercase font-bold text-center border-b-2 border-gray-300 print:border-black print:text-black">
+                {columns.filter(col => col.group).map(col => (
+                  <th key={col.key} className={`py-2 px-1 ${cellBorder} ${col.input ? '' : 'bg-yellow-50 print:bg-white'}`}>
+                    {col.label}
+                    {col.hint && <div className="font-normal normal-case text-[10px]">{col.hint}</div>}
+                  </th>
+                ))}
+              </tr>
+            )}
+          </thead>
+          <tbody>
+            {rows.map((row, index) => {
+              const status = getStatus(row.result);
+              return (
+                <tr key={row.id} className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} print:bg-white border-b border-gray-200 print:border-gray-300`}>
+                  {module.layout === 'perTap' && <td className={`py-1 px-2 ${cellBorder} text-center font-bold text-gray-700 print:text-black`}>{row.label}</td>}
+                  {columns.map(col => {
+                    if (col.input) return <td key={col.key} className={`py-1 px-1 ${cellBorder} ${grid.cellClass(index, inputColumns.indexOf(col))}`}>{renderInput(row, col, index)}</td>;
+                    const value = row.calc[col.key];
+                    const tone = col.tone && value !== null && value !== undefined ? col.tone(value, row.calc) : 'text-blue-800 font-bold';
+                    return <td key={col.key} className={`py-1 px-1 ${cellBorder} text-center font-mono print:bg-white print:text-black ${tone}`}>{testCellText(col, row) || '-'}</td>;
+                  })}
+                  <td className={`py-1 px-1 text-center font-bold text-[10px] uppercase ${status.color} print:border-black print:border`}>
+                    <div className="flex items-center justify-center gap-1">{status.icon}<span>{status.label}</span></div>
+                  </td>
+                  {module.layout === 'rows' && (
+                    <td className="py-1 px-1 text-center no-print">
+                      <button onClick={() => onRemoveRow(row.id)} className="text-gray-300 hover:text-red-500 transition"><X size={14} /></button>
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="bg-gray-100 px-6 py-2 border-t border-gray-200 print:bg-white text-xs text-gray-500 flex justify-between items-center">
+        <span>
+          {module.footnote ? module.footnote(ctx) : ''}
+          {module.conditions && ` Corrección: ${module.conditions.tables[ctx.conditions.correctionTable]?.name}`}
+        </span>
+        {module.layout === 'rows' && (
+          <button onClick={onAddRow} className={`flex items-center gap-1 font-bold no-print ${theme.link}`}><Plus size={14} /> Agregar Fila</button>
+        )}
+      </div>
+      {module.chart && <InsulationCurveChart title={module.chart.title} xAxis={module.chart.xAxis} series={module.chart.series(rows.map(row => row.values))} />}
+    </div>
+  );
+};
+
+// --- COMPONENTE: EDITOR DE PLANILLA ---
+const TestSheetEditor = ({
+  project, orgId, userEmail, userName, pendingChange, onSync, onDiscardPending, onBack, readOnly, canEdit, canApprove, onApprovalAction
+}) => {
+  const approval = getApproval(project);
+
+  // Si quedaron cambios sin sincronizar (p. ej. se cerró la app sin conexión) se retoma desde ellos,
+  // completando con valores por defecto los ensayos agregados después de encolarlos
+  const [initial] = useState(() => {
+    if (pendingChange) return { ...pendingChange, sheet: sheetFromProject(pendingChange.sheet) };
+    const sheet = sheetFromProject(project);
+    return { sheet, base: { sheet, lastModified: project.lastModified } };
+  });
+
+  // --- ESTADOS LOCALES ---
+  const [activeTab, setActiveTab] = useState('ttr');
+  const [tapScheme, setTapScheme] = useState(initial.sheet.tapScheme);
+
+  // Lecturas de los ensayos por tap
+  const [data, setData] = useState(initial.sheet.data);
+
+  // Tipo de equipo (se elige al crear el proyecto), ensayos que le aplican y claves propias de los ensayos declarativos (filas,
+  // configuración y condiciones de cada sesión)
+  const [equipmentType, setEquipmentType] = useState(initial.sheet.equipmentType);
+  const [tests, setTests] = useState(initial.sheet.tests);
+  const [moduleSheet, setModuleSheet] = useState(() => Object.fromEntries(TEST_MODULE_KEYS.map(key => [key, initial.sheet[key]])));
+  const updateModuleSheet = (key, updater) =>
+    setModuleSheet(prev => ({ ...prev, [key]: typeof updater === 'function' ? updater(prev[key]) : updater }));
+
+  const [headerInfo, setHeaderInfo] = useState(initial.sheet.headerInfo);
+
+  const [resistanceSettings, setResistanceSettings] = useState(initial.sheet.resistanceSettings);
+
+  // Datos de placa para el cálculo de la relación teórica
+  const [nameplate, setNameplate] = useState(initial.sheet.nameplate);
+
+  const [criteria, setCriteria] = useState(initial.sheet.criteria);
+
+  const sheet = useMemo(() => ({
+    equipmentType, tapRange: Math.max(tapScheme.raise, tapScheme.lower), tapScheme,
+    data, tests, headerInfo, resistanceSettings, nameplate, criteria, ...moduleSheet
+  }), [equipmentType, tapScheme, data, tests, headerInfo, resistanceSettings, nameplate, criteria, moduleSheet]);
+
+  const applySheet = (next) => {
+    setEquipmentType(equipmentTypeOf(next));
+    setTapScheme(tapSchemeOf(next));
+    setData(next.data);
+    setTests(next.tests);
+    setModuleSheet(Object.fromEntries(TEST_MODULE_KEYS.map(key => [key, next[key]])));
+    setHeaderInfo(next.headerInfo);
+    setResistanceSettings(next.resistanceSettings);
+    setNameplate(next.nameplate);
+    setCriteria(next.criteria);
+  };
+
+  // --- SINCRONIZACIÓN ---
+  // base: última versión remota conocida (planilla + lastModified). Hay cambios pendientes mientras
+  // la planilla local difiera de ella; al guardar se fusiona contra el remoto si éste avanzó.
+  const [base, setBase] = useState(initial.base);
+  const isDirty = useMemo(() => !sheetsEqual(sheet, base.sheet), [sheet, base]);
+  const [syncStatus, setSyncStatus] = useState(pendingChange ? 'offline' : 'synced'); // 'synced' | 'saving' | 'offline' | 'locked' | 'missing'
+  const [conflict, setConflict] = useState(null);
+  const [showConflict, setShowConflict] = useState(false);
+  const [retryTick, setRetryTick] = useState(0);
+  const latestSheet = useRef(sheet);
+  const inFlight = useRef(false);
+  const resendAfterFlight = useRef(false);
+  useEffect(() => { latestSheet.current = sheet; }, [sheet]);
+
+  // Con la planilla sin cambios locales, lo que llega del remoto se adopta directamente
+  const [seenVersion, setSeenVersion] = useState(project.lastModified);
+  if (project.lastModified !== seenVersion) {
+    setSeenVersion(project.lastModified);
+    if (!isDirty && !conflict && project.lastModified !== base.lastModified) {
+      const remoteSheet = sheetFromProject(project);
+      applySheet(remoteSheet);
+      setBase({ sheet: remoteSheet, lastModified: project.lastModified });
+    }
+  }
+
+  // Al recuperar la conexión se reintenta el envío
+  useEffect(() => {
+    const handleOnline = () => setRetryTick(t => t + 1);
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, []);
 
   // --- EFECTO DE GUARDADO AUTOMÁTICO (DEBOUNCE) ---
   useEffect(() => {
-    setIsSaving(true);
-    const updatedProject = {
-      ...project,
-      tapRange,
-      data,
-      tgDeltaData,
-      insulationData,
-      headerInfo,
-      resistanceSettings,
-      lastModified: new Date().toISOString()
-    };
-
+    if (readOnly || !isDirty || conflict) return;
+    let cancelled = false;
+    const sent = sheet;
     const timeoutId = setTimeout(() => {
-      onUpdate(updatedProject).then(() => setIsSaving(false));
+      // Un envío a la vez: si otro está en curso, se reintenta cuando termine
+      if (inFlight.current) { resendAfterFlight.current = true; return; }
+      inFlight.current = true;
+      setSyncStatus('saving');
+      onSync(project.id, { label: sent.headerInfo.client || sent.headerInfo.serialNumber || 'Proyecto', sheet: sent, base, updatedAt: new Date().toISOString() })
+        .then(result => {
+          inFlight.current = false;
+          if (resendAfterFlight.current) {
+            resendAfterFlight.current = false;
+            setRetryTick(t => t + 1);
+          }
+          if (cancelled && result.status !== 'saved') return;
+          if (result.status === 'saved') {
+            setBase({ sheet: result.sheet, lastModified: result.lastModified });
+            // Se incorporan los cambios remotos fusionados sin pisar lo editado durante el envío
+            if (!sheetsEqual(result.sheet, sent)) applySheet(sheetFromProject(mergeSheets(sent, latestSheet.current, result.sheet).merged));
+            setSyncStatus('synced');
+          } else if (result.status === 'locked' || result.status === 'missing') {
+            setSyncStatus(result.status);
+          } else if (result.status === 'conflict') {
+            setConflict(result);
+            setShowConflict(true);
+            setSyncStatus('synced');
+          } else {
+            setSyncStatus('offline');
+          }
+        });
     }, 1000); // Guardar 1 segundo después del último cambio
 
-    return () => clearTimeout(timeoutId);
-  }, [tapRange, data, tgDeltaData, insulationData, headerInfo, resistanceSettings]);
+    return () => { cancelled = true; clearTimeout(timeoutId); };
+  }, [sheet, base, isDirty, conflict, readOnly, retryTick, onSync, project.id]);
 
-  // Cargar scripts externos (PDF/Excel)
-  useEffect(() => {
-    const loadScript = (src) => {
-      if (document.querySelector(`script[src="${src}"]`)) return;
-      const script = document.createElement('script');
-      script.src = src;
-      script.async = true;
-      document.body.appendChild(script);
-    };
-    loadScript("https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js");
-    loadScript("https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js");
-  }, []);
+  // --- HISTORIAL ---
+  const revisionsRef = useMemo(() => revisionsCollectionRef(orgId, project.id), [orgId, project.id]);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const handleCheckpoint = () => {
+    const note = prompt('Nota del punto de control (opcional):', '');
+    if (note === null) return;
+    saveRevision(revisionsRef, { kind: 'checkpoint', createdBy: userEmail, note: note.trim(), sheet });
+  };
+
+  const handleRestore = (revision, scope) => {
+    const when = new Date(revision.createdAt).toLocaleString();
+    const what = scope === 'all' ? 'toda la planilla' : `la pestaña ${SHEET_TABS[scope].label}`;
+    if (!confirm(`¿Restaurar ${what} a la versión del ${when}? La versión actual queda archivada en el historial.`)) return;
+    saveRevision(revisionsRef, { kind: 'restore', createdBy: userEmail, note: `Antes de restaurar ${what} (${when})`, sheet });
+    const revisionSheet = sheetFromProject(revision.sheet);
+    applySheet(scope === 'all' ? revisionSheet : restoreSheetTab(sheet, revisionSheet, scope));
+    setShowHistory(false);
+  };
+
+  const resolveConflict = (choices) => {
+    const flat = flattenSheet(conflict.merged);
+    conflict.conflicts.forEach(c => {
+      if (choices[c.path] !== 'remote') return;
+      if (c.remote === undefined) delete flat[c.path];
+      else flat[c.path] = c.remote;
+    });
+    const resolved = sheetFromProject(unflattenSheet(flat));
+    // La nueva base es la versión remota: el siguiente guardado ya no entra en conflicto
+    applySheet(resolved);
+    setBase({ sheet: conflict.remoteSheet, lastModified: conflict.remoteLastModified });
+    if (sheetsEqual(resolved, conflict.remoteSheet)) onDiscardPending();
+    setConflict(null);
+    setShowConflict(false);
+  };
 
   // --- LÓGICA DE NEGOCIO ---
-  const tapRows = useMemo(() => {
-    const rows = [];
-    for (let i = tapRange; i >= 1; i--) rows.push({ id: `pos-${i}`, label: `+${i}` });
-    rows.push({ id: 'neutral', label: '0 (Nominal)' });
-    for (let i = 1; i <= tapRange; i++) rows.push({ id: `neg-${i}`, label: `-${i}` });
-    return rows;
-  }, [tapRange]);
+  const tapRows = useMemo(() => buildTapRows(tapScheme), [tapScheme]);
+  // Una tabla de TTR por par de devanados y una de resistencia por devanado (ver CONFIGURACIÓN DE DEVANADOS)
+  const windingConfig = WINDING_CONFIGS[nameplate.windings] || WINDING_CONFIGS.two;
+  const ttrTables = useMemo(() => ttrTablesOf({ tapScheme, nameplate }), [tapScheme, nameplate]);
+  const resistanceTables = useMemo(() => resistanceTablesOf({ tapScheme, nameplate }), [tapScheme, nameplate]);
+  // Primera fila de cada tabla dentro de la grilla de carga, que las recorre todas seguidas
+  const gridOffsets = (tables) => tables.map((_, i) => tables.slice(0, i).reduce((sum, table) => sum + table.rows.length, 0));
 
   const handleInputChange = (id, field, value) => {
-    const valWithComma = value.replace('.', ',');
-    setData(prev => ({ ...prev, [id]: { ...prev[id], [field]: valWithComma } }));
+    // Escribir a mano la relación teórica la marca como valor manual (deja de seguir a la placa)
+    const extra = field === 'ratedRatio' ? { ratedRatioManual: true } : {};
+    setData(prev => ({ ...prev, [id]: { ...withoutSource(prev[id], field), [field]: value, ...extra } }));
   };
 
-  const handleTgDeltaChange = (id, field, value) => {
-    const valFormatted = (field === 'testVoltage' || field === 'tgPercent' || field === 'capacitance')
-      ? value.replace('.', ',') : value;
-    setTgDeltaData(prev => prev.map(row => row.id === id ? { ...row, [field]: valFormatted } : row));
+  const resetRatedRatio = (id) => {
+    setData(prev => ({ ...prev, [id]: { ...prev[id], ratedRatio: '', ratedRatioManual: false } }));
+  };
+  const resetAllRatedRatios = () => {
+    if (!confirm('¿Descartar todos los valores teóricos manuales y usar los de placa?')) return;
+    setData(prev => Object.fromEntries(Object.entries(prev).map(([id, row]) => [id, { ...row, ratedRatio: '', ratedRatioManual: false }])));
+  };
+
+  // Lecturas de archivos de instrumentos: cada valor guarda en `sources` el archivo de origen
+  const [showInstrumentImport, setShowInstrumentImport] = useState(false);
+  const [showTestPicker, setShowTestPicker] = useState(false);
+  const applyInstrumentImport = ({ fileName, data: imported, tgDelta, insulation }) => {
+    const tagged = (row, values) => ({
+      ...row, ...values,
+      sources: { ...row?.sources, ...Object.fromEntries(Object.keys(values).map(field => [field, fileName])) }
+    });
+    setData(prev => ({ ...prev, ...Object.fromEntries(Object.entries(imported).map(([rowId, values]) => [rowId, tagged(prev[rowId], values)])) }));
+    const mergeRows = (rows, entries) => entries.reduce((acc, { target, values }) => (
+      target === 'new' ? [...acc, tagged({ id: generateId() }, values)] : acc.map(row => (row.id === target ? tagged(row, values) : row))
+    ), rows);
+    updateModuleSheet('tgDeltaData', prev => mergeRows(prev, tgDelta));
+    updateModuleSheet('insulationData', prev => mergeRows(prev, insulation));
+    setShowInstrumentImport(false);
   };
-  const addTgDeltaRow = () => setTgDeltaData(prev => [...prev, { id: generateId() }]);
-  const removeTgDeltaRow = (id) => { if (confirm('¿Borrar fila?')) setTgDeltaData(prev => prev.filter(row => row.id !== id)); };
 
-  const handleInsulationChange = (id, field, value) => {
-    const numericFields = ['val30s', 'val1m', 'val2m', 'val3m', 'val4m', 'val5m', 'val6m', 'val7m', 'val8m', 'val9m', 'val10m'];
-    const valFormatted = numericFields.includes(field) ? value.replace('.', ',') : value;
-    setInsulationData(prev => prev.map(row => row.id === id ? { ...row, [field]: valFormatted } : row));
+  const vectorGroupFactor = getVectorGroupFactor(nameplate.vectorGroup);
+  const calculateRatioPercent = (position, pair = TTR_PAIRS['AT-BT']) => {
+    const step = readNum(nameplate[TAP_CHANGERS[pair.changer].step]);
+    return step === null ? null : 100 + position * step;
   };
-  const addInsulationRow = () => setInsulationData(prev => [...prev, { id: generateId() }]);
-  const removeInsulationRow = (id) => { if (confirm('¿Borrar fila?')) setInsulationData(prev => prev.filter(row => row.id !== id)); };
 
-  const parseNum = (val) => val ? parseFloat(String(val).replace(',', '.')) : 0;
-  const formatNum = (val, decimals = 3) => (val === null || val === undefined || isNaN(val)) ? '-' : val.toFixed(decimals).replace('.', ',');
+  const getRatedRatio = (row, pair = TTR_PAIRS['AT-BT']) => ratedRatioFor(nameplate, data[tapRowKey(pair, row)] || {}, row.position, pair);
 
-  const calculateDeviation = (measured, rated) => {
-    const m = parseNum(measured);
-    const r = parseNum(rated);
-    if (isNaN(m) || isNaN(r) || r === 0) return null;
-    return ((m - r) / r) * 100;
+  const getRatioPercent = (row, pair = TTR_PAIRS['AT-BT']) => {
+    const computed = calculateRatioPercent(row.position, pair);
+    return computed !== null ? formatNum(computed, 2) : ((data[tapRowKey(pair, row)] || {}).ratioPercent || '');
   };
 
-  const calculateResistanceCorrection = (measuredVal) => {
-    const m = parseNum(measuredVal);
-    const t_meas = parseNum(resistanceSettings.measuredTemp);
-    const t_ref = parseNum(resistanceSettings.refTemp);
-    if (isNaN(m) || isNaN(t_meas) || isNaN(t_ref)) return null;
-    return m * ((235 + t_ref) / (235 + t_meas));
+  // Conexiones y materiales por devanado: el AT edita resistanceSettings y MT/BT su entrada en `windings`
+  const windingSettings = (windingId) => resistanceSettingsFor(resistanceSettings, windingId);
+  const updateWindingSettings = (windingId, changes) => setResistanceSettings(windingId === 'AT'
+    ? { ...resistanceSettings, ...changes }
+    : { ...resistanceSettings, windings: { ...resistanceSettings.windings, [windingId]: { ...resistanceSettings.windings?.[windingId], ...changes } } });
+  const getWindingMaterial = (conn, windingId = 'AT') => windingMaterialOf(windingSettings(windingId), conn);
+  const getMaterialConstant = (conn, windingId = 'AT') => materialConstantOf(windingSettings(windingId), conn);
+  const describeMaterial = (conn, windingId = 'AT') => {
+    const k = getMaterialConstant(conn, windingId);
+    return `${WINDING_MATERIALS[getWindingMaterial(conn, windingId)].short} (K=${k !== null ? formatNum(k, 1) : '?'})`;
   };
+  const calculateResistanceCorrection = (measuredVal, conn, windingId = 'AT') => correctResistance(windingSettings(windingId), measuredVal, conn);
 
-  const calculateDAR = (val1m, val30s) => {
-    const v1 = parseNum(val1m);
-    const v30 = parseNum(val30s);
-    if (v30 === 0 || isNaN(v1) || isNaN(v30)) return null;
-    return v1 / v30;
+  // Grillas de carga de TTR y Resistencia (ver GRILLA DE CARGA): una fila por tap, con las tablas de
+  // todos los pares o devanados una debajo de la otra
+  const tapCell = (key, field) => ({ get: () => (data[key] || {})[field] || '', set: (value) => handleInputChange(key, field, value) });
+  const ttrGrid = useCellGrid(ttrTables.flatMap(({ pair, rows }) => rows.map(row => [
+    calculateRatioPercent(row.position, pair) === null ? tapCell(tapRowKey(pair, row), 'ratioPercent') : null,
+    { get: () => getRatedRatio(row, pair).value, set: (value) => handleInputChange(tapRowKey(pair, row), 'ratedRatio', value) },
+    ...['phaseA', 'phaseB', 'phaseC'].map(field => tapCell(tapRowKey(pair, row), field)),
+  ])));
+  const resistanceGrid = useCellGrid(resistanceTables.flatMap(({ winding, rows }) =>
+    rows.map(row => [1, 2, 3].map(conn => tapCell(tapRowKey(winding, row), `resConn${conn}Meas`)))));
+  const ttrOffsets = gridOffsets(ttrTables);
+  const resistanceOffsets = gridOffsets(resistanceTables);
+
+  // Continuidad tap a tap: de cada extremo hacia la posición nominal la resistencia debe variar
+  // siempre en el mismo sentido (cubre conmutadores lineales y con inversor). Un escalón en sentido
+  // contrario al esperado de su tramo suele delatar un contacto defectuoso del OLTC. El sentido esperado
+  // es el de la mayoría de los escalones de las tres conexiones del tramo (un contacto malo suele afectar a una
+  // sola); si empatan, el de la variación neta, y si tampoco la hay se marca cada cambio de sentido.
+  // Se evalúa por devanado; las marcas quedan por clave de fila.
+  const continuityFlags = useMemo(() => {
+    const flags = {};
+    resistanceTables.forEach(({ winding, rows }) => {
+      // Con la nominal repetida (9a/9b/9c) cada tramo llega hasta la nominal de su lado
+      const segments = [rows.slice(0, rows.findIndex(row => row.position === 0) + 1), rows.slice(rows.findLastIndex(row => row.position === 0))];
+      segments.forEach(segment => {
+        const stepsByConn = [1, 2, 3].map(conn => {
+          const points = segment
+            .map(row => ({ id: tapRowKey(winding, row), value: (data[tapRowKey(winding, row)] || {})[`resConn${conn}Meas`] }))
+            .map(p => ({ ...p, value: readNum(p.value) }))
+            .filter(p => p.value !== null);
+          return points.slice(1).map((p, i) => ({ id: p.id, diff: p.value - points[i].value }));
+        });
+        const allSteps = stepsByConn.flat();
+        const expected = Math.sign(allSteps.reduce((sum, st) => sum + Math.sign(st.diff), 0))
+          || Math.sign(allSteps.reduce((sum, st) => sum + st.diff, 0));
+        stepsByConn.forEach((steps, index) => steps.forEach((st, i) => {
+          const reversed = expected ? Math.sign(st.diff) === -expected : i > 0 && st.diff * steps[i - 1].diff < 0;
+          if (reversed) flags[st.id] = [...(flags[st.id] || []), index + 1];
+        }));
+      });
+    });
+    return flags;
+  }, [resistanceTables, data]);
+
+  const STATUS_OK = {
+    color: 'bg-green-100 text-green-700 font-bold border-green-300 print:bg-gray-100 print:text-black print:border-gray-400',
+    icon: <CheckCircle className="w-4 h-4 inline mr-1 text-green-600 print:hidden" />,
+    label: 'ACEPTABLE'
+  };
+  const STATUS_FAIL = {
+    color: 'bg-red-100 text-red-700 font-bold border-red-300 print:bg-gray-200 print:text-black print:font-bold print:border-black',
+    icon: <AlertCircle className="w-4 h-4 inline mr-1 text-red-600 print:text-black" />,
+    label: 'NO ACEPTABLE'
   };
-  const calculatePI = (val10m, val1m) => {
-    const v10 = parseNum(val10m);
-    const v1 = parseNum(val1m);
-    if (v1 === 0 || isNaN(v10) || isNaN(v1)) return null;
-    return v10 / v1;
+
+  const handleCriteriaPreset = (presetId) => {
+    if (CRITERIA_PRESETS[presetId]) setCriteria(normalizeCriteria({ presetId }));
+  };
+  const handleCriteriaChange = (field, value) => {
+    setCriteria(prev => ({ ...prev, presetId: 'custom', name: 'Personalizado', [field]: value }));
   };
 
   const getStatusTTR = (deviation) => {
-    if (deviation === null) return { color: 'bg-gray-50 text-gray-400 print:text-gray-400', icon: null };
-    const absDev = Math.abs(deviation);
-    if (absDev <= 0.5) return { color: 'bg-green-100 text-green-700 font-bold border-green-300 print:bg-gray-100 print:text-black print:border-gray-400', icon: <CheckCircle className="w-4 h-4 inline mr-1 text-green-600 print:hidden" /> };
-    return { color: 'bg-red-100 text-red-700 font-bold border-red-300 print:bg-gray-200 print:text-black print:font-bold print:border-black', icon: <AlertCircle className="w-4 h-4 inline mr-1 text-red-600 print:text-black" /> };
+    const limit = readNum(criteria.ttrMaxDeviation);
+    if (deviation === null || limit === null) return { color: 'bg-gray-50 text-gray-400 print:text-gray-400', icon: null, label: '' };
+    return Math.abs(deviation) <= limit ? STATUS_OK : STATUS_FAIL;
   };
 
-  const getStatusTG = (valStr) => {
-    if (!valStr) return { color: 'bg-white', icon: null };
-    const val = parseNum(valStr);
-    if (val < 0.5) return { color: 'bg-green-100 text-green-700 font-bold border-green-300 print:bg-gray-100 print:text-black print:border-gray-400', icon: <CheckCircle className="w-4 h-4 inline mr-1 text-green-600 print:hidden" /> };
-    return { color: 'bg-red-100 text-red-700 font-bold border-red-300 print:bg-gray-200 print:text-black print:font-bold print:border-black', icon: <AlertCircle className="w-4 h-4 inline mr-1 text-red-600 print:text-black" /> };
+  const getStatusImbalance = (imbalance) => {
+    const limit = readNum(criteria.resImbalanceMax);
+    if (imbalance === null || limit === null) return { color: 'bg-gray-50 text-gray-400 print:text-gray-400', icon: null, label: '' };
+    return imbalance <= limit ? STATUS_OK : STATUS_FAIL;
   };
 
-  const getStatusIP = (piValue) => {
-    if (piValue === null) return { color: 'bg-white', icon: null, label: '-' };
-    if (piValue > 1.0) {
-      return {
-        color: 'bg-green-100 text-green-700 font-bold border-green-300 print:bg-gray-100 print:text-black print:border-gray-400',
-        icon: <CheckCircle className="w-4 h-4 inline mr-1 text-green-600 print:hidden" />,
-        label: 'ACEPTABLE'
-      };
+  // Estado global de una fila: falla si alguna medición falla, aceptable si hay al menos una y ninguna falla
+  const combineStatusLabels = (statuses) => {
+    if (statuses.some(st => st.label === STATUS_FAIL.label)) return STATUS_FAIL.label;
+    return statuses.some(st => st.label === STATUS_OK.label) ? STATUS_OK.label : '';
+  };
+
+  // --- ENSAYOS DECLARATIVOS ---
+  const STATUS_NONE = { color: 'bg-white', icon: null, label: '-' };
+  const statusFromResult = (result) => (result === true ? STATUS_OK : result === false ? STATUS_FAIL : STATUS_NONE);
+
+  const equipment = EQUIPMENT_TYPES[equipmentType];
+  const EquipmentIcon = equipment.icon;
+  const visibleModules = equipment.tests.filter(id => tests.includes(id)).map(id => TEST_MODULES[id]);
+  const activeModule = visibleModules.find(module => module.id === activeTab) || visibleModules[0];
+
+  const moduleContext = (module) => testModuleContext(module, sheet);
+  const moduleRows = (module) => evaluateTestRows(module, sheet, tapRows, moduleContext(module));
+
+  const handleModuleCellChange = (module, rowId, column, value) => {
+    if (module.layout === 'perTap') {
+      handleInputChange(rowId, column.key, value);
+      return;
     }
-    return {
-      color: 'bg-red-100 text-red-700 font-bold border-red-300 print:bg-gray-200 print:text-black print:font-bold print:border-black',
-      icon: <AlertCircle className="w-4 h-4 inline mr-1 text-red-600 print:text-black" />,
-      label: 'NO ACEPTABLE'
-    };
+    updateModuleSheet(module.dataKey, prev => prev.map(row => row.id === rowId ? { ...withoutSource(row, column.key), [column.key]: value } : row));
+  };
+  const handleModuleSettingsChange = (module, next) => {
+    if (module.settings.key === 'nameplate') setNameplate(next);
+    else updateModuleSheet(module.settings.key, next);
   };
+  const addModuleRow = (module) => updateModuleSheet(module.dataKey, prev => [...prev, { id: generateId() }]);
+  const removeModuleRow = (module, rowId) => {
+    if (confirm('¿Borrar fila?')) updateModuleSheet(module.dataKey, prev => prev.filter(row => row.id !== rowId));
+  };
+
+  // Siempre queda al menos un ensayo del tipo de equipo seleccionado
+  const toggleTest = (testId) => setTests(prev => {
+    const selected = equipment.tests.filter(id => prev.includes(id));
+    if (!selected.includes(testId)) return equipment.tests.filter(id => id === testId || selected.includes(id));
+    return selected.length > 1 ? selected.filter(id => id !== testId) : selected;
+  });
 
   // --- EXPORTADORES ---
-  const handleDownloadExcel = () => {
-    if (!window.XLSX) return alert("Cargando librería Excel...");
-    const wb = window.XLSX.utils.book_new();
-
-    // 1. TTR Sheet
-    const ttrData = [
-      ["PLANILLA DE ENSAYOS - TTR"],
-      ["Cliente:", headerInfo.client, "Fecha:", headerInfo.date],
-      ["Nº Serie:", headerInfo.serialNumber, "Nº Fab:", headerInfo.manufacturingNumber],
-      [], ["Tap", "Ratio %", "Rated Ratio", "Ph A Meas", "Dev A %", "Ph B Meas", "Dev B %", "Ph C Meas", "Dev C %"]
-    ];
-    tapRows.forEach(row => {
-      const d = data[row.id] || {};
-      const devA = calculateDeviation(d.phaseA, d.ratedRatio);
-      const devB = calculateDeviation(d.phaseB, d.ratedRatio);
-      const devC = calculateDeviation(d.phaseC, d.ratedRatio);
-      ttrData.push([
-        row.label, d.ratioPercent, d.ratedRatio,
+  // --- FILAS DE REPORTE (EXCEL Y PDF) ---
+  // Cada ensayo con sus columnas exportadas; la última columna de cada fila es el estado.
+  // TTR y resistencia arman un reporte por tabla (par de devanados o devanado).
+  const buildTtrReport = ({ pair, rows }) => ({
+    head: ["Tap", "Ratio %", "Rated Ratio", "Origen Teórico", "Ph A Meas", "Dev A %", "Ph B Meas", "Dev B %", "Ph C Meas", "Dev C %", "Estado"],
+    rows: rows.map(row => {
+      const d = data[tapRowKey(pair, row)] || {};
+      const rated = getRatedRatio(row, pair);
+      const devA = calculateDeviation(d.phaseA, rated.value);
+      const devB = calculateDeviation(d.phaseB, rated.value);
+      const devC = calculateDeviation(d.phaseC, rated.value);
+      return [
+        row.label, getRatioPercent(row, pair), rated.value, rated.manual ? "Manual" : "Placa",
         d.phaseA, devA !== null ? formatNum(devA) : "",
         d.phaseB, devB !== null ? formatNum(devB) : "",
-        d.phaseC, devC !== null ? formatNum(devC) : ""
-      ]);
-    });
-    window.XLSX.utils.book_append_sheet(wb, window.XLSX.utils.aoa_to_sheet(ttrData), "TTR");
-
-    // 2. Resistance Sheet
-    const resData = [
-      ["PLANILLA DE ENSAYOS - RESISTENCIA"],
-      [], ["Tap",
-        `${resistanceSettings.conn1Name} (Meas)`, `${resistanceSettings.conn1Name} (Corr)`,
-        `${resistanceSettings.conn2Name} (Meas)`, `${resistanceSettings.conn2Name} (Corr)`,
-        `${resistanceSettings.conn3Name} (Meas)`, `${resistanceSettings.conn3Name} (Corr)`]
-    ];
-    tapRows.forEach(row => {
-      const d = data[row.id] || {};
-      const c1 = calculateResistanceCorrection(d.resConn1Meas);
-      const c2 = calculateResistanceCorrection(d.resConn2Meas);
-      const c3 = calculateResistanceCorrection(d.resConn3Meas);
-      resData.push([
-        row.label,
-        d.resConn1Meas, c1 !== null ? formatNum(c1, 4) : "",
-        d.resConn2Meas, c2 !== null ? formatNum(c2, 4) : "",
-        d.resConn3Meas, c3 !== null ? formatNum(c3, 4) : ""
-      ]);
-    });
-    window.XLSX.utils.book_append_sheet(wb, window.XLSX.utils.aoa_to_sheet(resData), "Resistencia");
+        d.phaseC, devC !== null ? formatNum(devC) : "",
+        combineStatusLabels([devA, devB, devC].map(getStatusTTR))
+      ];
+    })
+  });
+
+  const buildResistanceReport = ({ id, winding, rows }) => {
+    const settings = windingSettings(id);
+    return {
+      head: ["Tap",
+        `${settings.conn1Name} (Meas)`, `${settings.conn1Name} (Corr)`,
+        `${settings.conn2Name} (Meas)`, `${settings.conn2Name} (Corr)`,
+        `${settings.conn3Name} (Meas)`, `${settings.conn3Name} (Corr)`,
+        "Desbalance %", "Continuidad", "Estado"],
+      rows: rows.map(row => {
+        const d = data[tapRowKey(winding, row)] || {};
+        const c1 = calculateResistanceCorrection(d.resConn1Meas, 1, id);
+        const c2 = calculateResistanceCorrection(d.resConn2Meas, 2, id);
+        const c3 = calculateResistanceCorrection(d.resConn3Meas, 3, id);
+        const imbalance = calculateImbalance([c1, c2, c3]);
+        const continuity = continuityFlags[tapRowKey(winding, row)];
+        return [
+          row.label,
+          d.resConn1Meas, c1 !== null ? formatNum(c1, 4) : "",
+          d.resConn2Meas, c2 !== null ? formatNum(c2, 4) : "",
+          d.resConn3Meas, c3 !== null ? formatNum(c3, 4) : "",
+          imbalance !== null ? formatNum(imbalance, 2) : "",
+          continuity ? `REVISAR: ${continuity.map(conn => settings[`conn${conn}Name`]).join(', ')}` : "",
+          getStatusImbalance(imbalance).label
+        ];
+      })
+    };
+  };
+  // Títulos de las tablas: con dos devanados no hace falta nombrar el par ni el devanado
+  const ttrTableTitle = (pair) => (windingConfig.pairs.length > 1 ? ttrPairTitle(pair) : '');
+  const resistanceTableTitle = (winding) => (windingConfig.windings.length > 1 ? winding.label : '');
 
-    // 3. TG Delta Sheet
-    const tgData = [
-      ["PLANILLA DE ENSAYOS - TANGENTE DELTA"],
-      [], ["Modo", "Inyección", "Medición", "Guarda", "Tensión Ensayo", "TG (%)", "Cx (pF)"]
+  const handleDownloadExcel = () => {
+    const wb = XLSX.utils.book_new();
+    const approvalRow = [
+      "Estado:", APPROVAL_STATUSES[approval.status].label,
+      "Aprobado por:", approval.status === 'approved' ? `${approval.approvedBy} (${approval.approvedByEmail})` : "",
+      "Fecha aprobación:", approval.status === 'approved' ? new Date(approval.approvedAt).toLocaleString() : ""
     ];
-    tgDeltaData.forEach(row => {
-      tgData.push([row.mode, row.injection, row.measurement, row.guard, row.testVoltage, row.tgPercent, row.capacitance]);
-    });
-    window.XLSX.utils.book_append_sheet(wb, window.XLSX.utils.aoa_to_sheet(tgData), "TG Delta");
 
-    // 4. Aislación Sheet
-    const insData = [
-      ["PLANILLA DE ENSAYOS - RESISTENCIA DE AISLACIÓN (GΩ)"],
-      [], ["Inyección", "Medición", "Guarda", "30\"", "1'", "2'", "3'", "4'", "5'", "6'", "7'", "8'", "9'", "10'", "RAD (DAR)", "IP (PI)", "Estado IP"]
+    // Los ensayos con vista propia arman su hoja; el resto sale de la definición del módulo
+    const customSheets = {
+      ttr: () => [
+        ["PLANILLA DE ENSAYOS - TTR"],
+        approvalRow,
+        ["Cliente:", headerInfo.client, "Fecha:", headerInfo.date],
+        ["Nº Serie:", headerInfo.serialNumber, "Nº Fab:", headerInfo.manufacturingNumber],
+        ["Criterio:", criteria.name, "Desvío máx. (±%):", criteria.ttrMaxDeviation],
+        ...ttrTables.flatMap(table => {
+          const { pair } = table;
+          const ttr = buildTtrReport(table);
+          return [
+            [],
+            ...(ttrTableTitle(pair) ? [[ttrTableTitle(pair).toUpperCase()]] : []),
+            [WINDING_VOLTAGE_LABELS[pair.high], nameplate[pair.high], WINDING_VOLTAGE_LABELS[pair.low], nameplate[pair.low], "Escalón (%):", nameplate[TAP_CHANGERS[pair.changer].step], "Grupo:", nameplate[pair.vectorGroup]],
+            ttr.head, ...ttr.rows
+          ];
+        }),
+      ],
+      resistance: () => [
+        ["PLANILLA DE ENSAYOS - RESISTENCIA"],
+        approvalRow,
+        ...resistanceTables.flatMap(table => {
+          const res = buildResistanceReport(table);
+          return [
+            [],
+            ...(resistanceTableTitle(table.winding) ? [[resistanceTableTitle(table.winding).toUpperCase()]] : []),
+            res.head,
+            ["Material", describeMaterial(1, table.id), "", describeMaterial(2, table.id), "", describeMaterial(3, table.id), "", `Criterio: ${criteria.name} (máx. ${criteria.resImbalanceMax}%)`],
+            ...res.rows
+          ];
+        }),
+      ],
+    };
+
+    // Hoja de encabezado: identificación, placa, condiciones e instrumental
+    const headerSheet = [
+      ["PLANILLA DE ENSAYOS - ENCABEZADO"],
+      approvalRow,
+      ...reportHeaderRows(headerInfo, nameplate, equipmentType).flatMap(group => [[], [group.title.toUpperCase()], ...group.rows]),
+      [], ["INSTRUMENTAL UTILIZADO"],
+      INSTRUMENT_COLUMNS.map(col => col.label),
+      ...(headerInfo.instruments || []).map(row => INSTRUMENT_COLUMNS.map(col => row[col.key] || "")),
     ];
-    insulationData.forEach(row => {
-      const dar = calculateDAR(row.val1m, row.val30s);
-      const pi = calculatePI(row.val10m, row.val1m);
-      const statusIP = getStatusIP(pi);
-      insData.push([
-        row.injection, row.measurement, row.guard,
-        row.val30s, row.val1m, row.val2m, row.val3m, row.val4m, row.val5m, row.val6m, row.val7m, row.val8m, row.val9m, row.val10m,
-        dar !== null ? formatNum(dar, 2) : "",
-        pi !== null ? formatNum(pi, 2) : "",
-        statusIP.label
-      ]);
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(headerSheet), "Encabezado");
+
+    visibleModules.forEach(module => {
+      let sheetData;
+      if (customSheets[module.id]) {
+        sheetData = customSheets[module.id]();
+      } else {
+        const ctx = moduleContext(module);
+        const report = buildTestModuleReport(module, evaluateTestRows(module, sheet, tapRows, ctx));
+        const meta = testModuleMeta(module, ctx);
+        sheetData = [
+          [`PLANILLA DE ENSAYOS - ${module.title.toUpperCase()}`],
+          approvalRow,
+          ...(module.criteria ? [["Criterio:", criteria.name, ...module.criteria.flatMap(c => [`${c.label}:`, criteria[c.key]])]] : []),
+          ...(meta.length ? [meta.flat()] : []),
+          [], report.head, ...report.rows
+        ];
+      }
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sheetData), module.label);
     });
-    window.XLSX.utils.book_append_sheet(wb, window.XLSX.utils.aoa_to_sheet(insData), "Aislación");
 
-    window.XLSX.writeFile(wb, `Ensayo_${headerInfo.serialNumber || 'SN'}.xlsx`);
+    XLSX.writeFile(wb, `Ensayo_${headerInfo.serialNumber || 'SN'}.xlsx`);
   };
 
   const handleDownloadPDF = () => {
-    const element = document.getElementById('printable-content');
-    if (!window.html2pdf) return alert("Cargando librería PDF...");
-    document.body.classList.add('generating-pdf');
-    const opt = { margin: 5, filename: `Ensayo_${headerInfo.serialNumber || 'SN'}.pdf`, image: { type: 'jpeg', quality: 0.98 }, html2canvas: { scale: 2, useCORS: true }, jsPDF: { unit: 'mm', format: 'a4', orientation: 'landscape' } };
-    window.html2pdf().set(opt).from(element).save().then(() => document.body.classList.remove('generating-pdf'));
+    // Una sección por tabla: TTR por par de devanados, resistencia por devanado
+    const sectionTitle = (title, suffix) => (suffix ? `${title} · ${suffix}` : title);
+    const customSections = {
+      ttr: () => ttrTables.map(table => {
+        const { pair } = table;
+        const [high, low] = pair.label.split(' / ');
+        return {
+          title: sectionTitle(TEST_MODULES.ttr.title, ttrTableTitle(pair)), ...buildTtrReport(table),
+          meta: [[`Tensión ${high}:`, `${nameplate[pair.high] || '-'} kV`], [`Tensión ${low}:`, `${nameplate[pair.low] || '-'} kV`], ["Escalón:", `${nameplate[TAP_CHANGERS[pair.changer].step] || '-'} %`], ["Grupo:", nameplate[pair.vectorGroup] || '-']],
+          footnote: `* Desvío aceptable hasta ±${criteria.ttrMaxDeviation}% (${criteria.name}). Teórico calculado desde datos de placa salvo valores manuales.`
+        };
+      }),
+      resistance: () => resistanceTables.map(table => ({
+        title: sectionTitle(TEST_MODULES.resistance.title, resistanceTableTitle(table.winding)), ...buildResistanceReport(table),
+        meta: [
+          ["Temp. medición:", `${resistanceSettings.measuredTemp} °C`], ["Temp. referencia:", `${resistanceSettings.refTemp} °C`],
+          ...[1, 2, 3].map(conn => [`${windingSettings(table.id)[`conn${conn}Name`]}:`, describeMaterial(conn, table.id)])
+        ],
+        footnote: `* Desbalance aceptable hasta ${criteria.resImbalanceMax}% (${criteria.name}). Continuidad: cada tramo hacia la posición nominal debe variar en un único sentido.`
+      })),
+    };
+    const moduleSection = (module) => {
+      const ctx = moduleContext(module);
+      const rows = evaluateTestRows(module, sheet, tapRows, ctx);
+      return {
+        title: module.title, ...buildTestModuleReport(module, rows),
+        meta: testModuleMeta(module, ctx),
+        footnote: module.footnote ? module.footnote(ctx) : '',
+        chart: module.chart && { title: module.chart.title, xAxis: module.chart.xAxis, series: module.chart.series(rows.map(row => row.values)) },
+      };
+    };
+    const [{ rows: identificationRows }, ...detailRows] = reportHeaderRows(headerInfo, nameplate, equipmentType);
+    generatePdfReport({
+      fileName: `Ensayo_${headerInfo.serialNumber || 'SN'}.pdf`,
+      pageHeader: reportPageHeader(headerInfo, nameplate, equipmentType),
+      coverFields: [...identificationRows, ["Criterio de aceptación", criteria.name]],
+      coverDetails: detailRows.flatMap(group => group.rows),
+      instruments: {
+        head: INSTRUMENT_COLUMNS.map(col => col.label),
+        rows: (headerInfo.instruments || []).map(row => INSTRUMENT_COLUMNS.map(col => row[col.key])),
+      },
+      approvalFields: [
+        ["Estado", APPROVAL_STATUSES[approval.status].label],
+        ...(approval.status !== 'draft' && approval.submittedBy ? [["Enviado a revisión", `${approval.submittedBy} · ${new Date(approval.submittedAt).toLocaleString()}`]] : []),
+        ...(approval.status === 'approved' ? [["Aprobado por", `${approval.approvedBy} (${approval.approvedByEmail}) · ${new Date(approval.approvedAt).toLocaleString()}`]] : []),
+      ],
+      sections: visibleModules.flatMap(module => (customSections[module.id] ? customSections[module.id]() : [moduleSection(module)])),
+    }).catch(e => {
+      console.error("Error generando PDF:", e);
+      alert('No se pudo generar el PDF.');
+    });
   };
 
   // --- RENDERIZADO DEL EDITOR ---
@@ -278,12 +4034,11 @@ const TestSheetEditor = ({ project, onUpdate, onBack }) => {
     <div className="animate-in fade-in slide-in-from-right duration-300">
       <style>{`
         @media print { @page { size: landscape; margin: 10mm; } .no-print { display: none !important; } .print-border { border: 1px solid #000 !important; } }
-        body.generating-pdf input, body.generating-pdf select { border: none !important; background: transparent !important; padding: 0 !important; text-align: center; appearance: none; }
         input[type=number]::-webkit-inner-spin-button, input[type=number]::-webkit-outer-spin-button { -webkit-appearance: none; margin: 0; }
       `}</style>
 
       {/* Barra de Navegación */}
-      <div className="bg-gray-800 text-white p-3 flex items-center justify-between sticky top-0 z-50 shadow-md no-print" data-html2canvas-ignore="true">
+      <div className="bg-gray-800 text-white p-3 flex items-center justify-between sticky top-0 z-50 shadow-md no-print">
         <div className="flex items-center gap-4">
           <button onClick={onBack} className="flex items-center gap-2 hover:bg-gray-700 px-3 py-1 rounded transition">
             <ArrowLeft size={18} /> <span className="hidden md:inline">Volver a Proyectos</span>
@@ -295,7 +4050,28 @@ const TestSheetEditor = ({ project, onUpdate, onBack }) => {
           </div>
         </div>
         <div className="flex gap-2 items-center">
-          {isSaving ? (
+          {!readOnly && (
+            <button onClick={handleCheckpoint} className="text-xs hover:bg-gray-700 px-2 py-1 rounded flex items-center gap-1" title="Archivar la versión actual en el historial">
+              <Flag size={14} /> <span className="hidden md:inline">Punto de control</span>
+            </button>
+          )}
+          <button onClick={() => setShowHistory(true)} className="text-xs hover:bg-gray-700 px-2 py-1 rounded flex items-center gap-1">
+            <FileClock size={14} /> <span className="hidden md:inline">Historial</span>
+          </button>
+          <div className="h-6 w-px bg-gray-600"></div>
+          {readOnly && isDirty ? (
+            <span className="text-xs text-orange-300 flex items-center gap-1"><Lock size={14} /> Bloqueado · cambios locales sin sincronizar</span>
+          ) : readOnly ? (
+            <span className="text-xs text-gray-300 flex items-center gap-1"><Lock size={14} /> {approval.status === 'approved' ? 'Aprobado · solo lectura' : 'Solo lectura'}</span>
+          ) : conflict ? (
+            <button onClick={() => setShowConflict(true)} className="text-xs bg-red-600 hover:bg-red-700 px-2 py-1 rounded flex items-center gap-1 font-bold">
+              <AlertTriangle size={14} /> Conflicto: resolver
+            </button>
+          ) : isDirty && syncStatus === 'missing' ? (
+            <span className="text-xs text-red-300 flex items-center gap-1"><AlertTriangle size={14} /> Proyecto eliminado · cambios guardados en este equipo</span>
+          ) : isDirty && syncStatus === 'offline' ? (
+            <span className="text-xs text-orange-300 flex items-center gap-1"><CloudOff size={14} /> Sin conexión · cambios pendientes</span>
+          ) : isDirty ? (
             <span className="text-xs text-yellow-400 flex items-center gap-1"><Loader2 size={14} className="animate-spin" /> Guardando...</span>
           ) : (
             <span className="text-xs text-green-400 flex items-center gap-1"><Cloud size={14} /> Guardado en Nube</span>
@@ -303,404 +4079,1411 @@ const TestSheetEditor = ({ project, onUpdate, onBack }) => {
         </div>
       </div>
 
-      <div id="printable-content" className="max-w-[1400px] mx-auto p-4 bg-gray-100 min-h-screen print:bg-white print:p-0">
+      <ApprovalBar approval={approval} canEdit={canEdit} canApprove={canApprove} userEmail={userEmail} userName={userName}
+        hasPendingChanges={isDirty} onAction={onApprovalAction} />
+
+      {showHistory && (
+        <HistoryPanel revisionsRef={revisionsRef} currentSheet={sheet} canRestore={!readOnly && !conflict} onRestore={handleRestore} onClose={() => setShowHistory(false)} />
+      )}
+
+      {showInstrumentImport && (
+        <InstrumentImportDialog equipmentType={equipmentType} tests={tests} tapTables={{
+          ttr: ttrTables.map(({ id, pair, rows }) => ({ id, label: pair.label, prefix: pair.prefix, changer: pair.changer, rows })),
+          resistance: resistanceTables.map(({ id, winding, rows }) => ({ id, label: winding.label, prefix: winding.prefix, changer: winding.changer, rows })),
+        }} tgDeltaData={moduleSheet.tgDeltaData} insulationData={moduleSheet.insulationData}
+          onApply={applyInstrumentImport} onClose={() => setShowInstrumentImport(false)} />
+      )}
+
+      {conflict && showConflict && (
+        <ConflictDialog conflict={conflict} onResolve={resolveConflict} onDefer={() => setShowConflict(false)} />
+      )}
+
+      <div id="printable-content" className="max-w-[1400px] mx-auto p-4 bg-gray-100 min-h-screen print:bg-white print:p-0">
+
+        {/* HEADER DOCUMENTO */}
+        <header className="bg-white shadow-sm rounded-lg p-6 mb-4 border-l-4 border-blue-600 print:shadow-none print:border-none print:mb-2 print:p-0">
+          <div className="flex flex-col md:flex-row justify-between gap-4">
+            <div className="w-full">
+              <h1 className="text-2xl font-bold text-gray-800 print:text-black mb-1">Planilla de Ensayos Eléctricos</h1>
+              <p className="text-gray-500 print:text-gray-700 mb-4 text-sm uppercase tracking-wide font-semibold flex items-center gap-2">
+                <span className="flex items-center gap-1 bg-gray-100 text-gray-600 border border-gray-200 text-xs px-2 py-0.5 rounded-full print:hidden" title="Tipo de equipo"><EquipmentIcon size={12} /> {equipment.short}</span>
+                {activeModule.title}
+              </p>
+
+              <ReportHeaderEditor headerInfo={headerInfo} nameplate={nameplate} equipmentType={equipmentType} readOnly={readOnly} onHeaderChange={setHeaderInfo} onNameplateChange={setNameplate} />
+
+              {/* Bloque de aprobación (se imprime en el PDF) */}
+              <div className={`mt-3 px-3 py-2 rounded border text-xs flex flex-wrap gap-x-6 gap-y-1 print:bg-white print:border-black print:text-black ${APPROVAL_STATUSES[approval.status].color}`}>
+                <span><b>Estado:</b> {APPROVAL_STATUSES[approval.status].label}</span>
+                {approval.status !== 'draft' && approval.submittedBy && <span><b>Enviado a revisión:</b> {approval.submittedBy} · {new Date(approval.submittedAt).toLocaleString()}</span>}
+                {approval.status === 'approved' && <span><b>Aprobado por:</b> {approval.approvedBy} ({approval.approvedByEmail}) · {new Date(approval.approvedAt).toLocaleString()}</span>}
+              </div>
+            </div>
+
+            <div className="flex flex-col gap-2 no-print min-w-[160px]">
+              <button onClick={handleDownloadPDF} className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded shadow text-xs uppercase font-bold tracking-wide w-full justify-center">
+                <Download size={16} /> Descargar PDF
+              </button>
+              <button onClick={handleDownloadExcel} className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded shadow text-xs uppercase font-bold tracking-wide w-full justify-center">
+                <FileSpreadsheet size={16} /> Exportar Excel
+              </button>
+              {!readOnly && instrumentParsersFor(equipmentType, tests).length > 0 && (
+                <button onClick={() => setShowInstrumentImport(true)} className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 rounded shadow-sm text-xs uppercase font-bold tracking-wide w-full justify-center">
+                  <Activity size={16} /> Importar Instrumento
+                </button>
+              )}
+            </div>
+          </div>
+        </header>
+
+        {/* CONTROLES TABS */}
+        <div className="bg-white p-3 rounded-lg shadow mb-4 no-print flex flex-wrap items-center gap-6 border border-gray-200">
+          <fieldset disabled={readOnly} className="contents">
+            {activeModule.layout === 'perTap' && <TapSchemeEditor scheme={tapScheme} data={data} onChange={setTapScheme} />}
+
+            <div className="flex items-center gap-3">
+              <Shield className="text-gray-400" />
+              <div>
+                <label className="block text-xs font-bold text-gray-600 uppercase mb-1">Criterio de Aceptación</label>
+                <select value={criteria.presetId} onChange={(e) => handleCriteriaPreset(e.target.value)}
+                  className="block w-44 border-gray-300 rounded border p-1 text-sm bg-gray-50">
+                  {Object.entries(CRITERIA_PRESETS).map(([id, preset]) => <option key={id} value={id}>{preset.name}</option>)}
+                  {criteria.presetId === 'custom' && <option value="custom">Personalizado</option>}
+                </select>
+              </div>
+              {(activeModule.criteria || []).map(limit => (
+                <div key={limit.key}>
+                  <label className="block text-xs font-bold text-gray-600 uppercase mb-1">{limit.label}</label>
+                  <NumberInput min={0} value={criteria[limit.key]} onChange={(value) => handleCriteriaChange(limit.key, value)} className="w-20 border-gray-300 rounded border p-1 text-sm text-center" />
+                </div>
+              ))}
+            </div>
+          </fieldset>
+
+          <div className="flex bg-gray-100 p-1 rounded-lg ml-auto overflow-x-auto">
+            {visibleModules.map(module => {
+              const Icon = module.icon;
+              return (
+                <button key={module.id} onClick={() => setActiveTab(module.id)} className={`flex items-center gap-2 px-4 py-2 rounded-md text-sm font-bold transition-all whitespace-nowrap ${activeModule.id === module.id ? `bg-white ${module.theme.tab} shadow-sm` : 'text-gray-500 hover:text-gray-700'}`}>
+                  <Icon size={16} /> {module.label}
+                </button>
+              );
+            })}
+          </div>
+
+          {/* Ensayos que aplican al equipo: definen pestañas, hojas de Excel y secciones del PDF */}
+          <div className="relative">
+            <button onClick={() => setShowTestPicker(!showTestPicker)} className="flex items-center gap-2 px-3 py-2 rounded-md text-sm font-bold text-gray-600 border border-gray-300 hover:bg-gray-50">
+              <ListChecks size={16} /> Ensayos ({visibleModules.length}/{equipment.tests.length})
+            </button>
+            {showTestPicker && (
+              <div className="absolute right-0 top-full mt-1 z-20 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-2">
+                {equipment.tests.map(id => TEST_MODULES[id]).map(module => (
+                  <label key={module.id} className="flex items-center gap-2 px-2 py-1 rounded text-sm hover:bg-gray-50 cursor-pointer">
+                    <input type="checkbox" checked={tests.includes(module.id)} disabled={readOnly || (visibleModules.length === 1 && tests.includes(module.id))}
+                      onChange={() => toggleTest(module.id)} />
+                    {module.title}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <fieldset disabled={readOnly} className="contents">
+          {/* --- VISTA: TTR --- */}
+          {activeModule.id === 'ttr' && (
+            <div className="bg-white shadow-lg rounded-lg overflow-hidden border border-gray-200 print:shadow-none print:border-black print:border-2 animate-in fade-in slide-in-from-bottom-2">
+              <div className="bg-blue-50 p-3 border-b border-blue-200 grid grid-cols-2 md:grid-cols-5 gap-4 items-end print:bg-white print:border-black print:border-b-2">
+                <div>
+                  <label className="block text-xs font-bold uppercase text-blue-900 mb-1">Tensión AT (kV)</label>
+                  <NumberInput min={0} value={nameplate.hvVoltage} onChange={(value) => setNameplate({ ...nameplate, hvVoltage: value })} className="w-full p-1 border border-blue-300 rounded text-center font-bold" />
+                </div>
+                <div>
+                  <label className="block text-xs font-bold uppercase text-blue-900 mb-1">Tensión BT (kV)</label>
+                  <NumberInput min={0} value={nameplate.lvVoltage} onChange={(value) => setNameplate({ ...nameplate, lvVoltage: value })} className="w-full p-1 border border-blue-300 rounded text-center font-bold" />
+                </div>
+                <div>
+                  <label className="block text-xs font-bold uppercase text-blue-900 mb-1">Escalón por Tap (%)</label>
+                  <NumberInput min={0} max={20} value={nameplate.tapStep} onChange={(value) => setNameplate({ ...nameplate, tapStep: value })} className="w-full p-1 border border-blue-300 rounded text-center font-bold" />
+                </div>
+                <div>
+                  <label className="block text-xs font-bold uppercase text-blue-900 mb-1">Grupo de Conexión</label>
+                  <input type="text" value={nameplate.vectorGroup} onChange={(e) => setNameplate({ ...nameplate, vectorGroup: e.target.value })} placeholder="Dyn11" className={`w-full p-1 border rounded text-center font-bold ${vectorGroupFactor === null ? 'border-red-400 bg-red-50 text-red-700' : 'border-blue-300'}`} />
+                </div>
+                <div className="text-xs text-blue-900">
+                  {vectorGroupFactor === null
+                    ? <span className="text-red-600 font-bold">Grupo de conexión no reconocido</span>
+                    : <span>Factor de fase: <b>{vectorGroupFactor > 1 ? '×√3' : vectorGroupFactor < 1 ? '÷√3' : '×1'}</b></span>}
+                  <button onClick={resetAllRatedRatios} className="no-print mt-1 flex items-center gap-1 text-blue-700 font-bold hover:text-blue-900">
+                    <RotateCcw size={12} /> Restablecer teóricos de placa
+                  </button>
+                </div>
+              </div>
+              <div className="bg-blue-50 px-3 pb-3 border-b border-blue-200 grid grid-cols-2 md:grid-cols-6 gap-4 items-end print:bg-white print:border-black print:border-b-2">
+                <div className="col-span-2 md:col-span-1">
+                  <label className="block text-xs font-bold uppercase text-blue-900 mb-1">Devanados</label>
+                  <select value={nameplate.windings} onChange={(e) => setNameplate({ ...nameplate, windings: e.target.value })} className="w-full p-1 border border-blue-300 rounded font-bold bg-white">
+                    {Object.entries(WINDING_CONFIGS).map(([id, config]) => <option key={id} value={id}>{config.label}</option>)}
+                  </select>
+                </div>
+                {windingConfig.pairs.length > 1 && (
+                  <>
+                    <div>
+                      <label className="block text-xs font-bold uppercase text-blue-900 mb-1">Tensión MT (kV)</label>
+                      <NumberInput min={0} value={nameplate.mvVoltage} onChange={(value) => setNameplate({ ...nameplate, mvVoltage: value })} className="w-full p-1 border border-blue-300 rounded text-center font-bold" />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-bold uppercase text-blue-900 mb-1">Taps MT (±)</label>
+                      <select value={nameplate.mvTapRange} onChange={(e) => setNameplate({ ...nameplate, mvTapRange: parseInt(e.target.value) })} className="w-full p-1 border border-blue-300 rounded font-bold bg-white">
+                        {[...Array(17).keys()].map(num => <option key={num} value={num}>{num ? `+/- ${num}` : 'Sin conmutador'}</option>)}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-bold uppercase text-blue-900 mb-1">Escalón MT (%)</label>
+                      <NumberInput min={0} max={20} value={nameplate.mvTapStep} onChange={(value) => setNameplate({ ...nameplate, mvTapStep: value })} className="w-full p-1 border border-blue-300 rounded text-center font-bold" />
+                    </div>
+                    {[['vectorGroupHM', 'Grupo AT/MT', 'YNyn0'], ['vectorGroupML', 'Grupo MT/BT', 'Yd1']].map(([key, label, placeholder]) => (
+                      <div key={key}>
+                        <label className="block text-xs font-bold uppercase text-blue-900 mb-1">{label}</label>
+                        <input type="text" value={nameplate[key]} onChange={(e) => setNameplate({ ...nameplate, [key]: e.target.value })} placeholder={placeholder} className={`w-full p-1 border rounded text-center font-bold ${getVectorGroupFactor(nameplate[key]) === null ? 'border-red-400 bg-red-50 text-red-700' : 'border-blue-300'}`} />
+                      </div>
+                    ))}
+                  </>
+                )}
+              </div>
+              <div className="overflow-x-auto" {...ttrGrid.containerProps}>
+                {ttrTables.map(({ id, pair, rows }, t) => (
+                  <div key={id}>
+                    {ttrTableTitle(pair) && <div className="bg-blue-100 text-blue-900 px-3 py-1 text-xs font-bold uppercase border-y border-blue-200 print:bg-white print:border-black">{ttrTableTitle(pair)}</div>}
+                    <table className="w-full min-w-[800px] border-collapse text-xs">
+                      <thead>
+                        <tr className="bg-gray-800 text-white print:bg-gray-300 print:text-black border-b print:border-black">
+                          <th colSpan="3" className="py-2 px-2 border-r border-gray-600 print:border-black text-center font-semibold">REFERENCIA</th>
+                          <th colSpan="6" className="py-2 px-2 text-center font-semibold bg-blue-900 print:bg-gray-300 print:text-black">MEDICIONES (3 FASES)</th>
+                        </tr>
+                        <tr className="bg-gray-100 text-gray-700 text-xs uppercase font-bold text-center border-b-2 border-gray-300 print:border-black print:text-black">
+                          <th className="py-2 px-1 w-12 border-r border-gray-300 print:border-black">Tap</th>
+                          <th className="py-2 px-1 w-20 border-r border-gray-300 print:border-black">Ratio %</th>
+                          <th className="py-2 px-1 w-24 border-r border-gray-400 print:border-black bg-yellow-50 print:bg-white">Teórico</th>
+                          <th className="py-2 px-1 w-24 bg-blue-50 print:bg-white border-r print:border-black">Fase A</th>
+                          <th className="py-2 px-1 w-16 border-r border-gray-300 print:border-black bg-blue-50 print:bg-white">Dev A</th>
+                          <th className="py-2 px-1 w-24 bg-blue-50 print:bg-white border-r print:border-black">Fase B</th>
+                          <th className="py-2 px-1 w-16 border-r border-gray-300 print:border-black bg-blue-50 print:bg-white">Dev B</th>
+                          <th className="py-2 px-1 w-24 bg-blue-50 print:bg-white border-r print:border-black">Fase C</th>
+                          <th className="py-2 px-1 w-16 bg-blue-50 print:bg-white">Dev C</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map((row, rowIndex) => {
+                          const index = ttrOffsets[t] + rowIndex;
+                          const key = tapRowKey(pair, row);
+                          const rowData = data[key] || {};
+                          const rated = getRatedRatio(row, pair);
+                          const ratioPercentComputed = calculateRatioPercent(row.position, pair);
+                          const devA = calculateDeviation(rowData.phaseA, rated.value);
+                          const devB = calculateDeviation(rowData.phaseB, rated.value);
+                          const devC = calculateDeviation(rowData.phaseC, rated.value);
+                          const statusA = getStatusTTR(devA);
+                          const statusB = getStatusTTR(devB);
+                          const statusC = getStatusTTR(devC);
+
+                          return (
+                            <tr key={key} className={`${rowIndex % 2 === 0 ? 'bg-white' : 'bg-gray-50'} print:bg-white border-b border-gray-200 print:border-gray-300`}>
+                              <td className="py-1 px-2 border-r border-gray-300 print:border-black text-center font-bold text-gray-700 print:text-black">{row.label}</td>
+                              <td className={`py-1 px-1 border-r border-gray-300 print:border-black ${ttrGrid.cellClass(index, 0)}`}>
+                                {ratioPercentComputed !== null ? (
+                                  <div className="text-center font-mono text-gray-700">{formatNum(ratioPercentComputed, 2)}</div>
+                                ) : (
+                                  <NumberInput {...ttrGrid.cellProps(index, 0)} min={0} className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.ratioPercent || ''} onChange={(value) => handleInputChange(key, 'ratioPercent', value)} />
+                                )}
+                              </td>
+                              <td className={`py-1 px-1 border-r border-gray-400 print:border-black bg-yellow-50/50 print:bg-white ${ttrGrid.cellClass(index, 1)}`}>
+                                <div className="flex items-center gap-1">
+                                  <NumberInput {...ttrGrid.cellProps(index, 1)} min={0} title={rated.manual ? 'Valor manual (no sigue a la placa)' : 'Calculado desde datos de placa'}
+                                    className={`w-full p-1 border rounded text-center font-bold text-xs ${rated.manual ? 'border-orange-400 bg-orange-50 text-orange-800 italic' : 'border-yellow-300 bg-yellow-50'}`}
+                                    value={rated.value} onChange={(value) => handleInputChange(key, 'ratedRatio', value)} />
+                                  {rated.manual && (
+                                    <button onClick={() => resetRatedRatio(key)} title="Volver al valor de placa" className="text-orange-500 hover:text-orange-700 no-print"><RotateCcw size={12} /></button>
+                                  )}
+                                </div>
+                              </td>
+                              <td className={`py-1 px-1 border-r print:border-black border-gray-200 ${ttrGrid.cellClass(index, 2)}`}><NumberInput {...ttrGrid.cellProps(index, 2)} min={0} className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.phaseA || ''} title={sourceTitle(rowData, 'phaseA')} onChange={(value) => handleInputChange(key, 'phaseA', value)} /></td>
+                              <td className={`py-1 px-1 border-r border-gray-300 print:border-black text-center ${statusA.color} print:border`}>{statusA.icon} {devA !== null ? formatNum(devA) : '-'}%</td>
+                              <td className={`py-1 px-1 border-r print:border-black border-gray-200 ${ttrGrid.cellClass(index, 3)}`}><NumberInput {...ttrGrid.cellProps(index, 3)} min={0} className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.phaseB || ''} title={sourceTitle(rowData, 'phaseB')} onChange={(value) => handleInputChange(key, 'phaseB', value)} /></td>
+                              <td className={`py-1 px-1 border-r border-gray-300 print:border-black text-center ${statusB.color} print:border`}>{statusB.icon} {devB !== null ? formatNum(devB) : '-'}%</td>
+                              <td className={`py-1 px-1 border-r print:border-black border-gray-200 ${ttrGrid.cellClass(index, 4)}`}><NumberInput {...ttrGrid.cellProps(index, 4)} min={0} className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.phaseC || ''} title={sourceTitle(rowData, 'phaseC')} onChange={(value) => handleInputChange(key, 'phaseC', value)} /></td>
+                              <td className={`py-1 px-1 text-center ${statusC.color} print:border`}>{statusC.icon} {devC !== null ? formatNum(devC) : '-'}%</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+              <div className="bg-gray-100 px-6 py-2 border-t border-gray-200 print:bg-white text-xs text-gray-500">
+                <span>* Desvío aceptable hasta ±{criteria.ttrMaxDeviation}% ({criteria.name}). Teórico calculado desde datos de placa. Los valores en <i className="text-orange-700">cursiva naranja</i> fueron ingresados manualmente.</span>
+              </div>
+            </div>
+          )}
+
+          {/* --- VISTA: RESISTENCIA --- */}
+          {activeModule.id === 'resistance' && (
+            <div className="bg-white shadow-lg rounded-lg overflow-hidden border border-gray-200 print:shadow-none print:border-black print:border-2 animate-in fade-in slide-in-from-bottom-2">
+              <div className="bg-purple-50 p-3 border-b border-purple-200 grid grid-cols-1 md:grid-cols-2 gap-4 print:bg-white print:border-black print:border-b-2">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs font-bold uppercase text-purple-900 w-32">Temp. Observada:</span>
+                  <NumberInput min={-40} max={200} value={resistanceSettings.measuredTemp} onChange={(value) => setResistanceSettings({ ...resistanceSettings, measuredTemp: value })} className="w-20 p-1 border border-purple-300 rounded text-center font-bold" />
+                  <span className="text-sm text-purple-800">°C</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="text-xs font-bold uppercase text-purple-900 w-32">Temp. Referencia:</span>
+                  <NumberInput min={-40} max={200} value={resistanceSettings.refTemp} onChange={(value) => setResistanceSettings({ ...resistanceSettings, refTemp: value })} className="w-20 p-1 border border-purple-300 rounded text-center font-bold" />
+                  <span className="text-sm text-purple-800">°C</span>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto" {...resistanceGrid.containerProps}>
+                {resistanceTables.map(({ id, winding, rows }, t) => {
+                  const settings = windingSettings(id);
+                  return (
+                    <div key={id}>
+                      {resistanceTableTitle(winding) && <div className="bg-purple-100 text-purple-900 px-3 py-1 text-xs font-bold uppercase border-y border-purple-200 print:bg-white print:border-black">{resistanceTableTitle(winding)}</div>}
+                      <table className="w-full min-w-[900px] border-collapse text-xs">
+                        <thead>
+                          <tr className="bg-purple-900 text-white print:bg-gray-300 print:text-black border-b print:border-black">
+                            <th className="py-2 px-2 border-r border-purple-700 print:border-black w-16">POS</th>
+                            {[1, 2, 3].map(conn => (
+                              <th key={conn} colSpan="2" className={`py-2 px-2 text-center ${conn < 3 ? 'border-r border-purple-700 print:border-black' : ''}`}>
+                                <input type="text" value={settings[`conn${conn}Name`]} onChange={(e) => updateWindingSettings(id, { [`conn${conn}Name`]: e.target.value })} className="bg-transparent text-white print:text-black text-center font-bold w-full focus:outline-none placeholder-purple-300" placeholder={`Nombre Conexión ${conn}`} />
+                                <div className="flex items-center justify-center gap-1 mt-1 font-normal text-[10px]">
+                                  <select value={getWindingMaterial(conn, id)} onChange={(e) => updateWindingSettings(id, { [`conn${conn}Material`]: e.target.value })} className="bg-purple-800 text-white print:bg-white print:text-black border border-purple-600 rounded px-1">
+                                    {Object.entries(WINDING_MATERIALS).map(([id, mat]) => <option key={id} value={id}>{mat.name}</option>)}
+                                  </select>
+                                  {getWindingMaterial(conn, id) === 'custom' ? (
+                                    <NumberInput min={0} placeholder="K" value={settings[`conn${conn}Constant`] || ''} onChange={(value) => updateWindingSettings(id, { [`conn${conn}Constant`]: value })} className={`w-14 text-center rounded px-1 text-black ${getMaterialConstant(conn, id) === null ? 'bg-red-100' : 'bg-white'}`} />
+                                  ) : (
+                                    <span>K={WINDING_MATERIALS[getWindingMaterial(conn, id)].constant}</span>
+                                  )}
+                                </div>
+                              </th>
+                            ))}
+                            <th colSpan="2" className="py-2 px-2 text-center border-l border-purple-700 print:border-black bg-purple-950 print:bg-gray-400">ANÁLISIS</th>
+                          </tr>
+                          <tr className="bg-gray-100 text-gray-700 text-xs uppercase font-bold text-center border-b-2 border-gray-300 print:border-black print:text-black">
+                            <th className="py-2 px-1 border-r border-gray-300 print:border-black">Tap</th>
+                            <th className="py-2 px-1 w-32 border-r border-gray-300 print:border-black">Valor a {resistanceSettings.measuredTemp}°C</th>
+                            <th className="py-2 px-1 w-32 border-r border-gray-400 print:border-black bg-purple-50 print:bg-white">Corr. a {resistanceSettings.refTemp}°C</th>
+                            <th className="py-2 px-1 w-32 border-r border-gray-300 print:border-black">Valor a {resistanceSettings.measuredTemp}°C</th>
+                            <th className="py-2 px-1 w-32 border-r border-gray-400 print:border-black bg-purple-50 print:bg-white">Corr. a {resistanceSettings.refTemp}°C</th>
+                            <th className="py-2 px-1 w-32 border-r border-gray-300 print:border-black">Valor a {resistanceSettings.measuredTemp}°C</th>
+                            <th className="py-2 px-1 w-32 border-r border-gray-400 print:border-black bg-purple-50 print:bg-white">Corr. a {resistanceSettings.refTemp}°C</th>
+                            <th className="py-2 px-1 w-24 border-r border-gray-300 print:border-black bg-yellow-50 print:bg-white">Desb. %</th>
+                            <th className="py-2 px-1 w-24 bg-yellow-50 print:bg-white">Continuidad</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {rows.map((row, rowIndex) => {
+                            const index = resistanceOffsets[t] + rowIndex;
+                            const key = tapRowKey(winding, row);
+                            const rowData = data[key] || {};
+                            const c1 = calculateResistanceCorrection(rowData.resConn1Meas, 1, id);
+                            const c2 = calculateResistanceCorrection(rowData.resConn2Meas, 2, id);
+                            const c3 = calculateResistanceCorrection(rowData.resConn3Meas, 3, id);
+                            const corrected = [c1, c2, c3];
+                            const imbalance = calculateImbalance(corrected);
+                            const statusImb = getStatusImbalance(imbalance);
+                            const continuity = continuityFlags[key] || [];
+                            return (
+                              <tr key={key} className={`${rowIndex % 2 === 0 ? 'bg-white' : 'bg-gray-50'} print:bg-white border-b border-gray-200 print:border-gray-300`}>
+                                <td className="py-1 px-2 border-r border-gray-300 print:border-black text-center font-bold text-gray-700 print:text-black">{row.label}</td>
+                                {[1, 2, 3].map(conn => (
+                                  <React.Fragment key={conn}>
+                                    <td className={`py-1 px-1 border-r border-gray-300 print:border-black ${resistanceGrid.cellClass(index, conn - 1)}`}><NumberInput {...resistanceGrid.cellProps(index, conn - 1)} min={0} className={`w-full p-1 border rounded text-center text-xs ${continuity.includes(conn) ? 'border-amber-500 bg-amber-50' : 'border-gray-300'}`} value={rowData[`resConn${conn}Meas`] || ''} title={sourceTitle(rowData, `resConn${conn}Meas`)} onChange={(value) => handleInputChange(key, `resConn${conn}Meas`, value)} /></td>
+                                    <td className="py-1 px-1 border-r border-gray-400 print:border-black bg-purple-50/30 text-center font-mono text-blue-800 font-bold">{corrected[conn - 1] !== null ? formatNum(corrected[conn - 1], 4) : '-'}</td>
+                                  </React.Fragment>
+                                ))}
+                                <td className={`py-1 px-1 border-r border-gray-300 print:border-black text-center ${statusImb.color} print:border`}>{statusImb.icon} {imbalance !== null ? formatNum(imbalance, 2) : '-'}%</td>
+                                <td className="py-1 px-1 text-center text-[10px] font-bold">
+                                  {continuity.length > 0
+                                    ? <span className="text-amber-700 flex items-center justify-center gap-1" title="Escalón en sentido contrario al resto del tramo: revisar contacto del conmutador"><AlertTriangle size={12} className="print:hidden" /> REVISAR {continuity.map(conn => settings[`conn${conn}Name`]).join(', ')}</span>
+                                    : <span className="text-gray-400">OK</span>}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="bg-gray-100 px-6 py-2 border-t border-gray-200 print:bg-white text-xs text-gray-500">
+                <span>* Desbalance = máx. desvío de las fases corregidas respecto del promedio; aceptable hasta {criteria.resImbalanceMax}% ({criteria.name}). Continuidad: cada tramo hacia la posición nominal debe variar en un único sentido.</span>
+              </div>
+            </div>
+          )}
+
+          {/* --- VISTA: ENSAYOS DECLARATIVOS --- */}
+          {!activeModule.custom && (
+            <TestModuleView module={activeModule} rows={moduleRows(activeModule)} ctx={moduleContext(activeModule)} getStatus={statusFromResult}
+              onCellChange={(rowId, column, value) => handleModuleCellChange(activeModule, rowId, column, value)}
+              onSettingsChange={(next) => handleModuleSettingsChange(activeModule, next)}
+              onConditionsChange={(next) => updateModuleSheet(activeModule.conditions.key, next)}
+              onAddRow={() => addModuleRow(activeModule)}
+              onRemoveRow={(rowId) => removeModuleRow(activeModule, rowId)} />
+          )}
+
+        </fieldset>
+      </div>
+    </div>
+  );
+};
+
+// --- COMPONENTE: EQUIPOS Y TENDENCIAS ---
+const EquipmentPanel = ({ projects, hasMoreProjects, onLoadMore, searchTerm, selectedKey, onSelectEquipment, threshold, canConfigure, onThresholdChange, onSelect }) => {
+  const [hiddenMetrics, setHiddenMetrics] = useState([]);
+
+  const term = searchTerm.toLowerCase();
+  const equipment = groupEquipment(projects)
+    .filter(item => [item.serialNumber, item.manufacturingNumber, item.client].some(value => value?.toLowerCase().includes(term)))
+    .sort((a, b) => projectTestDate(b.projects[b.projects.length - 1]).localeCompare(projectTestDate(a.projects[a.projects.length - 1])));
+  const selected = equipment.find(item => item.key === selectedKey);
+
+  if (!selected) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+        <div className="p-4 border-b">
+          <h2 className="font-bold text-gray-700 flex items-center gap-2"><Cpu size={18} className="text-blue-600" /> Equipos</h2>
+          <p className="text-xs text-gray-500 mt-1">Las planillas con el mismo Nº de serie (o Nº de fabricación) se agrupan como un mismo equipo.</p>
+          {hasMoreProjects && (
+            <p className="text-xs text-amber-700 mt-1">
+              La lista agrupa los proyectos cargados y los del Nº buscado; al abrir un equipo se traen todos sus ensayos. <button onClick={onLoadMore} className="font-bold hover:underline">Cargar más</button>
+            </p>
+          )}
+        </div>
+        {equipment.length === 0 ? (
+          <div className="text-center py-12 text-gray-400">No hay equipos con Nº de serie o de fabricación cargado.</div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {equipment.map(item => (
+              <li key={item.key} onClick={() => onSelectEquipment(item.key)} className="p-4 flex flex-col md:flex-row md:items-center justify-between gap-2 cursor-pointer hover:bg-blue-50">
+                <div>
+                  <div className="font-bold text-gray-800">{item.serialNumber || 'S/N'} <span className="text-gray-400 font-normal">· Fab. {item.manufacturingNumber || '-'}</span></div>
+                  <div className="text-xs text-gray-500">{item.client || 'Sin Cliente'}</div>
+                </div>
+                <div className="text-xs text-gray-500 flex items-center gap-3">
+                  <span className="bg-gray-100 px-2 py-1 rounded font-semibold">{item.projects.length} {item.projects.length === 1 ? 'ensayo' : 'ensayos'}</span>
+                  <span className="flex items-center gap-1"><Clock size={12} /> Último: {projectTestDate(item.projects[item.projects.length - 1])}</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  }
+
+  const sheets = selected.projects.map(sheetFromProject);
+  const trends = TREND_METRICS.map(metric => ({ metric, rows: buildTrend(metric, sheets, threshold) })).filter(trend => trend.rows.length > 0);
+  const flaggedCount = trends.reduce((sum, trend) => sum + trend.rows.reduce((acc, row) => acc + row.cells.filter(cell => cell?.flagged).length, 0), 0);
+  const toggleMetric = (test) => setHiddenMetrics(prev => (prev.includes(test) ? prev.filter(id => id !== test) : [...prev, test]));
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+          <div className="flex items-center gap-3">
+            <button onClick={() => onSelectEquipment(null)} className="p-2 rounded-lg border border-gray-200 text-gray-500 hover:text-blue-600" title="Volver a equipos"><ArrowLeft size={18} /></button>
+            <div>
+              <h2 className="font-bold text-gray-800 text-lg">Nº Serie {selected.serialNumber || '-'} · Fab. {selected.manufacturingNumber || '-'}</h2>
+              <p className="text-xs text-gray-500">{selected.client || 'Sin Cliente'} · {selected.projects.length} {selected.projects.length === 1 ? 'ensayo' : 'ensayos'}</p>
+            </div>
+          </div>
+          <div className="text-xs text-gray-500 flex items-center gap-2">
+            Marcar variaciones mayores a ±
+            {canConfigure ? (
+              <input type="number" min="0" step="0.5" value={threshold} onChange={(e) => { const value = parseFloat(e.target.value); if (value >= 0) onThresholdChange(value); }}
+                className="w-16 p-1 border border-gray-300 rounded text-center font-bold" />
+            ) : <b>{threshold}</b>}
+            % respecto del ensayo anterior
+          </div>
+        </div>
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+          {selected.projects.map(project => (
+            <li key={project.id} className="px-3 py-2 flex items-center justify-between gap-3 text-sm">
+              <span className="flex items-center gap-2"><Clock size={14} className="text-gray-400" /> <b>{projectTestDate(project)}</b> <span className="text-gray-500">{project.headerInfo.client || 'Sin Cliente'}</span></span>
+              <span className="flex items-center gap-3">
+                <span className={`px-2 py-0.5 rounded-full border text-[10px] font-bold uppercase ${APPROVAL_STATUSES[getApproval(project).status].color}`}>{APPROVAL_STATUSES[getApproval(project).status].label}</span>
+                <button onClick={() => onSelect(project)} className="text-blue-600 hover:underline text-xs font-bold">Abrir planilla</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {selected.projects.length < 2 ? (
+        <div className="text-center py-8 text-gray-400 bg-white rounded-xl border border-gray-100">Se necesitan al menos dos ensayos del equipo para comparar tendencias.</div>
+      ) : (
+        <>
+          <div className={`px-4 py-2 rounded-lg border text-sm flex items-center gap-2 ${flaggedCount > 0 ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+            {flaggedCount > 0 ? <AlertTriangle size={16} /> : <CheckCircle size={16} />}
+            {flaggedCount > 0 ? `${flaggedCount} ${flaggedCount === 1 ? 'valor varía' : 'valores varían'} más de ±${threshold}% respecto del ensayo anterior.` : `Ningún valor varía más de ±${threshold}% respecto del ensayo anterior.`}
+          </div>
+          {trends.map(({ metric, rows }) => (
+            <div key={metric.test} className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+              <button onClick={() => toggleMetric(metric.test)} className="w-full px-4 py-3 border-b flex justify-between items-center font-bold text-gray-700 hover:bg-gray-50">
+                <span className="flex items-center gap-2"><TrendingUp size={16} className="text-blue-600" /> {metric.title}</span>
+                <span className="text-xs font-normal text-gray-400">{hiddenMetrics.includes(metric.test) ? 'Mostrar' : 'Ocultar'}</span>
+              </button>
+              {!hiddenMetrics.includes(metric.test) && (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs border-collapse">
+                    <thead>
+                      <tr className="bg-gray-100 text-gray-600 uppercase">
+                        <th className="py-2 px-3 text-left">Punto</th>
+                        {selected.projects.map(project => <th key={project.id} className="py-2 px-3 text-center whitespace-nowrap">{projectTestDate(project)}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => (
+                        <tr key={row.key} className="border-t border-gray-100">
+                          <td className="py-1 px-3 font-semibold text-gray-700 whitespace-nowrap">{row.label}</td>
+                          {row.cells.map((cell, index) => (
+                            <td key={index} className={`py-1 px-3 text-center font-mono ${cell?.flagged ? 'bg-red-50 text-red-700 font-bold' : 'text-gray-700'}`}>
+                              {cell ? formatNum(cell.value, metric.decimals) : '-'}
+                              {cell?.change !== null && cell?.change !== undefined && (
+                                <div className={`text-[10px] ${cell.flagged ? 'text-red-600' : 'text-gray-400'}`}>{cell.change > 0 ? '+' : ''}{formatNum(cell.change, 1)}%</div>
+                              )}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          ))}
+          {trends.length === 0 && <div className="text-center py-8 text-gray-400 bg-white rounded-xl border border-gray-100">Los ensayos de este equipo no tienen valores de TTR, resistencia, TG Delta o aislación para comparar.</div>}
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- COMPONENTE: NUEVO PROYECTO ---
+// Alta en blanco, desde una plantilla o duplicando un proyecto existente
+const NEW_PROJECT_SOURCES = {
+  blank: 'En blanco',
+  template: 'Desde plantilla',
+  clone: 'Duplicar proyecto',
+};
+
+const describeProject = (project) =>
+  `${project.headerInfo.serialNumber || 'S/N'} · ${project.headerInfo.client || 'Sin Cliente'} · ${project.headerInfo.date || new Date(project.lastModified).toLocaleDateString()}`;
+
+const NewProjectDialog = ({ projects, templates, initial, onCreate, onClose }) => {
+  const [source, setSource] = useState(initial.source);
+  const [templateId, setTemplateId] = useState(initial.templateId || templates[0]?.id || '');
+  const [projectId, setProjectId] = useState(initial.projectId || projects[0]?.id || '');
+  const [keepHeader, setKeepHeader] = useState(true);
+  const [readings, setReadings] = useState([]);
+  const [equipmentType, setEquipmentType] = useState('transformer');
+
+  const template = templates.find(t => t.id === templateId);
+  const project = projects.find(p => p.id === projectId);
+  const projectTests = project ? sheetFromProject(project).tests : [];
+  const canCreate = source === 'blank' || (source === 'template' && template) || (source === 'clone' && project);
+
+  const handleCreate = () => {
+    if (source === 'template') onCreate(sheetWithoutReadings(sheetFromProject(template.sheet)));
+    else if (source === 'clone') onCreate(cloneSheet(sheetFromProject(project), { keepHeader, readings: readings.filter(id => projectTests.includes(id)) }));
+    else onCreate(sheetFromProject({ equipmentType }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-xl max-h-[90vh] flex flex-col">
+        <div className="p-5 border-b flex justify-between items-center">
+          <h2 className="text-lg font-bold text-gray-800 flex items-center gap-2"><Plus className="text-blue-600" /> Nuevo Proyecto</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={20} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-5 space-y-4 text-sm">
+          <div className="flex bg-gray-100 p-1 rounded-lg">
+            {Object.entries(NEW_PROJECT_SOURCES).map(([id, label]) => (
+              <button key={id} onClick={() => setSource(id)} className={`flex-1 px-3 py-2 rounded-md font-bold ${source === id ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}>{label}</button>
+            ))}
+          </div>
+
+          {source === 'blank' && (
+            <>
+              <div>
+                <span className="block text-xs font-bold text-gray-500 uppercase mb-1">Tipo de equipo</span>
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.entries(EQUIPMENT_TYPES).map(([id, type]) => (
+                    <label key={id} className={`flex items-center gap-2 p-2 rounded-lg border cursor-pointer ${equipmentType === id ? 'border-blue-400 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}>
+                      <input type="radio" checked={equipmentType === id} onChange={() => setEquipmentType(id)} />
+                      <type.icon size={16} className="text-gray-500" /> {type.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <p className="text-gray-600">
+                Planilla vacía con {EQUIPMENT_TYPES[equipmentType].tests.map(id => TEST_MODULES[id].label).join(', ')}
+                {equipmentType === 'transformer' && ', taps ±5'} y el criterio por defecto. El tipo de equipo no se cambia después.
+              </p>
+            </>
+          )}
+
+          {source === 'template' && (templates.length === 0 ? (
+            <p className="text-gray-400 text-center py-6">No hay plantillas. Se crean desde <b>Plantillas</b> en el tablero, a partir de un proyecto.</p>
+          ) : (
+            <ul className="space-y-2">
+              {templates.map(t => (
+                <li key={t.id}>
+                  <label className={`flex gap-3 p-3 rounded-lg border cursor-pointer ${templateId === t.id ? 'border-blue-400 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}>
+                    <input type="radio" checked={templateId === t.id} onChange={() => setTemplateId(t.id)} />
+                    <div>
+                      <div className="font-bold text-gray-800">{t.name}</div>
+                      {t.description && <div className="text-xs text-gray-500">{t.description}</div>}
+                      <div className="text-xs text-gray-400">{EQUIPMENT_TYPES[equipmentTypeOf(t.sheet)].short}{equipmentTypeOf(t.sheet) === 'transformer' && ` · Taps ${describeTapScheme(tapSchemeOf(t.sheet))}`} · {sheetFromProject(t.sheet).tests.filter(id => TEST_MODULES[id]).map(id => TEST_MODULES[id].label).join(', ')}</div>
+                    </div>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          ))}
+
+          {source === 'clone' && (
+            <>
+              <label className="block">
+                <span className="block text-xs font-bold text-gray-500 uppercase mb-1">Proyecto de origen</span>
+                <select value={projectId} onChange={(e) => setProjectId(e.target.value)} className="w-full p-2 border border-gray-300 rounded bg-white">
+                  {projects.map(p => <option key={p.id} value={p.id}>{describeProject(p)}</option>)}
+                </select>
+              </label>
+              <p className="text-xs text-gray-500">Siempre se copian la placa, los taps, el criterio, los ensayos aplicables y la configuración de cada ensayo. La aprobación y el historial no se copian.</p>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={keepHeader} onChange={(e) => setKeepHeader(e.target.checked)} />
+                Copiar encabezado (cliente, Nº de serie y de fabricación)
+              </label>
+              <div>
+                <span className="block text-xs font-bold text-gray-500 uppercase mb-1">Copiar lecturas de</span>
+                <div className="grid grid-cols-2 gap-1">
+                  {projectTests.filter(id => TEST_MODULES[id]).map(id => (
+                    <label key={id} className="flex items-center gap-2">
+                      <input type="checkbox" checked={readings.includes(id)}
+                        onChange={() => setReadings(prev => (prev.includes(id) ? prev.filter(r => r !== id) : [...prev, id]))} />
+                      {TEST_MODULES[id].title}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t flex justify-between">
+          <button onClick={onClose} className="px-4 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded">Cancelar</button>
+          <button onClick={handleCreate} disabled={!canCreate} className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded font-semibold flex items-center gap-2 disabled:opacity-50"><Plus size={16} /> Crear proyecto</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- COMPONENTE: PLANTILLAS ---
+// Las plantillas se guardan por organización a partir de un proyecto (sin sus lecturas)
+const TemplatesPanel = ({ templates, projects, canEdit, onSave, onDelete, onUse, onClose }) => {
+  const [projectId, setProjectId] = useState(projects[0]?.id || '');
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const handleSave = () => {
+    const project = projects.find(p => p.id === projectId);
+    if (!project || !name.trim()) return;
+    onSave({ id: generateId(), name: name.trim(), description: description.trim(), sheet: templateSheet(project) });
+    setName('');
+    setDescription('');
+  };
+  const handleRename = (template) => {
+    const next = prompt('Nuevo nombre de la plantilla:', template.name)?.trim();
+    if (next && next !== template.name) onSave({ ...template, name: next });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 z-[60] flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="p-5 border-b flex justify-between items-center">
+          <h2 className="text-lg font-bold text-gray-800 flex items-center gap-2"><LayoutTemplate className="text-blue-600" /> Plantillas</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={20} /></button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-5 space-y-5 text-sm">
+          {templates.length === 0 ? (
+            <p className="text-gray-400 text-center py-4">Todavía no hay plantillas.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {templates.map(template => (
+                <li key={template.id} className="p-3 flex flex-col md:flex-row md:items-center justify-between gap-2">
+                  <div>
+                    <div className="font-bold text-gray-800">{template.name}</div>
+                    {template.description && <div className="text-xs text-gray-500">{template.description}</div>}
+                    <div className="text-xs text-gray-400">
+                      {equipmentTypeOf(template.sheet) === 'transformer'
+                        ? <>Taps {describeTapScheme(tapSchemeOf(template.sheet))} · AT/BT {template.sheet.nameplate?.hvVoltage || '-'}/{template.sheet.nameplate?.lvVoltage || '-'} kV · {template.sheet.nameplate?.vectorGroup || '-'}</>
+                        : EQUIPMENT_TYPES[equipmentTypeOf(template.sheet)].label}
+                      {template.createdBy && ` · ${template.createdBy}`}
+                    </div>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    {canEdit && <button onClick={() => onUse(template)} className="px-3 py-1.5 rounded bg-blue-600 hover:bg-blue-700 text-white text-xs font-bold flex items-center gap-1"><Plus size={14} /> Usar</button>}
+                    {canEdit && <button onClick={() => handleRename(template)} className="px-3 py-1.5 rounded border border-gray-200 hover:bg-gray-50 text-xs text-gray-700">Renombrar</button>}
+                    {canEdit && (
+                      <button onClick={() => { if (confirm(`¿Borrar la plantilla "${template.name}"?`)) onDelete(template.id); }}
+                        className="p-1.5 rounded border border-gray-200 text-gray-400 hover:text-red-500" title="Borrar plantilla"><Trash2 size={14} /></button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {canEdit && (
+            <div className="border border-gray-200 rounded-lg p-4 space-y-3 bg-gray-50">
+              <h3 className="font-bold text-gray-700">Nueva plantilla desde un proyecto</h3>
+              <p className="text-xs text-gray-500">Conserva placa, taps, criterio, ensayos aplicables, nombres y materiales de las conexiones, relaciones teóricas manuales y las combinaciones de medición de TG Delta, aislación y SFRA. No guarda lecturas.</p>
+              <select value={projectId} onChange={(e) => setProjectId(e.target.value)} className="w-full p-2 border border-gray-300 rounded bg-white">
+                {projects.map(p => <option key={p.id} value={p.id}>{describeProject(p)}</option>)}
+              </select>
+              <input type="text" placeholder="Nombre (ej: Familia 13,2/0,4 kV 1 MVA Dyn11)" value={name} onChange={(e) => setName(e.target.value)} className="w-full p-2 border border-gray-300 rounded" />
+              <input type="text" placeholder="Descripción (opcional)" value={description} onChange={(e) => setDescription(e.target.value)} className="w-full p-2 border border-gray-300 rounded" />
+              <div className="text-right">
+                <button onClick={handleSave} disabled={!projectId || !name.trim()} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-semibold disabled:opacity-50">Guardar plantilla</button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- FILTROS DEL TABLERO ---
+// Los proyectos se cargan de a páginas ordenados por última modificación; filtros y orden se aplican sobre los ya
+// cargados. El Nº de serie o de fabricación buscado y el historial de un equipo se consultan además en toda la
+// colección (useProjectsByIdentifier). Los filtros guardados quedan en el perfil del usuario.
+const PROJECTS_PAGE_SIZE = 50;
+
+// Proyectos de la organización cuyo Nº de serie o de fabricación es alguno de `values`, estén o no en las páginas cargadas
+const useProjectsByIdentifier = (orgId, values) => {
+  const [snap, setSnap] = useState(null);
+  // `in` admite hasta 30 valores por consulta
+  const key = [...new Set(values)].slice(0, 30).join('\n');
+  useEffect(() => {
+    if (!orgId || !key) return;
+    const found = {};
+    const unsubscribes = ['headerInfo.serialNumber', 'headerInfo.manufacturingNumber'].map(field => onSnapshot(
+      query(projectsCollectionRef(orgId), where(field, 'in', key.split('\n'))),
+      (snapshot) => {
+        found[field] = snapshot.docs.map(d => d.data());
+        setSnap({ orgId, key, list: Object.values(found).flat() });
+      },
+      (error) => console.error("Error buscando por identificador:", error)));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [orgId, key]);
+  return key && snap?.orgId === orgId && snap.key === key ? snap.list : null;
+};
+
+const DEFAULT_DASHBOARD_FILTERS = {
+  searchTerm: '', dateFrom: '', dateTo: '', result: 'all', approval: 'all', tapMin: '', tapMax: '',
+  sortField: 'lastModified', sortDirection: 'desc',
+};
+
+const PROJECT_RESULT_FILTERS = {
+  all: 'Todos los resultados',
+  fail: 'Con ensayos no aceptables',
+  ok: 'Todos aceptables',
+  empty: 'Sin resultados',
+};
+const projectResultKey = (result) => (result === false ? 'fail' : result === true ? 'ok' : 'empty');
+
+const PROJECT_SORT_FIELDS = {
+  lastModified: { label: 'Modificado', value: (project) => project.lastModified || '' },
+  date: { label: 'Fecha ensayo', value: (project) => project.headerInfo.date || '' },
+  serialNumber: { label: 'Nº Serie', value: (project) => (project.headerInfo.serialNumber || '').toLowerCase() },
+  manufacturingNumber: { label: 'Nº Fabricación', value: (project) => (project.headerInfo.manufacturingNumber || '').toLowerCase() },
+  client: { label: 'Cliente', value: (project) => (project.headerInfo.client || '').toLowerCase() },
+  equipmentType: { label: 'Equipo', value: (project) => Object.keys(EQUIPMENT_TYPES).indexOf(equipmentTypeOf(project)) },
+  tapRange: { label: 'Taps', value: (project) => project.tapRange || 0 },
+  result: { label: 'Resultado', value: (project, results) => ['fail', 'empty', 'ok'].indexOf(projectResultKey(results[project.id])) },
+  approval: { label: 'Aprobación', value: (project) => Object.keys(APPROVAL_STATUSES).indexOf(getApproval(project).status) },
+};
+
+const filterProjects = (projects, filters, results) => {
+  const term = filters.searchTerm.toLowerCase();
+  const tapMin = parseInt(filters.tapMin, 10);
+  const tapMax = parseInt(filters.tapMax, 10);
+  const sortField = PROJECT_SORT_FIELDS[filters.sortField] || PROJECT_SORT_FIELDS.lastModified;
+  const direction = filters.sortDirection === 'asc' ? 1 : -1;
+  return projects
+    .filter(p => !term || [p.headerInfo.client, p.headerInfo.serialNumber, p.headerInfo.manufacturingNumber].some(value => value?.toLowerCase().includes(term)))
+    .filter(p => !filters.dateFrom || (p.headerInfo.date || '') >= filters.dateFrom)
+    .filter(p => !filters.dateTo || (p.headerInfo.date || '') <= filters.dateTo)
+    .filter(p => filters.result === 'all' || projectResultKey(results[p.id]) === filters.result)
+    .filter(p => filters.approval === 'all' || getApproval(p).status === filters.approval)
+    .filter(p => isNaN(tapMin) || (p.tapRange || 0) >= tapMin)
+    .filter(p => isNaN(tapMax) || (p.tapRange || 0) <= tapMax)
+    .sort((a, b) => {
+      const va = sortField.value(a, results);
+      const vb = sortField.value(b, results);
+      return (va < vb ? -1 : va > vb ? 1 : 0) * direction;
+    });
+};
+
+// --- DASHBOARD DE PROYECTOS ---
+// Tipo de equipo de un proyecto; los transformadores muestran además su esquema de taps
+const EquipmentTypeBadge = ({ project }) => {
+  const type = EQUIPMENT_TYPES[equipmentTypeOf(project)];
+  return (
+    <span className="flex items-center gap-1 whitespace-nowrap" title={type.label}>
+      <type.icon size={14} className="text-gray-400" />
+      <span className="font-semibold">{type.short}{equipmentTypeOf(project) === 'transformer' && ` · Taps ${describeTapScheme(tapSchemeOf(project))}`}</span>
+    </span>
+  );
+};
+
+const ProjectDashboard = ({
+  projects, trashedProjects, hasMoreProjects, onLoadMore, onCreate, onSelect, onDelete, onRestore, onPurge, user, organization, role,
+  onManageMembers, onSignOut, pendingChanges, isOnline, onSyncPending, onRecreatePending, onDiscardPending, retentionDays, onRetentionChange, trendChangePercent,
+  onTrendChangePercentChange, filterPresets, onSaveFilterPresets, templates, onSaveTemplate, onDeleteTemplate
+}) => {
+  const [filters, setFilters] = useState(DEFAULT_DASHBOARD_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [layout, setLayout] = useState('cards');
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  // Vista del tablero: proyectos, equipos (con su tendencia) o papelera
+  const [view, setView] = useState('projects');
+  const [equipmentKeySelected, setEquipmentKeySelected] = useState(null);
+  const showTrash = view === 'trash';
+  const [showImport, setShowImport] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  // Origen del alta abierta en el diálogo ({ source, templateId, projectId }) o null
+  const [newProject, setNewProject] = useState(null);
+
+  useEffect(() => {
+    if (confirmDeleteId) {
+      const timer = setTimeout(() => setConfirmDeleteId(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [confirmDeleteId]);
+
+  // El Nº buscado y el equipo abierto se consultan en toda la colección, no solo en las páginas cargadas
+  const [lookupTerm, setLookupTerm] = useState('');
+  useEffect(() => {
+    const timer = setTimeout(() => setLookupTerm(filters.searchTerm), 400);
+    return () => clearTimeout(timer);
+  }, [filters.searchTerm]);
+  const lookedUpProjects = useProjectsByIdentifier(organization.id,
+    [...identifierVariants(lookupTerm), ...equipmentIdentifierValues(equipmentKeySelected, projects)]);
+  const knownProjects = useMemo(() => (lookedUpProjects
+    ? [...new Map([...lookedUpProjects, ...projects].map(p => [p.id, p])).values()] : projects), [projects, lookedUpProjects]);
+
+  // Los proyectos en la papelera no aparecen en la grilla ni en la búsqueda normal
+  const activeProjects = knownProjects.filter(p => !p.deletedAt);
+  const results = useMemo(() => Object.fromEntries(knownProjects.map(p => [p.id, sheetTestResult(sheetFromProject(p))])), [knownProjects]);
+
+  // Cantidad de planillas de cada equipo, para ir desde la tarjeta a su historial
+  const equipmentSizes = Object.fromEntries(groupEquipment(activeProjects).map(item => [item.key, item.projects.length]));
+  const openEquipment = (project) => {
+    setEquipmentKeySelected(equipmentKey(project.headerInfo));
+    setView('equipment');
+  };
+
+  const filteredProjects = showTrash
+    ? filterProjects(trashedProjects, { ...DEFAULT_DASHBOARD_FILTERS, searchTerm: filters.searchTerm }, results).sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    : filterProjects(activeProjects, filters, results);
+
+  // El primer clic pide confirmación; el segundo (dentro de 3 s) mueve a la papelera
+  const requestDelete = (e, project) => {
+    e.stopPropagation();
+    if (confirmDeleteId === project.id) onDelete(project);
+    else setConfirmDeleteId(project.id);
+  };
 
-        {/* HEADER DOCUMENTO */}
-        <header className="bg-white shadow-sm rounded-lg p-6 mb-4 border-l-4 border-blue-600 print:shadow-none print:border-none print:mb-2 print:p-0">
-          <div className="flex flex-col md:flex-row justify-between gap-4">
-            <div className="w-full">
-              <h1 className="text-2xl font-bold text-gray-800 print:text-black mb-1">Planilla de Ensayos Eléctricos</h1>
-              <p className="text-gray-500 print:text-gray-700 mb-4 text-sm uppercase tracking-wide font-semibold">
-                {activeTab === 'ttr' ? 'Relación de Transformación (TTR)' :
-                  activeTab === 'resistance' ? 'Resistencia de Devanados' :
-                    activeTab === 'tgdelta' ? 'Factor de Potencia / TG Delta' :
-                      'Resistencia de Aislación'}
-              </p>
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+  const toggleSort = (field) => setFilters(prev => ({
+    ...prev, sortField: field, sortDirection: prev.sortField === field && prev.sortDirection === 'desc' ? 'asc' : 'desc'
+  }));
+  const activeFilterCount = ['dateFrom', 'dateTo', 'result', 'approval', 'tapMin', 'tapMax'].filter(field => filters[field] !== DEFAULT_DASHBOARD_FILTERS[field]).length;
 
-              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 bg-gray-50 p-3 rounded border border-gray-200 print:bg-white print:border-black print:border-2 print:p-2 text-sm">
-                <div>
-                  <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Nº Fabricación</label>
-                  <input type="text" className="w-full p-1 bg-white border border-gray-300 rounded font-bold uppercase"
-                    value={headerInfo.manufacturingNumber} onChange={(e) => setHeaderInfo({ ...headerInfo, manufacturingNumber: e.target.value })} />
-                </div>
-                <div>
-                  <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Nº Serie</label>
-                  <input type="text" className="w-full p-1 bg-white border border-gray-300 rounded font-bold uppercase"
-                    value={headerInfo.serialNumber} onChange={(e) => setHeaderInfo({ ...headerInfo, serialNumber: e.target.value })} />
-                </div>
-                <div>
-                  <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Cliente / Proyecto</label>
-                  <input type="text" className="w-full p-1 bg-white border border-gray-300 rounded uppercase"
-                    value={headerInfo.client} onChange={(e) => setHeaderInfo({ ...headerInfo, client: e.target.value })} />
-                </div>
-                <div>
-                  <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Fecha</label>
-                  <input type="date" className="w-full p-1 bg-white border border-gray-300 rounded"
-                    value={headerInfo.date} onChange={(e) => setHeaderInfo({ ...headerInfo, date: e.target.value })} />
-                </div>
-              </div>
-            </div>
+  const savePreset = () => {
+    const name = prompt('Nombre para este filtro:')?.trim();
+    if (!name) return;
+    onSaveFilterPresets([...filterPresets.filter(preset => preset.name !== name), { name, filters }]);
+  };
+  const deletePreset = (name) => {
+    if (confirm(`¿Borrar el filtro guardado "${name}"?`)) onSaveFilterPresets(filterPresets.filter(preset => preset.name !== name));
+  };
 
-            <div className="flex flex-col gap-2 no-print min-w-[160px]" data-html2canvas-ignore="true">
-              <button onClick={handleDownloadPDF} className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded shadow text-xs uppercase font-bold tracking-wide w-full justify-center">
-                <Download size={16} /> Descargar PDF
-              </button>
-              <button onClick={handleDownloadExcel} className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded shadow text-xs uppercase font-bold tracking-wide w-full justify-center">
-                <FileSpreadsheet size={16} /> Exportar Excel
-              </button>
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 font-sans">
+      <div className="max-w-6xl mx-auto">
+        <header className="flex flex-col md:flex-row justify-between items-start md:items-center mb-10 gap-4">
+          <div><h1 className="text-3xl font-bold text-gray-800 flex items-center gap-2"><Folder className="text-blue-600" size={32} /> Gestión de Ensayos</h1><p className="text-gray-500 mt-1">{organization.name} · Administra tus mediciones de transformadores (Nube)</p></div>
+          <div className="flex items-center gap-3">
+            <div className="text-right text-xs">
+              <div className="font-semibold text-gray-700">{user.displayName || user.email}</div>
+              <div className="text-gray-400">{role.label}</div>
             </div>
+            {role.canManageMembers && <button onClick={onManageMembers} className="p-2 rounded-lg border border-gray-200 bg-white text-gray-500 hover:text-blue-600" title="Miembros"><Users size={20} /></button>}
+            <button onClick={() => { setView(view === 'equipment' ? 'projects' : 'equipment'); setEquipmentKeySelected(null); }} className={`p-2 rounded-lg border flex items-center gap-1 text-sm ${view === 'equipment' ? 'border-blue-300 bg-blue-50 text-blue-600' : 'border-gray-200 bg-white text-gray-500 hover:text-blue-600'}`} title="Equipos y tendencias">
+              <Cpu size={20} />
+            </button>
+            <button onClick={() => setView(showTrash ? 'projects' : 'trash')} className={`p-2 rounded-lg border flex items-center gap-1 text-sm ${showTrash ? 'border-red-300 bg-red-50 text-red-600' : 'border-gray-200 bg-white text-gray-500 hover:text-red-600'}`} title="Papelera">
+              <Trash2 size={20} />{trashedProjects.length > 0 && <span className="font-bold">{trashedProjects.length}</span>}
+            </button>
+            <button onClick={onSignOut} className="p-2 rounded-lg border border-gray-200 bg-white text-gray-500 hover:text-red-600" title="Cerrar sesión"><LogOut size={20} /></button>
+            {role.canEdit && <button onClick={() => setShowImport(true)} className="p-3 rounded-lg border border-gray-200 bg-white text-gray-600 hover:text-green-700 hover:border-green-300 flex items-center gap-2 text-sm font-semibold" title="Importar desde Excel"><FileSpreadsheet size={20} /> <span className="hidden md:inline">Importar Excel</span></button>}
+            <button onClick={() => setShowTemplates(true)} className="p-3 rounded-lg border border-gray-200 bg-white text-gray-600 hover:text-blue-700 hover:border-blue-300 flex items-center gap-2 text-sm font-semibold" title="Plantillas"><LayoutTemplate size={20} /> <span className="hidden md:inline">Plantillas</span></button>
+            {role.canEdit && <button onClick={() => setNewProject({ source: 'blank' })} className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg shadow-lg flex items-center gap-2 transition font-semibold"><Plus size={20} /> Nuevo Proyecto</button>}
           </div>
         </header>
-
-        {/* CONTROLES TABS */}
-        <div className="bg-white p-3 rounded-lg shadow mb-4 no-print flex flex-wrap items-center gap-6 border border-gray-200" data-html2canvas-ignore="true">
-          {(activeTab === 'ttr' || activeTab === 'resistance') && (
-            <div className="flex items-center gap-3">
-              <Settings className="text-gray-400" />
+        {pendingChanges.length > 0 && (
+          <div className="mb-6 bg-orange-50 border border-orange-200 rounded-lg p-4 text-sm">
+            <div className="flex justify-between items-center mb-2">
+              <span className="font-bold text-orange-800 flex items-center gap-2">
+                {isOnline ? <Cloud size={16} /> : <CloudOff size={16} />} Cambios sin sincronizar ({pendingChanges.length}){!isOnline && ' · sin conexión'}
+              </span>
+              {isOnline && <button onClick={onSyncPending} className="text-xs font-bold text-orange-700 hover:underline flex items-center gap-1"><RotateCcw size={12} /> Sincronizar ahora</button>}
+            </div>
+            <ul className="space-y-1">
+              {pendingChanges.map(entry => {
+                const project = projects.find(p => p.id === entry.projectId);
+                const trashed = trashedProjects.some(p => p.id === entry.projectId);
+                return (
+                  <li key={entry.projectId} className="flex justify-between items-center text-orange-900">
+                    <button onClick={() => project && onSelect(project)} className="hover:underline text-left">{entry.label}</button>
+                    <span className="text-xs text-orange-600 flex items-center gap-2">
+                      {new Date(entry.updatedAt).toLocaleString()}
+                      {entry.conflict && <span className="text-red-600 font-bold flex items-center gap-1"><AlertTriangle size={12} /> Conflicto: abrir para resolver</span>}
+                      {entry.missing && !project && (
+                        <>
+                          <span className="text-red-600 font-bold flex items-center gap-1"><AlertTriangle size={12} /> {trashed ? 'En la papelera: restaurarlo y sincronizar' : 'Proyecto eliminado'}</span>
+                          {role.canEdit && <button onClick={() => onRecreatePending(entry)} className="font-bold text-blue-700 hover:underline">Crear proyecto con estos cambios</button>}
+                          <button onClick={() => onDiscardPending(entry)} className="font-bold text-gray-500 hover:underline">Descartar</button>
+                        </>
+                      )}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+        <div className={`${showFilters && view === 'projects' ? 'mb-3' : 'mb-8'} flex gap-2`}>
+          <div className="relative flex-1"><Search className="absolute left-3 top-3 text-gray-400" size={20} /><input type="text" placeholder="Buscar por cliente, Nº de serie o de fabricación..." className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:outline-none" value={filters.searchTerm} onChange={(e) => updateFilter('searchTerm', e.target.value)} /></div>
+          {view === 'projects' && (
+            <>
+              <button onClick={() => setShowFilters(!showFilters)} className={`px-3 rounded-lg border flex items-center gap-2 text-sm font-semibold ${showFilters || activeFilterCount > 0 ? 'border-blue-300 bg-blue-50 text-blue-700' : 'border-gray-200 bg-white text-gray-600 hover:text-blue-600'}`} title="Filtros">
+                <SlidersHorizontal size={18} /> <span className="hidden md:inline">Filtros</span>{activeFilterCount > 0 && <span className="font-bold">{activeFilterCount}</span>}
+              </button>
+              <div className="flex border border-gray-200 rounded-lg bg-white overflow-hidden">
+                <button onClick={() => setLayout('cards')} className={`px-3 ${layout === 'cards' ? 'bg-blue-50 text-blue-600' : 'text-gray-400 hover:text-gray-600'}`} title="Tarjetas"><LayoutGrid size={18} /></button>
+                <button onClick={() => setLayout('table')} className={`px-3 border-l border-gray-200 ${layout === 'table' ? 'bg-blue-50 text-blue-600' : 'text-gray-400 hover:text-gray-600'}`} title="Lista"><List size={18} /></button>
+              </div>
+            </>
+          )}
+        </div>
+        {showFilters && view === 'projects' && (
+          <div className="mb-8 bg-white border border-gray-200 rounded-lg shadow-sm p-4 text-sm space-y-3">
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+              <div>
+                <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Ensayo desde</label>
+                <input type="date" value={filters.dateFrom} onChange={(e) => updateFilter('dateFrom', e.target.value)} className="w-full p-1 border border-gray-300 rounded" />
+              </div>
+              <div>
+                <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Ensayo hasta</label>
+                <input type="date" value={filters.dateTo} onChange={(e) => updateFilter('dateTo', e.target.value)} className="w-full p-1 border border-gray-300 rounded" />
+              </div>
+              <div>
+                <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Resultado</label>
+                <select value={filters.result} onChange={(e) => updateFilter('result', e.target.value)} className="w-full p-1 border border-gray-300 rounded bg-white">
+                  {Object.entries(PROJECT_RESULT_FILTERS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+              </div>
               <div>
-                <label className="block text-xs font-bold text-gray-600 uppercase mb-1">Configurar Taps (+/-)</label>
-                <select value={tapRange} onChange={(e) => setTapRange(parseInt(e.target.value))}
-                  className="block w-32 border-gray-300 rounded border p-1 text-sm bg-gray-50">
-                  {[...Array(17).keys()].map(num => <option key={num} value={num}>+/- {num}</option>)}
+                <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Aprobación</label>
+                <select value={filters.approval} onChange={(e) => updateFilter('approval', e.target.value)} className="w-full p-1 border border-gray-300 rounded bg-white">
+                  <option value="all">Todos los estados</option>
+                  {Object.entries(APPROVAL_STATUSES).map(([id, status]) => <option key={id} value={id}>{status.label}</option>)}
                 </select>
               </div>
+              <div>
+                <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Taps (+/-)</label>
+                <div className="flex items-center gap-1">
+                  <input type="number" min="0" placeholder="mín." value={filters.tapMin} onChange={(e) => updateFilter('tapMin', e.target.value)} className="w-full p-1 border border-gray-300 rounded text-center" />
+                  <span className="text-gray-400">-</span>
+                  <input type="number" min="0" placeholder="máx." value={filters.tapMax} onChange={(e) => updateFilter('tapMax', e.target.value)} className="w-full p-1 border border-gray-300 rounded text-center" />
+                </div>
+              </div>
+              <div>
+                <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Ordenar por</label>
+                <div className="flex items-center gap-1">
+                  <select value={filters.sortField} onChange={(e) => updateFilter('sortField', e.target.value)} className="w-full p-1 border border-gray-300 rounded bg-white">
+                    {Object.entries(PROJECT_SORT_FIELDS).map(([id, field]) => <option key={id} value={id}>{field.label}</option>)}
+                  </select>
+                  <button onClick={() => updateFilter('sortDirection', filters.sortDirection === 'asc' ? 'desc' : 'asc')} className="p-1 border border-gray-300 rounded text-gray-600" title={filters.sortDirection === 'asc' ? 'Ascendente' : 'Descendente'}>
+                    {filters.sortDirection === 'asc' ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                  </button>
+                </div>
+              </div>
             </div>
-          )}
-
-          <div className="flex bg-gray-100 p-1 rounded-lg ml-auto overflow-x-auto">
-            <button onClick={() => setActiveTab('ttr')} className={`flex items-center gap-2 px-4 py-2 rounded-md text-sm font-bold transition-all whitespace-nowrap ${activeTab === 'ttr' ? 'bg-white text-blue-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}>
-              <Zap size={16} /> TTR
-            </button>
-            <button onClick={() => setActiveTab('resistance')} className={`flex items-center gap-2 px-4 py-2 rounded-md text-sm font-bold transition-all whitespace-nowrap ${activeTab === 'resistance' ? 'bg-white text-purple-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}>
-              <Activity size={16} /> Resistencia
-            </button>
-            <button onClick={() => setActiveTab('tgdelta')} className={`flex items-center gap-2 px-4 py-2 rounded-md text-sm font-bold transition-all whitespace-nowrap ${activeTab === 'tgdelta' ? 'bg-white text-orange-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}>
-              <Percent size={16} /> TG Delta
-            </button>
-            <button onClick={() => setActiveTab('insulation')} className={`flex items-center gap-2 px-4 py-2 rounded-md text-sm font-bold transition-all whitespace-nowrap ${activeTab === 'insulation' ? 'bg-white text-teal-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}>
-              <Shield size={16} /> Aislación
-            </button>
-          </div>
-        </div>
-
-        {/* --- VISTA: TTR --- */}
-        {activeTab === 'ttr' && (
-          <div className="bg-white shadow-lg rounded-lg overflow-hidden border border-gray-200 print:shadow-none print:border-black print:border-2 animate-in fade-in slide-in-from-bottom-2">
-            <div className="overflow-x-auto">
-              <table className="w-full min-w-[800px] border-collapse text-xs">
-                <thead>
-                  <tr className="bg-gray-800 text-white print:bg-gray-300 print:text-black border-b print:border-black">
-                    <th colSpan="3" className="py-2 px-2 border-r border-gray-600 print:border-black text-center font-semibold">REFERENCIA</th>
-                    <th colSpan="6" className="py-2 px-2 text-center font-semibold bg-blue-900 print:bg-gray-300 print:text-black">MEDICIONES (3 FASES)</th>
-                  </tr>
-                  <tr className="bg-gray-100 text-gray-700 text-xs uppercase font-bold text-center border-b-2 border-gray-300 print:border-black print:text-black">
-                    <th className="py-2 px-1 w-12 border-r border-gray-300 print:border-black">Tap</th>
-                    <th className="py-2 px-1 w-20 border-r border-gray-300 print:border-black">Ratio %</th>
-                    <th className="py-2 px-1 w-24 border-r border-gray-400 print:border-black bg-yellow-50 print:bg-white">Teórico</th>
-                    <th className="py-2 px-1 w-24 bg-blue-50 print:bg-white border-r print:border-black">Fase A</th>
-                    <th className="py-2 px-1 w-16 border-r border-gray-300 print:border-black bg-blue-50 print:bg-white">Dev A</th>
-                    <th className="py-2 px-1 w-24 bg-blue-50 print:bg-white border-r print:border-black">Fase B</th>
-                    <th className="py-2 px-1 w-16 border-r border-gray-300 print:border-black bg-blue-50 print:bg-white">Dev B</th>
-                    <th className="py-2 px-1 w-24 bg-blue-50 print:bg-white border-r print:border-black">Fase C</th>
-                    <th className="py-2 px-1 w-16 bg-blue-50 print:bg-white">Dev C</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {tapRows.map((row, index) => {
-                    const rowData = data[row.id] || {};
-                    const devA = calculateDeviation(rowData.phaseA, rowData.ratedRatio);
-                    const devB = calculateDeviation(rowData.phaseB, rowData.ratedRatio);
-                    const devC = calculateDeviation(rowData.phaseC, rowData.ratedRatio);
-                    const statusA = getStatusTTR(devA);
-                    const statusB = getStatusTTR(devB);
-                    const statusC = getStatusTTR(devC);
-
-                    return (
-                      <tr key={row.id} className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} print:bg-white border-b border-gray-200 print:border-gray-300`}>
-                        <td className="py-1 px-2 border-r border-gray-300 print:border-black text-center font-bold text-gray-700 print:text-black">{row.label}</td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black">
-                          <input type="text" className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.ratioPercent || ''} onChange={(e) => handleInputChange(row.id, 'ratioPercent', e.target.value)} />
-                        </td>
-                        <td className="py-1 px-1 border-r border-gray-400 print:border-black bg-yellow-50/50 print:bg-white">
-                          <input type="text" inputMode="decimal" className="w-full p-1 border border-yellow-300 bg-yellow-50 rounded text-center font-bold text-xs" value={rowData.ratedRatio || ''} onChange={(e) => handleInputChange(row.id, 'ratedRatio', e.target.value)} />
-                        </td>
-                        <td className="py-1 px-1 border-r print:border-black border-gray-200"><input type="text" inputMode="decimal" className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.phaseA || ''} onChange={(e) => handleInputChange(row.id, 'phaseA', e.target.value)} /></td>
-                        <td className={`py-1 px-1 border-r border-gray-300 print:border-black text-center ${statusA.color} print:border`}>{statusA.icon} {devA !== null ? formatNum(devA) : '-'}%</td>
-                        <td className="py-1 px-1 border-r print:border-black border-gray-200"><input type="text" inputMode="decimal" className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.phaseB || ''} onChange={(e) => handleInputChange(row.id, 'phaseB', e.target.value)} /></td>
-                        <td className={`py-1 px-1 border-r border-gray-300 print:border-black text-center ${statusB.color} print:border`}>{statusB.icon} {devB !== null ? formatNum(devB) : '-'}%</td>
-                        <td className="py-1 px-1 border-r print:border-black border-gray-200"><input type="text" inputMode="decimal" className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.phaseC || ''} onChange={(e) => handleInputChange(row.id, 'phaseC', e.target.value)} /></td>
-                        <td className={`py-1 px-1 text-center ${statusC.color} print:border`}>{statusC.icon} {devC !== null ? formatNum(devC) : '-'}%</td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
+            <div className="flex flex-wrap items-center gap-2 pt-3 border-t border-gray-100">
+              <Bookmark size={16} className="text-gray-400" />
+              {filterPresets.length === 0 && <span className="text-xs text-gray-400">Sin filtros guardados.</span>}
+              {filterPresets.map(preset => (
+                <span key={preset.name} className="flex items-center border border-gray-200 rounded-full text-xs overflow-hidden">
+                  <button onClick={() => setFilters({ ...DEFAULT_DASHBOARD_FILTERS, ...preset.filters })} className="pl-3 pr-2 py-1 hover:bg-blue-50 hover:text-blue-700 font-semibold">{preset.name}</button>
+                  <button onClick={() => deletePreset(preset.name)} className="pr-2 py-1 text-gray-300 hover:text-red-500" title="Borrar filtro"><X size={12} /></button>
+                </span>
+              ))}
+              <div className="ml-auto flex gap-3">
+                <button onClick={savePreset} className="text-xs font-bold text-blue-600 hover:underline">Guardar filtro actual</button>
+                <button onClick={() => setFilters(DEFAULT_DASHBOARD_FILTERS)} className="text-xs font-bold text-gray-500 hover:underline">Limpiar</button>
+              </div>
             </div>
           </div>
         )}
-
-        {/* --- VISTA: RESISTENCIA --- */}
-        {activeTab === 'resistance' && (
-          <div className="bg-white shadow-lg rounded-lg overflow-hidden border border-gray-200 print:shadow-none print:border-black print:border-2 animate-in fade-in slide-in-from-bottom-2">
-            <div className="bg-purple-50 p-3 border-b border-purple-200 grid grid-cols-1 md:grid-cols-2 gap-4 print:bg-white print:border-black print:border-b-2">
-              <div className="flex items-center gap-2">
-                <span className="text-xs font-bold uppercase text-purple-900 w-32">Temp. Observada:</span>
-                <input type="text" inputMode="decimal" value={resistanceSettings.measuredTemp} onChange={(e) => setResistanceSettings({ ...resistanceSettings, measuredTemp: e.target.value.replace('.', ',') })} className="w-20 p-1 border border-purple-300 rounded text-center font-bold" />
-                <span className="text-sm text-purple-800">°C</span>
-              </div>
-              <div className="flex items-center gap-2">
-                <span className="text-xs font-bold uppercase text-purple-900 w-32">Temp. Referencia:</span>
-                <input type="text" inputMode="decimal" value={resistanceSettings.refTemp} onChange={(e) => setResistanceSettings({ ...resistanceSettings, refTemp: e.target.value.replace('.', ',') })} className="w-20 p-1 border border-purple-300 rounded text-center font-bold" />
-                <span className="text-sm text-purple-800">°C</span>
+        {view === 'equipment' ? (
+          <EquipmentPanel projects={activeProjects} searchTerm={filters.searchTerm} hasMoreProjects={hasMoreProjects} onLoadMore={onLoadMore} selectedKey={equipmentKeySelected} onSelectEquipment={setEquipmentKeySelected}
+            threshold={trendChangePercent} canConfigure={role.canManageMembers} onThresholdChange={onTrendChangePercentChange} onSelect={onSelect} />
+        ) : showTrash ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+            <div className="p-4 border-b flex flex-col md:flex-row md:items-center justify-between gap-2">
+              <h2 className="font-bold text-gray-700 flex items-center gap-2"><Trash2 size={18} className="text-red-500" /> Papelera</h2>
+              <div className="text-xs text-gray-500 flex items-center gap-2">
+                Los proyectos se eliminan definitivamente a los
+                {role.canPurge ? (
+                  <input type="number" min="1" value={retentionDays} onChange={(e) => { const days = parseInt(e.target.value, 10); if (days > 0) onRetentionChange(days); }}
+                    className="w-16 p-1 border border-gray-300 rounded text-center font-bold" />
+                ) : <b>{retentionDays}</b>}
+                días en la papelera.
               </div>
             </div>
-
-            <div className="overflow-x-auto">
-              <table className="w-full min-w-[900px] border-collapse text-xs">
-                <thead>
-                  <tr className="bg-purple-900 text-white print:bg-gray-300 print:text-black border-b print:border-black">
-                    <th className="py-2 px-2 border-r border-purple-700 print:border-black w-16">POS</th>
-                    <th colSpan="2" className="py-2 px-2 border-r border-purple-700 print:border-black text-center">
-                      <input type="text" value={resistanceSettings.conn1Name} onChange={(e) => setResistanceSettings({ ...resistanceSettings, conn1Name: e.target.value })} className="bg-transparent text-white print:text-black text-center font-bold w-full focus:outline-none placeholder-purple-300" placeholder="Nombre Conexión 1" />
-                    </th>
-                    <th colSpan="2" className="py-2 px-2 border-r border-purple-700 print:border-black text-center">
-                      <input type="text" value={resistanceSettings.conn2Name} onChange={(e) => setResistanceSettings({ ...resistanceSettings, conn2Name: e.target.value })} className="bg-transparent text-white print:text-black text-center font-bold w-full focus:outline-none placeholder-purple-300" placeholder="Nombre Conexión 2" />
-                    </th>
-                    <th colSpan="2" className="py-2 px-2 text-center">
-                      <input type="text" value={resistanceSettings.conn3Name} onChange={(e) => setResistanceSettings({ ...resistanceSettings, conn3Name: e.target.value })} className="bg-transparent text-white print:text-black text-center font-bold w-full focus:outline-none placeholder-purple-300" placeholder="Nombre Conexión 3" />
+            {filteredProjects.length === 0 ? (
+              <div className="text-center py-12 text-gray-400">La papelera está vacía.</div>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {filteredProjects.map(project => (
+                  <li key={project.id} className="p-4 flex flex-col md:flex-row md:items-center justify-between gap-3">
+                    <div>
+                      <div className="font-bold text-gray-700">{project.headerInfo.client || 'Sin Cliente'} · {project.headerInfo.serialNumber || 'S/N'}</div>
+                      <div className="text-xs text-gray-400">
+                        Eliminado el {new Date(project.deletedAt).toLocaleString()}{project.deletedBy && ` por ${project.deletedBy}`} ·
+                        se borra definitivamente el {new Date(Date.parse(project.deletedAt) + retentionDays * DAY_MS).toLocaleDateString()}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      {role.canEdit && <button onClick={() => onRestore(project.id)} className="px-3 py-1.5 text-sm rounded border border-gray-200 hover:bg-gray-50 flex items-center gap-1 text-gray-700"><RotateCcw size={14} /> Restaurar</button>}
+                      {role.canPurge && (
+                        <button onClick={() => { if (confirm('¿Eliminar definitivamente este proyecto y su historial? No se puede deshacer.')) onPurge(project.id); }}
+                          className="px-3 py-1.5 text-sm rounded bg-red-600 hover:bg-red-700 text-white flex items-center gap-1"><X size={14} /> Eliminar definitivamente</button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ) : layout === 'table' ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50 text-xs text-gray-500 uppercase border-b">
+                  {['serialNumber', 'manufacturingNumber', 'client', 'equipmentType', 'date', 'tapRange', 'result', 'approval', 'lastModified'].map(field => (
+                    <th key={field} onClick={() => toggleSort(field)} className="py-3 px-3 text-left font-bold cursor-pointer hover:text-blue-600 whitespace-nowrap select-none">
+                      <span className="flex items-center gap-1">
+                        {PROJECT_SORT_FIELDS[field].label}
+                        {filters.sortField === field ? (filters.sortDirection === 'asc' ? <ChevronUp size={14} /> : <ChevronDown size={14} />) : <ArrowUpDown size={12} className="text-gray-300" />}
+                      </span>
                     </th>
-                  </tr>
-                  <tr className="bg-gray-100 text-gray-700 text-xs uppercase font-bold text-center border-b-2 border-gray-300 print:border-black print:text-black">
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black">Tap</th>
-                    <th className="py-2 px-1 w-32 border-r border-gray-300 print:border-black">Valor a {resistanceSettings.measuredTemp}°C</th>
-                    <th className="py-2 px-1 w-32 border-r border-gray-400 print:border-black bg-purple-50 print:bg-white">Corr. a {resistanceSettings.refTemp}°C</th>
-                    <th className="py-2 px-1 w-32 border-r border-gray-300 print:border-black">Valor a {resistanceSettings.measuredTemp}°C</th>
-                    <th className="py-2 px-1 w-32 border-r border-gray-400 print:border-black bg-purple-50 print:bg-white">Corr. a {resistanceSettings.refTemp}°C</th>
-                    <th className="py-2 px-1 w-32 border-r border-gray-300 print:border-black">Valor a {resistanceSettings.measuredTemp}°C</th>
-                    <th className="py-2 px-1 w-32 bg-purple-50 print:bg-white">Corr. a {resistanceSettings.refTemp}°C</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {tapRows.map((row, index) => {
-                    const rowData = data[row.id] || {};
-                    const c1 = calculateResistanceCorrection(rowData.resConn1Meas);
-                    const c2 = calculateResistanceCorrection(rowData.resConn2Meas);
-                    const c3 = calculateResistanceCorrection(rowData.resConn3Meas);
-                    return (
-                      <tr key={row.id} className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} print:bg-white border-b border-gray-200 print:border-gray-300`}>
-                        <td className="py-1 px-2 border-r border-gray-300 print:border-black text-center font-bold text-gray-700 print:text-black">{row.label}</td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.resConn1Meas || ''} onChange={(e) => handleInputChange(row.id, 'resConn1Meas', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-400 print:border-black bg-purple-50/30 text-center font-mono text-blue-800 font-bold">{c1 !== null ? formatNum(c1, 4) : '-'}</td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.resConn2Meas || ''} onChange={(e) => handleInputChange(row.id, 'resConn2Meas', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-400 print:border-black bg-purple-50/30 text-center font-mono text-blue-800 font-bold">{c2 !== null ? formatNum(c2, 4) : '-'}</td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border border-gray-300 rounded text-center text-xs" value={rowData.resConn3Meas || ''} onChange={(e) => handleInputChange(row.id, 'resConn3Meas', e.target.value)} /></td>
-                        <td className="py-1 px-1 bg-purple-50/30 text-center font-mono text-blue-800 font-bold">{c3 !== null ? formatNum(c3, 4) : '-'}</td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
+                  ))}
+                  <th className="py-3 px-3"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {filteredProjects.map(project => {
+                  const result = projectResultKey(results[project.id]);
+                  return (
+                    <tr key={project.id} onClick={() => onSelect(project)} className="cursor-pointer hover:bg-blue-50">
+                      <td className="py-2 px-3 font-bold text-gray-800">{project.headerInfo.serialNumber || '-'}</td>
+                      <td className="py-2 px-3 text-gray-600">{project.headerInfo.manufacturingNumber || '-'}</td>
+                      <td className="py-2 px-3 text-gray-600">{project.headerInfo.client || 'Sin Cliente'}</td>
+                      <td className="py-2 px-3 text-gray-600 whitespace-nowrap">{EQUIPMENT_TYPES[equipmentTypeOf(project)].short}</td>
+                      <td className="py-2 px-3 text-gray-600 whitespace-nowrap">{project.headerInfo.date || '-'}</td>
+                      <td className="py-2 px-3 text-gray-600">{equipmentTypeOf(project) === 'transformer' ? describeTapScheme(tapSchemeOf(project)) : '-'}</td>
+                      <td className="py-2 px-3">
+                        <span className={`text-[10px] font-bold uppercase ${result === 'fail' ? 'text-red-600' : result === 'ok' ? 'text-green-600' : 'text-gray-400'}`}>
+                          {result === 'fail' ? 'No aceptable' : result === 'ok' ? 'Aceptable' : 'Sin datos'}
+                        </span>
+                      </td>
+                      <td className="py-2 px-3"><span className={`px-2 py-0.5 rounded-full border text-[10px] font-bold uppercase whitespace-nowrap ${APPROVAL_STATUSES[getApproval(project).status].color}`}>{APPROVAL_STATUSES[getApproval(project).status].label}</span></td>
+                      <td className="py-2 px-3 text-xs text-gray-400 whitespace-nowrap">
+                        <span className="flex items-center gap-1">{pendingChanges.some(entry => entry.projectId === project.id) && <CloudOff size={12} className="text-orange-500" title="Cambios sin sincronizar" />}{new Date(project.lastModified).toLocaleDateString()}</span>
+                      </td>
+                      <td className="py-2 px-3 text-right whitespace-nowrap">
+                        {equipmentSizes[equipmentKey(project.headerInfo)] > 1 && <button onClick={(e) => { e.stopPropagation(); openEquipment(project); }} className="p-1 text-blue-500 hover:text-blue-700" title="Historial del equipo"><TrendingUp size={16} /></button>}
+                        {role.canEdit && <button onClick={(e) => { e.stopPropagation(); setNewProject({ source: 'clone', projectId: project.id }); }} className="p-1 text-gray-400 hover:text-blue-600" title="Duplicar"><Copy size={16} /></button>}
+                        {canTrashProject(project, role) && (
+                          <button onClick={(e) => requestDelete(e, project)} className={`p-1 rounded ${confirmDeleteId === project.id ? 'bg-red-500 text-white px-2 text-xs font-bold' : 'text-gray-300 hover:text-red-500'}`} title="Mover a la papelera">
+                            {confirmDeleteId === project.id ? '¿Seguro?' : <Trash2 size={16} />}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {role.canEdit && (
+              <div onClick={() => setNewProject({ source: 'blank' })} className="border-2 border-dashed border-gray-300 rounded-xl p-6 flex flex-col items-center justify-center cursor-pointer hover:border-blue-500 hover:bg-blue-50 transition min-h-[280px] group">
+                <div className="bg-gray-100 p-4 rounded-full mb-4 group-hover:bg-blue-200 transition"><Plus className="text-gray-500 group-hover:text-blue-600" size={32} /></div><h3 className="text-lg font-semibold text-gray-600 group-hover:text-blue-700">Crear Nuevo Ensayo</h3>
+              </div>
+            )}
+            {filteredProjects.map(project => (
+              <div key={project.id} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 hover:shadow-md transition flex flex-col relative group overflow-hidden min-h-[280px]">
+                <div onClick={() => onSelect(project)} className="cursor-pointer flex-1 flex flex-col h-full">
+                  <div className="flex justify-between items-start mb-6"><div className="bg-blue-50 text-blue-700 border border-blue-100 text-xs font-bold px-3 py-1 rounded-full uppercase tracking-wide">{project.headerInfo.client || 'Sin Cliente'}</div><div className="text-xs text-gray-400 flex items-center gap-1">{pendingChanges.some(entry => entry.projectId === project.id) && <CloudOff size={12} className="text-orange-500" title="Cambios sin sincronizar" />}<Clock size={12} />{new Date(project.lastModified).toLocaleDateString()}</div></div>
+                  <div className="space-y-6 mb-6 flex-1"><div><p className="text-xs text-gray-400 uppercase font-bold tracking-wider mb-1">Nº Serie</p><h3 className="text-4xl font-black text-gray-800 break-words leading-none tracking-tight">{project.headerInfo.serialNumber || <span className="text-gray-300 text-2xl">S/N -</span>}</h3></div><div><p className="text-xs text-gray-400 uppercase font-bold tracking-wider mb-1">Nº Fabricación</p><h3 className="text-3xl font-bold text-gray-600 break-words leading-none">{project.headerInfo.manufacturingNumber || <span className="text-gray-300 text-xl">FAB -</span>}</h3></div></div>
+                  <div className="pt-4 border-t border-gray-100 flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-500 mt-auto"><div className="bg-gray-50 px-2 py-1 rounded"><EquipmentTypeBadge project={project} /></div>{equipmentSizes[equipmentKey(project.headerInfo)] > 1 && <button onClick={(e) => { e.stopPropagation(); openEquipment(project); }} className="flex items-center gap-1 text-xs text-blue-600 hover:underline" title="Historial del equipo"><TrendingUp size={14} /> {equipmentSizes[equipmentKey(project.headerInfo)]} ensayos</button>}<span className={`px-2 py-0.5 rounded-full border text-[10px] font-bold uppercase ${APPROVAL_STATUSES[getApproval(project).status].color}`}>{APPROVAL_STATUSES[getApproval(project).status].label}</span></div>
+                </div>
+                {canTrashProject(project, role) && <button onClick={(e) => requestDelete(e, project)} className={`absolute bottom-4 right-4 p-2 rounded-full transition-all duration-200 shadow-sm border z-20 flex items-center gap-2 ${confirmDeleteId === project.id ? 'bg-red-500 text-white hover:bg-red-600 border-red-600 w-auto px-3' : 'bg-white text-gray-300 hover:text-red-500 border-gray-100 hover:border-red-200'}`} title="Mover a la papelera"><Trash2 size={20} />{confirmDeleteId === project.id && <span className="text-xs font-bold animate-in fade-in">¿Seguro?</span>}</button>}
+                {role.canEdit && <button onClick={(e) => { e.stopPropagation(); setNewProject({ source: 'clone', projectId: project.id }); }} className="absolute top-14 right-4 p-2 rounded-full bg-white text-gray-300 hover:text-blue-600 border border-gray-100 hover:border-blue-200 shadow-sm opacity-0 group-hover:opacity-100 transition z-20" title="Duplicar"><Copy size={18} /></button>}
+              </div>
+            ))}
+          </div>
+        )}
+        {view === 'projects' && filteredProjects.length === 0 && activeProjects.length > 0 && <div className="text-center py-12 text-gray-500">Ningún proyecto coincide con la búsqueda y los filtros.</div>}
+        {view === 'projects' && (
+          <div className="mt-6 flex flex-col items-center gap-2 text-xs text-gray-500">
+            <span>Mostrando {filteredProjects.length} de {activeProjects.length} proyectos cargados{hasMoreProjects && ' (los más recientes)'}.</span>
+            {hasMoreProjects && (
+              <button onClick={onLoadMore} className="px-4 py-2 rounded-lg border border-gray-200 bg-white text-gray-700 hover:bg-gray-50 font-semibold text-sm">Cargar {PROJECTS_PAGE_SIZE} más</button>
+            )}
           </div>
         )}
+      </div>
+      {newProject && (
+        <NewProjectDialog projects={activeProjects} templates={templates} initial={newProject}
+          onClose={() => setNewProject(null)} onCreate={(sheet) => { setNewProject(null); onCreate(sheet); }} />
+      )}
+      {showTemplates && (
+        <TemplatesPanel templates={templates} projects={activeProjects} canEdit={role.canEdit} onSave={onSaveTemplate} onDelete={onDeleteTemplate}
+          onUse={(template) => { setShowTemplates(false); setNewProject({ source: 'template', templateId: template.id }); }}
+          onClose={() => setShowTemplates(false)} />
+      )}
+      {showImport && <ExcelImportDialog onClose={() => setShowImport(false)} onImport={(sheet) => { setShowImport(false); onCreate(sheet); }} />}
+    </div>
+  );
+};
 
-        {/* --- VISTA: TG DELTA --- */}
-        {activeTab === 'tgdelta' && (
-          <div className="bg-white shadow-lg rounded-lg overflow-hidden border border-gray-200 print:shadow-none print:border-black print:border-2 animate-in fade-in slide-in-from-bottom-2">
-            <div className="overflow-x-auto">
-              <table className="w-full min-w-[800px] border-collapse text-xs">
-                <thead>
-                  <tr className="bg-orange-800 text-white print:bg-gray-300 print:text-black border-b print:border-black">
-                    <th rowSpan="2" className="py-2 px-3 border-r border-orange-700 print:border-black w-24">MODO</th>
-                    <th colSpan="3" className="py-1 px-2 border-r border-orange-700 print:border-black text-center bg-orange-900 print:bg-gray-400">CONEXIONES</th>
-                    <th rowSpan="2" className="py-2 px-2 border-r border-orange-700 print:border-black w-32">TENSIÓN ENSAYO</th>
-                    <th rowSpan="2" className="py-2 px-2 border-r border-orange-700 print:border-black w-32">TG (%)</th>
-                    <th rowSpan="2" className="py-2 px-2 w-32">Cx (pF)</th>
-                    <th rowSpan="2" className="py-2 px-1 w-10 no-print"></th>
-                  </tr>
-                  <tr className="bg-gray-100 text-gray-700 text-xs uppercase font-bold text-center border-b-2 border-gray-300 print:border-black print:text-black">
-                    <th className="py-2 px-2 border-r border-gray-300 print:border-black w-24">INYECCIÓN</th>
-                    <th className="py-2 px-2 border-r border-gray-300 print:border-black">MEDICIÓN</th>
-                    <th className="py-2 px-2 border-r border-gray-300 print:border-black">GUARDA</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {tgDeltaData.map((row) => {
-                    const status = getStatusTG(row.tgPercent);
-                    return (
-                      <tr key={row.id} className="bg-white border-b border-gray-200 print:border-gray-300">
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black">
-                          <select value={row.mode || ''} onChange={(e) => handleTgDeltaChange(row.id, 'mode', e.target.value)} className="w-full p-1 border-none bg-transparent text-center font-bold text-gray-700 focus:outline-none">
-                            <option value="">-</option><option value="UST">UST</option><option value="GST g">GST g</option><option value="GST-GND">GST-GND</option>
-                          </select>
-                        </td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black">
-                          <select value={row.injection || ''} onChange={(e) => handleTgDeltaChange(row.id, 'injection', e.target.value)} className="w-full p-1 border-none bg-transparent text-center text-gray-700 focus:outline-none">
-                            <option value="">-</option><option value="AT">AT</option><option value="MT">MT</option><option value="BT">BT</option>
-                          </select>
-                        </td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" className="w-full p-1 border-none text-center focus:outline-none" value={row.measurement || ''} onChange={(e) => handleTgDeltaChange(row.id, 'measurement', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" className="w-full p-1 border-none text-center focus:outline-none" value={row.guard || ''} onChange={(e) => handleTgDeltaChange(row.id, 'guard', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center font-semibold focus:outline-none" placeholder="0" value={row.testVoltage || ''} onChange={(e) => handleTgDeltaChange(row.id, 'testVoltage', e.target.value)} /></td>
-                        <td className={`py-1 px-1 border-r border-gray-300 print:border-black text-center ${status.color} print:border`}><div className="flex items-center justify-center gap-1">{status.icon}<input type="text" inputMode="decimal" className="w-20 p-1 border-none bg-transparent text-center font-bold focus:outline-none" placeholder="%" value={row.tgPercent || ''} onChange={(e) => handleTgDeltaChange(row.id, 'tgPercent', e.target.value)} /></div></td>
-                        <td className="py-1 px-1 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center focus:outline-none" placeholder="pF" value={row.capacitance || ''} onChange={(e) => handleTgDeltaChange(row.id, 'capacitance', e.target.value)} /></td>
-                        <td className="py-1 px-1 text-center no-print"><button onClick={() => removeTgDeltaRow(row.id)} className="text-gray-300 hover:text-red-500 transition"><X size={14} /></button></td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
-            <div className="bg-gray-100 px-6 py-2 border-t border-gray-200 print:bg-white text-xs text-gray-500 flex justify-between items-center">
-              <span>* TG aceptable si es menor a 0,5%</span>
-              <button onClick={addTgDeltaRow} className="flex items-center gap-1 text-orange-700 font-bold hover:text-orange-900 no-print"><Plus size={14} /> Agregar Fila</button>
-            </div>
+// --- PANTALLA DE INGRESO ---
+const LoginScreen = () => {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(''); setInfo(''); setBusy(true);
+    try {
+      if (mode === 'register') {
+        const cred = await createUserWithEmailAndPassword(auth, form.email.trim(), form.password);
+        if (form.name.trim()) await updateProfile(cred.user, { displayName: form.name.trim() });
+        // Las invitaciones solo se aceptan con el email verificado (ver firestore.rules)
+        await sendEmailVerification(cred.user).catch(err => console.error("Error enviando verificación:", err));
+      } else if (mode === 'reset') {
+        await sendPasswordResetEmail(auth, form.email.trim());
+        setInfo('Te enviamos un email para restablecer la contraseña.');
+        setMode('login');
+      } else {
+        await signInWithEmailAndPassword(auth, form.email.trim(), form.password);
+      }
+    } catch (err) {
+      console.error("Error autenticando:", err);
+      setError(AUTH_ERRORS[err.code] || 'No se pudo completar la operación.');
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6 font-sans">
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-lg border border-gray-100 p-8 w-full max-w-sm space-y-4">
+        <div className="text-center mb-2">
+          <img src="/logo.png" alt="" className="h-12 mx-auto mb-3" />
+          <h1 className="text-2xl font-bold text-gray-800">Gestión de Ensayos</h1>
+          <p className="text-sm text-gray-500">{mode === 'register' ? 'Crear cuenta' : mode === 'reset' ? 'Recuperar contraseña' : 'Ingresá con tu cuenta'}</p>
+        </div>
+        {mode === 'register' && (
+          <div>
+            <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Nombre</label>
+            <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className="w-full p-2 border border-gray-300 rounded" />
+          </div>
+        )}
+        <div>
+          <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Email</label>
+          <input type="email" required autoComplete="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} className="w-full p-2 border border-gray-300 rounded" />
+        </div>
+        {mode !== 'reset' && (
+          <div>
+            <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Contraseña</label>
+            <input type="password" required autoComplete={mode === 'register' ? 'new-password' : 'current-password'} value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} className="w-full p-2 border border-gray-300 rounded" />
           </div>
         )}
+        {error && <div className="text-sm text-red-600 flex items-center gap-1"><AlertCircle size={14} /> {error}</div>}
+        {info && <div className="text-sm text-green-700 flex items-center gap-1"><CheckCircle size={14} /> {info}</div>}
+        <button type="submit" disabled={busy} className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white py-2 rounded-lg font-semibold flex items-center justify-center gap-2">
+          {busy && <Loader2 size={16} className="animate-spin" />}
+          {mode === 'register' ? 'Crear Cuenta' : mode === 'reset' ? 'Enviar Email' : 'Ingresar'}
+        </button>
+        <div className="flex justify-between text-xs">
+          <button type="button" onClick={() => { setMode(mode === 'register' ? 'login' : 'register'); setError(''); }} className="text-blue-600 hover:underline">
+            {mode === 'register' ? 'Ya tengo cuenta' : 'Crear una cuenta'}
+          </button>
+          {mode === 'login' && <button type="button" onClick={() => { setMode('reset'); setError(''); }} className="text-gray-500 hover:underline">Olvidé mi contraseña</button>}
+          {mode === 'reset' && <button type="button" onClick={() => setMode('login')} className="text-gray-500 hover:underline">Volver</button>}
+        </div>
+      </form>
+    </div>
+  );
+};
 
-        {/* --- VISTA: AISLACIÓN (CON ESTADO IP) --- */}
-        {activeTab === 'insulation' && (
-          <div className="bg-white shadow-lg rounded-lg overflow-hidden border border-gray-200 print:shadow-none print:border-black print:border-2 animate-in fade-in slide-in-from-bottom-2">
-            <div className="overflow-x-auto">
-              <table className="w-full min-w-[1300px] border-collapse text-xs">
-                <thead>
-                  <tr className="bg-teal-800 text-white print:bg-gray-300 print:text-black border-b print:border-black">
-                    <th colSpan="3" className="py-1 px-2 border-r border-teal-700 print:border-black text-center bg-teal-900 print:bg-gray-400">CONEXIÓN</th>
-                    <th colSpan="11" className="py-2 px-2 border-r border-teal-700 print:border-black text-center">RESULTADOS EN GΩ</th>
-                    <th colSpan="3" className="py-2 px-2 border-r border-teal-700 print:border-black text-center bg-teal-900 print:bg-gray-400">ÍNDICES</th>
-                    <th rowSpan="2" className="py-2 px-1 w-8 no-print"></th>
-                  </tr>
-                  <tr className="bg-gray-100 text-gray-700 text-xs uppercase font-bold text-center border-b-2 border-gray-300 print:border-black print:text-black">
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-20">INY</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-24">MED</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-24">GDA</th>
-
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">30"</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">1'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">2'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">3'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">4'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">5'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">6'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">7'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">8'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">9'</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-14">10'</th>
-
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-16 bg-yellow-50 print:bg-white">RAD</th>
-                    <th className="py-2 px-1 border-r border-gray-300 print:border-black w-16 bg-yellow-50 print:bg-white">IP</th>
-                    <th className="py-2 px-1 w-24 bg-gray-50 print:bg-white">Estado IP</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {insulationData.map((row) => {
-                    const dar = calculateDAR(row.val1m, row.val30s);
-                    const pi = calculatePI(row.val10m, row.val1m);
-                    const statusIP = getStatusIP(pi);
+// --- ALTA EN ORGANIZACIÓN ---
+// Un usuario sin organización puede aceptar la invitación pendiente a su email o crear una nueva (queda como admin).
+// Antes tiene que verificar el email: las invitaciones se otorgan por email y las reglas exigen que esté verificado.
+const OrganizationSetup = ({ user }) => {
+  const [emailVerified, setEmailVerified] = useState(user.emailVerified);
+  const [invitation, setInvitation] = useState(undefined);
+  const [orgName, setOrgName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
 
-                    return (
-                      <tr key={row.id} className="bg-white border-b border-gray-200 print:border-gray-300">
-                        {/* CONEXIÓN */}
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black">
-                          <select value={row.injection || ''} onChange={(e) => handleInsulationChange(row.id, 'injection', e.target.value)} className="w-full p-1 border-none bg-transparent text-center text-xs font-bold text-gray-700 focus:outline-none">
-                            <option value="">-</option><option value="AT">AT</option><option value="MT">MT</option><option value="BT">BT</option>
-                          </select>
-                        </td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.measurement || ''} onChange={(e) => handleInsulationChange(row.id, 'measurement', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.guard || ''} onChange={(e) => handleInsulationChange(row.id, 'guard', e.target.value)} /></td>
-
-                        {/* RESULTADOS GΩ */}
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val30s || ''} onChange={(e) => handleInsulationChange(row.id, 'val30s', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val1m || ''} onChange={(e) => handleInsulationChange(row.id, 'val1m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val2m || ''} onChange={(e) => handleInsulationChange(row.id, 'val2m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val3m || ''} onChange={(e) => handleInsulationChange(row.id, 'val3m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val4m || ''} onChange={(e) => handleInsulationChange(row.id, 'val4m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val5m || ''} onChange={(e) => handleInsulationChange(row.id, 'val5m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val6m || ''} onChange={(e) => handleInsulationChange(row.id, 'val6m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val7m || ''} onChange={(e) => handleInsulationChange(row.id, 'val7m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val8m || ''} onChange={(e) => handleInsulationChange(row.id, 'val8m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val9m || ''} onChange={(e) => handleInsulationChange(row.id, 'val9m', e.target.value)} /></td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black"><input type="text" inputMode="decimal" className="w-full p-1 border-none text-center text-xs focus:outline-none" value={row.val10m || ''} onChange={(e) => handleInsulationChange(row.id, 'val10m', e.target.value)} /></td>
-
-                        {/* ÍNDICES CALCULADOS */}
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black bg-yellow-50/50 text-center font-bold text-xs text-blue-800">
-                          {dar !== null ? formatNum(dar, 2) : '-'}
-                        </td>
-                        <td className="py-1 px-1 border-r border-gray-300 print:border-black bg-yellow-50/50 text-center font-bold text-xs text-blue-800">
-                          {pi !== null ? formatNum(pi, 2) : '-'}
-                        </td>
-
-                        {/* ESTADO IP */}
-                        <td className={`py-1 px-1 text-center font-bold text-[10px] uppercase ${statusIP.color} print:border-black print:border`}>
-                          <div className="flex items-center justify-center gap-1">
-                            {statusIP.icon}
-                            <span>{statusIP.label}</span>
-                          </div>
-                        </td>
-
-                        <td className="py-1 px-1 text-center no-print">
-                          <button onClick={() => removeInsulationRow(row.id)} className="text-gray-300 hover:text-red-500 transition"><X size={14} /></button>
-                        </td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
-            <div className="bg-gray-100 px-6 py-2 border-t border-gray-200 print:bg-white text-xs text-gray-500 flex justify-between items-center">
-              <span>* IP Aceptable si es mayor a 1.0 (RAD = 1' / 30" | IP = 10' / 1')</span>
-              <button onClick={addInsulationRow} className="flex items-center gap-1 text-teal-700 font-bold hover:text-teal-900 no-print"><Plus size={14} /> Agregar Fila</button>
+  useEffect(() => {
+    if (!emailVerified) return;
+    getDoc(invitationRef(user.email))
+      .then(snap => setInvitation(snap.exists() ? snap.data() : null))
+      .catch(e => { console.error("Error leyendo invitación:", e); setInvitation(null); });
+  }, [user.email, emailVerified]);
+
+  // El token guarda email_verified al emitirse: se renueva para que las reglas vean la verificación
+  const handleCheckVerified = async () => {
+    setBusy(true); setError(''); setInfo('');
+    try {
+      await user.reload();
+      if (user.emailVerified) {
+        await user.getIdToken(true);
+        setEmailVerified(true);
+      } else {
+        setError('Todavía no se verificó el email. Abrí el enlace que te enviamos.');
+      }
+    } catch (err) {
+      console.error("Error verificando email:", err);
+      setError('No se pudo comprobar la verificación.');
+    }
+    setBusy(false);
+  };
+
+  const handleResendVerification = async () => {
+    setBusy(true); setError(''); setInfo('');
+    try {
+      await sendEmailVerification(user);
+      setInfo(`Te enviamos otro enlace a ${user.email}.`);
+    } catch (err) {
+      console.error("Error enviando verificación:", err);
+      setError(AUTH_ERRORS[err.code] || 'No se pudo enviar el email.');
+    }
+    setBusy(false);
+  };
+
+  const memberEntry = (role) => ({ email: user.email, displayName: user.displayName || '', role, joinedAt: new Date().toISOString() });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!orgName.trim()) return;
+    setBusy(true); setError('');
+    const orgId = generateId();
+    try {
+      const batch = writeBatch(db);
+      batch.set(organizationRef(orgId), {
+        id: orgId, name: orgName.trim(), createdAt: new Date().toISOString(), createdBy: user.uid,
+        members: { [user.uid]: memberEntry('admin') }
+      });
+      batch.set(userProfileRef(user.uid), { uid: user.uid, email: user.email, displayName: user.displayName || '', orgId });
+      await batch.commit();
+    } catch (err) {
+      console.error("Error creando organización:", err);
+      setError('No se pudo crear la organización.');
+      setBusy(false);
+    }
+  };
+
+  const handleAccept = async () => {
+    setBusy(true); setError('');
+    try {
+      await updateDoc(organizationRef(invitation.orgId), { [`members.${user.uid}`]: memberEntry(invitation.role) });
+      await setDoc(userProfileRef(user.uid), { uid: user.uid, email: user.email, displayName: user.displayName || '', orgId: invitation.orgId });
+      await deleteDoc(invitationRef(user.email));
+    } catch (err) {
+      console.error("Error aceptando invitación:", err);
+      setError('No se pudo aceptar la invitación.');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6 font-sans">
+      <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-8 w-full max-w-md space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Bienvenido{user.displayName ? `, ${user.displayName}` : ''}</h1>
+          <p className="text-sm text-gray-500">Tu cuenta todavía no pertenece a ninguna organización.</p>
+        </div>
+        {!emailVerified && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-3">
+            <p className="text-sm text-amber-900">Verificá tu email para continuar: te enviamos un enlace a <b>{user.email}</b>.</p>
+            <div className="flex gap-3">
+              <button onClick={handleCheckVerified} disabled={busy} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg font-semibold text-sm">Ya lo verifiqué</button>
+              <button onClick={handleResendVerification} disabled={busy} className="text-sm text-blue-700 font-semibold hover:underline disabled:opacity-50">Reenviar email</button>
             </div>
           </div>
         )}
-
+        {emailVerified && invitation === undefined && <div className="text-gray-500 flex items-center gap-2"><Loader2 size={16} className="animate-spin" /> Buscando invitaciones...</div>}
+        {invitation && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+            <p className="text-sm text-blue-900 mb-3">Fuiste invitado a <b>{invitation.orgName}</b> como <b>{ROLES[invitation.role]?.label || invitation.role}</b>.</p>
+            <button onClick={handleAccept} disabled={busy} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg font-semibold text-sm">Unirme</button>
+          </div>
+        )}
+        {invitation === null && (
+          <form onSubmit={handleCreate} className="space-y-3">
+            <label className="block text-xs font-bold text-gray-500 uppercase">Crear organización</label>
+            <input type="text" placeholder="Nombre de la empresa" value={orgName} onChange={(e) => setOrgName(e.target.value)} className="w-full p-2 border border-gray-300 rounded" />
+            <button type="submit" disabled={busy || !orgName.trim()} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-4 py-2 rounded-lg font-semibold text-sm">Crear y ser Administrador</button>
+            <p className="text-xs text-gray-400">Si tu empresa ya usa la aplicación, pedile a un administrador que te invite con este email: {user.email}</p>
+          </form>
+        )}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        {info && <div className="text-sm text-green-700">{info}</div>}
+        <button onClick={() => signOut(auth)} className="text-xs text-gray-500 hover:underline">Cerrar sesión</button>
       </div>
     </div>
   );
 };
 
-// --- DASHBOARD DE PROYECTOS ---
-const ProjectDashboard = ({ projects, onCreate, onSelect, onDelete }) => {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+// --- PANEL DE MIEMBROS (SOLO ADMIN) ---
+const MembersPanel = ({ organization, user, onClose }) => {
+  const [invitations, setInvitations] = useState([]);
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'technician' });
+  const [message, setMessage] = useState('');
 
   useEffect(() => {
-    if (confirmDeleteId) {
-      const timer = setTimeout(() => setConfirmDeleteId(null), 3000);
-      return () => clearTimeout(timer);
-    }
-  }, [confirmDeleteId]);
+    const q = query(invitationsCollectionRef(), where('orgId', '==', organization.id));
+    return onSnapshot(q, (snapshot) => setInvitations(snapshot.docs.map(d => d.data())),
+      (error) => console.error("Error fetching invitations:", error));
+  }, [organization.id]);
 
-  const filteredProjects = projects.filter(p =>
-    p.headerInfo.client?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    p.headerInfo.serialNumber?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    p.headerInfo.manufacturingNumber?.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const admins = Object.values(organization.members || {}).filter(m => m.role === 'admin').length;
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const email = inviteForm.email.trim().toLowerCase();
+    if (!email) return;
+    try {
+      await setDoc(invitationRef(email), {
+        email, orgId: organization.id, orgName: organization.name, role: inviteForm.role,
+        invitedBy: user.email, createdAt: new Date().toISOString()
+      });
+      setInviteForm({ ...inviteForm, email: '' });
+    } catch (err) { console.error("Error invitando:", err); setMessage('No se pudo crear la invitación.'); }
+  };
+
+  const handleRoleChange = async (uid, role) => {
+    try { await updateDoc(organizationRef(organization.id), { [`members.${uid}.role`]: role }); }
+    catch (err) { console.error("Error cambiando rol:", err); }
+  };
+
+  const handleRemove = async (uid) => {
+    if (!confirm('¿Quitar a este miembro de la organización?')) return;
+    try { await updateDoc(organizationRef(organization.id), { [`members.${uid}`]: deleteField() }); }
+    catch (err) { console.error("Error quitando miembro:", err); }
+  };
 
   return (
-    <div className="min-h-screen bg-gray-50 p-6 font-sans">
-      <div className="max-w-6xl mx-auto">
-        <header className="flex flex-col md:flex-row justify-between items-start md:items-center mb-10 gap-4">
-          <div><h1 className="text-3xl font-bold text-gray-800 flex items-center gap-2"><Folder className="text-blue-600" size={32} /> Gestión de Ensayos</h1><p className="text-gray-500 mt-1">Administra tus mediciones de transformadores (Nube)</p></div>
-          <button onClick={onCreate} className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg shadow-lg flex items-center gap-2 transition font-semibold"><Plus size={20} /> Nuevo Proyecto</button>
-        </header>
-        <div className="mb-8 relative"><Search className="absolute left-3 top-3 text-gray-400" size={20} /><input type="text" placeholder="Buscar..." className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-lg shadow-sm focus:ring-2 focus:ring-blue-500 focus:outline-none" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} /></div>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          <div onClick={onCreate} className="border-2 border-dashed border-gray-300 rounded-xl p-6 flex flex-col items-center justify-center cursor-pointer hover:border-blue-500 hover:bg-blue-50 transition min-h-[280px] group">
-            <div className="bg-gray-100 p-4 rounded-full mb-4 group-hover:bg-blue-200 transition"><Plus className="text-gray-500 group-hover:text-blue-600" size={32} /></div><h3 className="text-lg font-semibold text-gray-600 group-hover:text-blue-700">Crear Nuevo Ensayo</h3>
-          </div>
-          {filteredProjects.map(project => (
-            <div key={project.id} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 hover:shadow-md transition flex flex-col relative group overflow-hidden min-h-[280px]">
-              <div onClick={() => onSelect(project)} className="cursor-pointer flex-1 flex flex-col h-full">
-                <div className="flex justify-between items-start mb-6"><div className="bg-blue-50 text-blue-700 border border-blue-100 text-xs font-bold px-3 py-1 rounded-full uppercase tracking-wide">{project.headerInfo.client || 'Sin Cliente'}</div><div className="text-xs text-gray-400 flex items-center gap-1"><Clock size={12} />{new Date(project.lastModified).toLocaleDateString()}</div></div>
-                <div className="space-y-6 mb-6 flex-1"><div><p className="text-xs text-gray-400 uppercase font-bold tracking-wider mb-1">Nº Serie</p><h3 className="text-4xl font-black text-gray-800 break-words leading-none tracking-tight">{project.headerInfo.serialNumber || <span className="text-gray-300 text-2xl">S/N -</span>}</h3></div><div><p className="text-xs text-gray-400 uppercase font-bold tracking-wider mb-1">Nº Fabricación</p><h3 className="text-3xl font-bold text-gray-600 break-words leading-none">{project.headerInfo.manufacturingNumber || <span className="text-gray-300 text-xl">FAB -</span>}</h3></div></div>
-                <div className="pt-4 border-t border-gray-100 flex items-center gap-4 text-sm text-gray-500 mt-auto"><div className="flex items-center gap-1 bg-gray-50 px-2 py-1 rounded"><Settings size={14} className="text-gray-400" /> <span className="font-semibold">Taps: +/- {project.tapRange}</span></div></div>
-              </div>
-              <button onClick={(e) => { e.stopPropagation(); if (confirmDeleteId === project.id) { onDelete(project.id); } else { setConfirmDeleteId(project.id); } }} className={`absolute bottom-4 right-4 p-2 rounded-full transition-all duration-200 shadow-sm border z-20 flex items-center gap-2 ${confirmDeleteId === project.id ? 'bg-red-500 text-white hover:bg-red-600 border-red-600 w-auto px-3' : 'bg-white text-gray-300 hover:text-red-500 border-gray-100 hover:border-red-200'}`} title="Eliminar"><Trash2 size={20} />{confirmDeleteId === project.id && <span className="text-xs font-bold animate-in fade-in">¿Seguro?</span>}</button>
-            </div>
-          ))}
+    <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 space-y-6" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2"><Users size={22} className="text-blue-600" /> Miembros de {organization.name}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={20} /></button>
         </div>
-        {filteredProjects.length === 0 && searchTerm === '' && projects.length > 0 && <div className="text-center py-12 text-gray-500">No hay proyectos creados.</div>}
+
+        <table className="w-full text-sm">
+          <thead><tr className="text-left text-xs uppercase text-gray-500 border-b"><th className="py-2">Miembro</th><th className="py-2">Rol</th><th></th></tr></thead>
+          <tbody>
+            {Object.entries(organization.members || {}).map(([uid, member]) => {
+              // No se permite dejar la organización sin administradores
+              const isLastAdmin = member.role === 'admin' && admins === 1;
+              return (
+                <tr key={uid} className="border-b border-gray-100">
+                  <td className="py-2"><div className="font-semibold text-gray-700">{member.displayName || member.email}</div><div className="text-xs text-gray-400">{member.email}</div></td>
+                  <td className="py-2">
+                    <select value={member.role} disabled={isLastAdmin} onChange={(e) => handleRoleChange(uid, e.target.value)} className="border border-gray-300 rounded p-1 text-sm">
+                      {Object.entries(ROLES).map(([id, role]) => <option key={id} value={id}>{role.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 text-right">
+                    {uid !== user.uid && !isLastAdmin && <button onClick={() => handleRemove(uid)} className="text-gray-300 hover:text-red-500" title="Quitar"><Trash2 size={16} /></button>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <form onSubmit={handleInvite} className="flex flex-wrap gap-2 items-end">
+          <div className="flex-1 min-w-[200px]">
+            <label className="block text-xs font-bold text-gray-500 uppercase mb-1">Invitar por email</label>
+            <input type="email" value={inviteForm.email} onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })} className="w-full p-2 border border-gray-300 rounded text-sm" />
+          </div>
+          <select value={inviteForm.role} onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })} className="border border-gray-300 rounded p-2 text-sm">
+            {Object.entries(ROLES).map(([id, role]) => <option key={id} value={id}>{role.label}</option>)}
+          </select>
+          <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded text-sm font-semibold flex items-center gap-1"><UserPlus size={16} /> Invitar</button>
+        </form>
+
+        {invitations.length > 0 && (
+          <div>
+            <p className="text-xs font-bold text-gray-500 uppercase mb-2">Invitaciones pendientes</p>
+            <ul className="space-y-1 text-sm">
+              {invitations.map(inv => (
+                <li key={inv.email} className="flex justify-between items-center bg-gray-50 px-3 py-1 rounded">
+                  <span>{inv.email} <span className="text-gray-400">· {ROLES[inv.role]?.label}</span></span>
+                  <button onClick={() => deleteDoc(invitationRef(inv.email))} className="text-gray-300 hover:text-red-500" title="Cancelar invitación"><X size={14} /></button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {message && <div className="text-sm text-gray-600">{message}</div>}
       </div>
     </div>
   );
@@ -708,113 +5491,262 @@ const ProjectDashboard = ({ projects, onCreate, onSelect, onDelete }) => {
 
 // --- COMPONENTE PRINCIPAL ---
 const App = () => {
-  const [user, setUser] = useState(null);
-  const [projects, setProjects] = useState([]);
+  const [user, setUser] = useState(undefined);
+  // Cada snapshot guarda la clave con la que se pidió, así un cambio de usuario/organización
+  // invalida el dato anterior sin tener que limpiarlo dentro del efecto.
+  const [profileSnap, setProfileSnap] = useState(null);
+  const [orgSnap, setOrgSnap] = useState(null);
+  const [projectsSnap, setProjectsSnap] = useState(null);
+  const [trashSnap, setTrashSnap] = useState(null);
+  const [templatesSnap, setTemplatesSnap] = useState(null);
+  // Cantidad de proyectos suscriptos: crece de a una página con "Cargar más"
+  const [projectsLimit, setProjectsLimit] = useState(PROJECTS_PAGE_SIZE);
   const [activeProjectId, setActiveProjectId] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [activeProjectSnap, setActiveProjectSnap] = useState(null);
+  const [showMembers, setShowMembers] = useState(false);
 
   // 1. Inicializar Auth
-  useEffect(() => {
-    const initAuth = async () => {
-      try {
-        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-          await signInWithCustomToken(auth, __initial_auth_token);
-        } else {
-          await signInAnonymously(auth);
-        }
-      } catch (e) {
-        console.error("Error autenticando:", e);
-      }
-    };
-    initAuth();
-    return onAuthStateChanged(auth, (u) => {
-      setUser(u);
-      if (!u) setLoading(false);
-    });
-  }, []);
-  const DATA_UID = "empresa-demo-001";
+  useEffect(() => onAuthStateChanged(auth, (u) => setUser(u)), []);
 
-  // 2. Suscribirse a Datos (Firestore)
+  // 2. Perfil del usuario (organización a la que pertenece)
   useEffect(() => {
     if (!user) return;
-    setLoading(true);
-    const SHARED_UID = "empresa-demo-001";
-
+    return onSnapshot(userProfileRef(user.uid),
+      (snap) => setProfileSnap({ uid: user.uid, data: snap.exists() ? snap.data() : null }),
+      (error) => { console.error("Error fetching profile:", error); setProfileSnap({ uid: user.uid, data: null }); });
+  }, [user]);
 
-    const q = query(
-      collection(db, 'artifacts', appId, 'users', DATA_UID, 'projects')
-    );
+  const profile = user && profileSnap?.uid === user.uid ? profileSnap.data : undefined;
+  const orgId = profile?.orgId || null;
 
+  // 3. Organización (miembros y roles)
+  useEffect(() => {
+    if (!orgId) return;
+    return onSnapshot(organizationRef(orgId),
+      (snap) => setOrgSnap({ orgId, data: snap.exists() ? snap.data() : null }),
+      (error) => { console.error("Error fetching organization:", error); setOrgSnap({ orgId, data: null }); });
+  }, [orgId]);
 
+  const organization = orgId && orgSnap?.orgId === orgId ? orgSnap.data : undefined;
+  const membership = organization && user ? organization.members?.[user.uid] : null;
+  const role = ROLES[membership?.role] || null;
+  // Hasta completar la marca `trashed` (ver backfillTrashFlag) la papelera se filtra en el cliente
+  const trashFlagReady = !!organization?.settings?.trashFlagBackfilled;
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const projectsData = snapshot.docs.map(doc => doc.data());
-      // Ordenar localmente por fecha de modificación
-      projectsData.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
-      setProjects(projectsData);
-      setLoading(false);
+  // 4. Suscribirse a los proyectos más recientes de la organización (no a la colección entera), sin la papelera
+  useEffect(() => {
+    if (!orgId || !membership) return;
+    const notTrashed = trashFlagReady ? [where('trashed', '==', false)] : [];
+    const q = query(projectsCollectionRef(orgId), ...notTrashed, orderBy('lastModified', 'desc'), limit(projectsLimit));
+    return onSnapshot(q, (snapshot) => {
+      setProjectsSnap({ orgId, list: snapshot.docs.map(doc => doc.data()), hasMore: snapshot.size >= projectsLimit });
     }, (error) => {
       console.error("Error fetching projects:", error);
-      setLoading(false);
+      setProjectsSnap({ orgId, list: [], hasMore: false });
     });
-    return () => unsubscribe();
-  }, [user]);
+  }, [orgId, membership, projectsLimit, trashFlagReady]);
 
-  // 3. CRUD Handlers (Firestore)
-  const handleCreateProject = async () => {
-    if (!user) return;
+  // La papelera se consulta aparte: sus proyectos pueden estar fuera de las páginas cargadas
+  useEffect(() => {
+    if (!orgId || !membership) return;
+    return onSnapshot(query(projectsCollectionRef(orgId), where('deletedAt', '>', '')),
+      (snapshot) => setTrashSnap({ orgId, list: snapshot.docs.map(doc => doc.data()) }),
+      (error) => { console.error("Error fetching trash:", error); setTrashSnap({ orgId, list: [] }); });
+  }, [orgId, membership]);
+
+  useEffect(() => {
+    if (!orgId || !membership) return;
+    return onSnapshot(templatesCollectionRef(orgId),
+      (snapshot) => setTemplatesSnap({ orgId, list: snapshot.docs.map(doc => doc.data()).sort((a, b) => a.name.localeCompare(b.name)) }),
+      (error) => { console.error("Error fetching templates:", error); setTemplatesSnap({ orgId, list: [] }); });
+  }, [orgId, membership]);
+
+  const projects = projectsSnap?.orgId === orgId ? projectsSnap.list : null;
+  const templates = templatesSnap?.orgId === orgId ? templatesSnap.list : [];
+
+  // El proyecto abierto puede estar fuera de las páginas cargadas (encontrado por Nº de serie o en el historial de un
+  // equipo): entonces se sigue su documento
+  const activeInPages = !!projects?.some(p => p.id === activeProjectId);
+  useEffect(() => {
+    if (!orgId || !membership || !activeProjectId || activeInPages) return;
+    return onSnapshot(projectRef(orgId, activeProjectId),
+      (snap) => setActiveProjectSnap({ orgId, id: activeProjectId, data: snap.exists() ? snap.data() : null }),
+      (error) => { console.error("Error fetching project:", error); setActiveProjectSnap({ orgId, id: activeProjectId, data: null }); });
+  }, [orgId, membership, activeProjectId, activeInPages]);
+  const trashedProjects = useMemo(() => (trashSnap?.orgId === orgId ? trashSnap.list : []), [trashSnap, orgId]);
+
+  // 5. Cola de cambios sin sincronizar de esta organización
+  const allPending = useSyncExternalStore(subscribePendingChanges, readPendingChanges);
+  const pendingChanges = useMemo(() => allPending.filter(entry => entry.orgId === orgId), [allPending, orgId]);
+  const isOnline = useSyncExternalStore(subscribeOnline, () => navigator.onLine);
+  const canEdit = !!role?.canEdit;
+
+  // Envía lo que quedó en cola (salvo el proyecto abierto, que sincroniza su propio editor)
+  const flushPendingChanges = useCallback(() => {
+    if (!orgId || !canEdit || !navigator.onLine) return;
+    readPendingChanges()
+      .filter(entry => entry.orgId === orgId && entry.projectId !== activeProjectId && !entry.conflict)
+      .forEach(entry => syncProjectSheet(orgId, entry.projectId, entry, user.email));
+  }, [orgId, canEdit, activeProjectId, user]);
+
+  useEffect(() => {
+    if (!orgId || !canEdit) return;
+    const timeoutId = setTimeout(flushPendingChanges, 0);
+    window.addEventListener('online', flushPendingChanges);
+    return () => { clearTimeout(timeoutId); window.removeEventListener('online', flushPendingChanges); };
+  }, [orgId, canEdit, flushPendingChanges]);
+
+  // Purga automática de la papelera: la realiza la sesión de un administrador al vencer la retención
+  const retentionDays = organization?.settings?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+  const canPurge = !!role?.canPurge;
+  useEffect(() => {
+    if (!orgId || !canPurge || !navigator.onLine) return;
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    trashedProjects.filter(p => Date.parse(p.deletedAt) < cutoff)
+      .forEach(p => purgeProject(orgId, p.id).catch(e => console.error("Error purging:", e)));
+  }, [orgId, canPurge, trashedProjects, retentionDays]);
+
+  useEffect(() => {
+    if (!orgId || !canPurge || trashFlagReady || !navigator.onLine) return;
+    backfillTrashFlag(orgId).catch(e => console.error("Error backfilling trash flag:", e));
+  }, [orgId, canPurge, trashFlagReady]);
+
+  // 6. CRUD Handlers (Firestore)
+  // sheet: planilla inicial con su tipo de equipo (p. ej. importada desde Excel); por defecto, un transformador en blanco
+  const handleCreateProject = (sheet = sheetFromProject({})) => {
+    if (!role?.canEdit) return;
     const newId = generateId();
-    const newProject = {
-      id: newId, lastModified: new Date().toISOString(), tapRange: 5,
-      headerInfo: { manufacturingNumber: '', serialNumber: '', client: '', date: new Date().toISOString().split('T')[0] },
-      data: {}, resistanceSettings: { measuredTemp: '20', refTemp: '75', conn1Name: 'Conexión 1', conn2Name: 'Conexión 2', conn3Name: 'Conexión 3' },
-      tgDeltaData: Array(4).fill(null).map(() => ({ id: generateId() })),
-      insulationData: Array(6).fill(null).map(() => ({ id: generateId() }))
-    };
-    try {
-      await setDoc(
-        doc(db, 'artifacts', appId, 'users', DATA_UID, 'projects', newId),
-        newProject
-      );
+    const now = new Date().toISOString();
+    const newProject = { id: newId, lastModified: now, lastModifiedBy: user.email, createdBy: user.email, trashed: false, ...sheet };
+    // Sin esperar al servidor: sin conexión el alta queda en la caché local y se envía al reconectar
+    setDoc(projectRef(orgId, newId), newProject).catch(e => console.error("Error creating:", e));
+    setActiveProjectId(newId);
+  };
 
+  // Estable entre renders: el editor la usa en su efecto de guardado automático
+  const handleSyncProject = useCallback((projectId, entry) => {
+    if (!canEdit) return Promise.resolve({ status: 'offline' });
+    return syncProjectSheet(orgId, projectId, entry, user.email);
+  }, [orgId, canEdit, user]);
 
+  // Cambios en cola de un proyecto que se borró o se mandó a la papelera mientras tanto
+  const handleRecreatePending = (entry) => {
+    handleCreateProject(sheetFromProject(entry.sheet));
+    removePendingChange(orgId, entry.projectId);
+  };
+  const handleDiscardPending = (entry) => {
+    if (confirm(`¿Descartar los cambios sin sincronizar de "${entry.label}"? No se pueden recuperar.`)) removePendingChange(orgId, entry.projectId);
+  };
 
-      setActiveProjectId(newId);
-    } catch (e) { console.error("Error creating:", e); }
+  // Eliminar solo mueve el proyecto a la papelera; el borrado definitivo es del administrador
+  const handleDeleteProject = (project) => {
+    if (!role?.canEdit) return;
+    if (!canTrashProject(project, role)) {
+      alert('Un proyecto aprobado no se puede mover a la papelera: primero hay que reabrirlo.');
+      return;
+    }
+    updateDoc(projectRef(orgId, project.id), { trashed: true, deletedAt: new Date().toISOString(), deletedBy: user.email })
+      .catch(e => {
+        console.error("Error deleting:", e);
+        alert(e.code === 'permission-denied'
+          ? `No se pudo mover "${project.headerInfo.serialNumber || project.headerInfo.client || 'el proyecto'}" a la papelera: no tenés permiso o fue aprobado mientras tanto.`
+          : 'No se pudo mover el proyecto a la papelera.');
+      });
+    if (activeProjectId === project.id) setActiveProjectId(null);
   };
 
-  const handleUpdateProject = async (project) => {
-    if (!user) return;
-    try {
-      await setDoc(
-        doc(db, 'artifacts', appId, 'users', DATA_UID, 'projects', project.id),
-        project
-      );
+  const handleApprovalAction = (project, action, fields, entry) => {
+    const allowed = action === 'submit' ? role?.canEdit || role?.canApprove : role?.canApprove;
+    if (!allowed) return;
+    updateApproval(orgId, project.id, getApproval(project), action, fields, { by: user.email, ...entry })
+      .catch(e => console.error("Error updating approval:", e));
+  };
 
-    } catch (e) { console.error("Error updating:", e); }
+  const handleRestoreProject = (id) => {
+    if (!role?.canEdit) return;
+    updateDoc(projectRef(orgId, id), { trashed: false, deletedAt: deleteField(), deletedBy: deleteField() })
+      .catch(e => console.error("Error restoring:", e));
   };
 
-  const handleDeleteProject = async (id) => {
-    if (!user) return;
+  const handlePurgeProject = async (id) => {
+    if (!role?.canPurge) return;
     try {
-      await deleteDoc(
-        doc(db, 'artifacts', appId, 'users', DATA_UID, 'projects', id)
-      );
+      await purgeProject(orgId, id);
+    } catch (e) {
+      console.error("Error purging:", e);
+      alert('No se pudo eliminar definitivamente el proyecto; sigue en la papelera y se puede reintentar.');
+    }
+  };
+
+  const trendChangePercent = organization?.settings?.trendChangePercent ?? DEFAULT_TREND_CHANGE_PERCENT;
+  const handleTrendChangePercentChange = (percent) => {
+    if (!role?.canManageMembers) return;
+    updateDoc(organizationRef(orgId), { 'settings.trendChangePercent': percent })
+      .catch(e => console.error("Error updating trend threshold:", e));
+  };
+
+  const handleSaveTemplate = (template) => {
+    if (!role?.canEdit) return;
+    setDoc(templateRef(orgId, template.id), { createdBy: user.email, ...template, lastModified: new Date().toISOString() })
+      .catch(e => console.error("Error saving template:", e));
+  };
+  const handleDeleteTemplate = (id) => {
+    if (!role?.canEdit) return;
+    deleteDoc(templateRef(orgId, id)).catch(e => console.error("Error deleting template:", e));
+  };
+
+  // Filtros del tablero guardados en el perfil del usuario
+  const filterPresets = profile?.dashboardFilterPresets || [];
+  const handleSaveFilterPresets = (presets) => {
+    updateDoc(userProfileRef(user.uid), { dashboardFilterPresets: presets })
+      .catch(e => console.error("Error saving filters:", e));
+  };
 
-      if (activeProjectId === id) setActiveProjectId(null);
-    } catch (e) { console.error("Error deleting:", e); }
+  const handleRetentionChange = (days) => {
+    if (!role?.canPurge) return;
+    updateDoc(organizationRef(orgId), { 'settings.trashRetentionDays': days })
+      .catch(e => console.error("Error updating retention:", e));
   };
 
-  if (loading) return <div className="h-screen flex items-center justify-center text-gray-500"><Loader2 className="animate-spin mr-2" /> Cargando base de datos...</div>;
+  const loadingScreen = (text) => <div className="h-screen flex items-center justify-center text-gray-500"><Loader2 className="animate-spin mr-2" /> {text}</div>;
+
+  if (user === undefined) return loadingScreen('Verificando sesión...');
+  if (!user) return <LoginScreen />;
+  if (profile === undefined) return loadingScreen('Cargando perfil...');
+  if (!orgId || organization === null || (organization && !membership)) return <OrganizationSetup key={user.uid} user={user} />;
+  if (organization === undefined || projects === null) return loadingScreen('Cargando base de datos...');
 
   if (activeProjectId) {
-    const activeProject = projects.find(p => p.id === activeProjectId);
+    const activeProject = projects.find(p => p.id === activeProjectId)
+      || (activeProjectSnap?.orgId === orgId && activeProjectSnap.id === activeProjectId ? activeProjectSnap.data : undefined);
+    if (activeProject === undefined) return loadingScreen('Cargando proyecto...');
     if (!activeProject) return <div>Error. <button onClick={() => setActiveProjectId(null)}>Volver</button></div>;
     // Usamos key={activeProject.id} para forzar re-render completo al cambiar de proyecto
-    return <TestSheetEditor key={activeProject.id} project={activeProject} onUpdate={handleUpdateProject} onBack={() => setActiveProjectId(null)} />;
+    return (
+      <TestSheetEditor key={activeProject.id} project={activeProject} orgId={orgId} userEmail={user.email} userName={user.displayName}
+        readOnly={!role.canEdit || getApproval(activeProject).status === 'approved'} canEdit={role.canEdit} canApprove={role.canApprove}
+        onApprovalAction={(action, fields, entry) => handleApprovalAction(activeProject, action, fields, entry)}
+        pendingChange={pendingChanges.find(entry => entry.projectId === activeProject.id)}
+        onSync={handleSyncProject}
+        onDiscardPending={() => removePendingChange(orgId, activeProject.id)}
+        onBack={() => setActiveProjectId(null)} />
+    );
   }
 
-  return <ProjectDashboard projects={projects} onCreate={handleCreateProject} onSelect={(p) => setActiveProjectId(p.id)} onDelete={handleDeleteProject} />;
+  return (
+    <>
+      <ProjectDashboard projects={projects} trashedProjects={trashedProjects} hasMoreProjects={projectsSnap.hasMore}
+        onLoadMore={() => setProjectsLimit(prev => prev + PROJECTS_PAGE_SIZE)} onCreate={handleCreateProject} onSelect={(p) => setActiveProjectId(p.id)} onDelete={handleDeleteProject}
+        pendingChanges={pendingChanges} isOnline={isOnline} onSyncPending={flushPendingChanges}
+        onRecreatePending={handleRecreatePending} onDiscardPending={handleDiscardPending}
+        onRestore={handleRestoreProject} onPurge={handlePurgeProject} retentionDays={retentionDays} onRetentionChange={handleRetentionChange}
+        trendChangePercent={trendChangePercent} onTrendChangePercentChange={handleTrendChangePercentChange}
+        filterPresets={filterPresets} onSaveFilterPresets={handleSaveFilterPresets}
+        templates={templates} onSaveTemplate={handleSaveTemplate} onDeleteTemplate={handleDeleteTemplate}
+        user={user} organization={organization} role={role} onManageMembers={() => setShowMembers(true)} onSignOut={() => signOut(auth)} />
+      {showMembers && role.canManageMembers && <MembersPanel organization={organization} user={user} onClose={() => setShowMembers(false)} />}
+    </>
+  );
 };
 
-export default App;
\ No newline at end of file
+export default App;